@@ -0,0 +1,94 @@
+// =============================================================================
+// RECIPE DIFF
+// =============================================================================
+// What changed between two versions of a saved recipe. Ingredients are matched
+// by id, so an edited quantity shows up as a change rather than a removal and
+// an addition; steps and tips are diffed as lists of lines.
+//
+//   {
+//     fields: { title: { from, to }, servings: { from, to } },
+//     ingredients: [{ op: 'changed', id: 'i3', from: '1 cup sugar', to: '3/4 cup sugar' }],
+//     steps: [{ op: 'equal', text }, { op: 'removed', text }, { op: 'added', text }],
+//     tips: [...],
+//   }
+
+// Everything except the lists diffed line by line below. Keys the app adds
+// on the way out (ids, timestamps, derived sections) are not edits.
+const IGNORED_FIELDS = new Set([
+  'id', 'savedAt', 'updatedAt', 'revision', 'ingredients', 'ingredientItems', 'steps', 'tips',
+  'ingredientSections', 'stepSections',
+]);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Longest-common-subsequence line diff
+export function diffLines(from = [], to = []) {
+  const n = from.length;
+  const m = to.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = from[i] === to[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (from[i] === to[j]) {
+      ops.push({ op: 'equal', text: from[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ op: 'removed', text: from[i++] });
+    } else {
+      ops.push({ op: 'added', text: to[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: 'removed', text: from[i++] });
+  while (j < m) ops.push({ op: 'added', text: to[j++] });
+
+  // No changes: nothing to show
+  return ops.every(o => o.op === 'equal') ? [] : ops;
+}
+
+function diffIngredients(from = [], to = []) {
+  const before = new Map(from.map(i => [i.id, i]));
+  const after = new Map(to.map(i => [i.id, i]));
+  const changes = [];
+  for (const item of from) {
+    const next = after.get(item.id);
+    if (!next) changes.push({ op: 'removed', id: item.id, from: item.text });
+    else if (next.text !== item.text || (next.section || null) !== (item.section || null)) {
+      changes.push({ op: 'changed', id: item.id, from: item.text, to: next.text });
+    }
+  }
+  for (const item of to) {
+    if (!before.has(item.id)) changes.push({ op: 'added', id: item.id, to: item.text });
+  }
+  return changes;
+}
+
+const stepText = (step) => (typeof step === 'string' ? step : step?.instruction || '');
+
+export function diffRecipes(from, to) {
+  const fields = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.has(key) || key.startsWith('_')) continue;
+    if (!same(from[key], to[key])) fields[key] = { from: from[key] ?? null, to: to[key] ?? null };
+  }
+  return {
+    fields,
+    ingredients: diffIngredients(from.ingredientItems, to.ingredientItems),
+    steps: diffLines((from.steps || []).map(stepText), (to.steps || []).map(stepText)),
+    tips: diffLines(from.tips || [], to.tips || []),
+  };
+}
+
+// Top-level fields that differ, for labelling a revision
+export function changedFields(from, to) {
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(key => !['id', 'savedAt', 'updatedAt', 'revision', 'ingredientSections', 'stepSections'].includes(key))
+    .filter(key => !same(from[key], to[key]));
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, diffRecipes, changedFields } from './diff.js';
+import { structureRecipe } from './ingredients.js';
+
+test('line diff keeps the common lines in order', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'c', 'd']), [
+    { op: 'equal', text: 'a' },
+    { op: 'removed', text: 'b' },
+    { op: 'equal', text: 'c' },
+    { op: 'added', text: 'd' },
+  ]);
+  assert.deepEqual(diffLines([], ['a']), [{ op: 'added', text: 'a' }]);
+  assert.deepEqual(diffLines(['a']), [{ op: 'removed', text: 'a' }]);
+});
+
+test('no changes is an empty diff', () => {
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']), []);
+  assert.deepEqual(diffLines(), []);
+});
+
+test('ingredients are matched by id, so an edit is a change', () => {
+  const from = structureRecipe({ title: 'Cake', servings: 8, ingredients: ['1 cup sugar', '2 eggs'], steps: ['Mix.'], tips: [] });
+  const to = structureRecipe({ ...from, title: 'Less sweet cake', ingredients: ['3/4 cup sugar', '1 tsp vanilla', '200g flour'], steps: ['Mix.', 'Bake.'] });
+  const diff = diffRecipes(from, to);
+  assert.deepEqual(diff.fields, { title: { from: 'Cake', to: 'Less sweet cake' } });
+  assert.deepEqual(diff.ingredients, [
+    { op: 'changed', id: 'i1', from: '1 cup sugar', to: '3/4 cup sugar' },
+    { op: 'removed', id: 'i2', from: '2 eggs' },
+    { op: 'added', id: 'i3', to: '1 tsp vanilla' },
+    { op: 'added', id: 'i4', to: '200g flour' },
+  ]);
+  assert.deepEqual(diff.steps, [{ op: 'equal', text: 'Mix.' }, { op: 'added', text: 'Bake.' }]);
+  assert.deepEqual(diff.tips, []);
+});
+
+test('moving an ingredient to another section is a change', () => {
+  const from = { ingredientItems: [{ id: 'i1', text: '2 eggs', section: null }] };
+  const to = { ingredientItems: [{ id: 'i1', text: '2 eggs', section: 'Batter' }] };
+  assert.deepEqual(diffRecipes(from, to).ingredients, [{ op: 'changed', id: 'i1', from: '2 eggs', to: '2 eggs' }]);
+});
+
+test('bookkeeping fields are not edits', () => {
+  const from = { id: 1, revision: 1, updatedAt: 'a', _internal: 1, notes: null, servings: 4 };
+  const to = { id: 1, revision: 2, updatedAt: 'b', _internal: 2, servings: 6 };
+  assert.deepEqual(diffRecipes(from, to).fields, { servings: { from: 4, to: 6 } });
+  assert.deepEqual(changedFields(from, to), ['_internal', 'servings']);
+});
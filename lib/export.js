@@ -0,0 +1,357 @@
+// =============================================================================
+// RECIPE EXPORT
+// =============================================================================
+// Saved recipes written out in formats other tools read. Each format has a
+// recipe -> text (or bytes) function plus how a whole library is laid out:
+//
+//   jsonld    schema.org Recipe, a JSON array for a library
+//   markdown  one document, recipes separated by rules
+//   text      plain text, same layout as markdown without the markup
+//   html      printable page (print to PDF from the browser), dual units
+//   paprika   .paprikarecipes: a zip of gzipped Paprika JSON, one per recipe
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { convertRecipeUnits, regionForUrl } from './units.js';
+import { formatDuration, toIsoDuration } from './schema.js';
+import { structureRecipe } from './ingredients.js';
+import { httpUrl } from './urls.js';
+
+const stepText = (step) => (typeof step === 'string' ? step : step?.instruction || '');
+
+// [{ name, lines }] in recipe order. One unnamed group when there are no sections.
+function ingredientGroups(recipe) {
+  const items = recipe.ingredientItems || [];
+  if (!recipe.ingredientSections?.length || !items.length) {
+    return [{ name: null, lines: recipe.ingredients || [] }];
+  }
+  const byId = new Map(items.map(i => [i.id, i.text]));
+  return recipe.ingredientSections.map(s => ({ name: s.name, lines: s.ingredientIds.map(id => byId.get(id)).filter(Boolean) }));
+}
+
+function stepGroups(recipe) {
+  const steps = (recipe.steps || []).map(stepText);
+  if (!recipe.stepSections?.length) return [{ name: null, steps }];
+  return recipe.stepSections.map(s => ({ name: s.name, steps: s.stepIndexes.map(i => steps[i]).filter(Boolean) }));
+}
+
+// "Serves 4 · Prep 15 min · Cook 1h"
+function recipeFacts(recipe) {
+  const time = (minutes, text) => formatDuration(minutes) || text || null;
+  return [
+    recipe.servings ? `Serves ${recipe.servings}` : recipe.yield,
+    time(recipe.prepTimeMinutes, recipe.prepTime) && `Prep ${time(recipe.prepTimeMinutes, recipe.prepTime)}`,
+    time(recipe.cookTimeMinutes, recipe.cookTime) && `Cook ${time(recipe.cookTimeMinutes, recipe.cookTime)}`,
+    time(recipe.totalTimeMinutes, recipe.totalTime) && `Total ${time(recipe.totalTimeMinutes, recipe.totalTime)}`,
+  ].filter(Boolean);
+}
+
+// "chocolate-chip-cookies", for file names
+export function slugify(title) {
+  return String(title || 'recipe').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'recipe';
+}
+
+// -----------------------------------------------------------------------------
+// schema.org JSON-LD
+// -----------------------------------------------------------------------------
+export function toJsonLd(recipe) {
+  const howToSteps = (steps) => steps.map(text => ({ '@type': 'HowToStep', text }));
+  const groups = stepGroups(recipe);
+  const instructions = groups.length === 1 && !groups[0].name
+    ? howToSteps(groups[0].steps)
+    : groups.map(g => ({ '@type': 'HowToSection', name: g.name || '', itemListElement: howToSteps(g.steps) }));
+  for (const tip of recipe.tips || []) instructions.push({ '@type': 'HowToTip', text: tip });
+
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.title,
+    description: recipe.description || undefined,
+    image: httpUrl(recipe.imageUrl) || undefined,
+    author: recipe.author ? { '@type': 'Person', name: recipe.author } : undefined,
+    url: httpUrl(recipe.sourceUrl) || undefined,
+    recipeYield: recipe.yield || (recipe.servings ? String(recipe.servings) : undefined),
+    prepTime: toIsoDuration(recipe.prepTimeMinutes) || undefined,
+    cookTime: toIsoDuration(recipe.cookTimeMinutes) || undefined,
+    totalTime: toIsoDuration(recipe.totalTimeMinutes) || undefined,
+    recipeCategory: recipe.category?.length ? recipe.category : undefined,
+    recipeCuisine: recipe.cuisine?.length ? recipe.cuisine : undefined,
+    keywords: [...(recipe.keywords || []), ...(recipe.tags || [])].join(', ') || undefined,
+    suitableForDiet: recipe.suitableForDiet?.length ? recipe.suitableForDiet.map(d => `https://schema.org/${d}`) : undefined,
+    recipeIngredient: recipe.ingredients || [],
+    recipeInstructions: instructions,
+    nutrition: recipe.nutrition ? { '@type': 'NutritionInformation', ...recipe.nutrition } : undefined,
+    aggregateRating: recipe.aggregateRating ? { '@type': 'AggregateRating', ...recipe.aggregateRating } : undefined,
+  };
+  if (recipe.video) {
+    const { durationMinutes, ...video } = recipe.video;
+    schema.video = { '@type': 'VideoObject', ...video, duration: toIsoDuration(durationMinutes) || undefined };
+  }
+  return JSON.parse(JSON.stringify(schema));
+}
+
+// -----------------------------------------------------------------------------
+// Markdown and plain text
+// -----------------------------------------------------------------------------
+export function toMarkdown(recipe) {
+  const out = [`# ${recipe.title}`, ''];
+  if (recipe.description) out.push(recipe.description, '');
+  const facts = recipeFacts(recipe);
+  if (facts.length) out.push(`*${facts.join(' · ')}*`, '');
+  const sourceUrl = httpUrl(recipe.sourceUrl);
+  if (sourceUrl) out.push(`Source: [${recipe.source || sourceUrl}](${sourceUrl})`, '');
+
+  out.push('## Ingredients', '');
+  for (const group of ingredientGroups(recipe)) {
+    if (group.name) out.push(`### ${group.name}`, '');
+    out.push(...group.lines.map(line => `- ${line}`), '');
+  }
+  out.push('## Method', '');
+  for (const group of stepGroups(recipe)) {
+    if (group.name) out.push(`### ${group.name}`, '');
+    out.push(...group.steps.map((step, i) => `${i + 1}. ${step}`), '');
+  }
+  if (recipe.tips?.length) out.push('## Tips', '', ...recipe.tips.map(tip => `- ${tip}`), '');
+  if (recipe.notes) out.push('## Notes', '', recipe.notes, '');
+  return out.join('\n');
+}
+
+export function toPlainText(recipe) {
+  const heading = (text) => [text.toUpperCase(), ''];
+  const out = [recipe.title, '='.repeat(Math.min(recipe.title.length, 60)), ''];
+  if (recipe.description) out.push(recipe.description, '');
+  const facts = recipeFacts(recipe);
+  if (facts.length) out.push(facts.join(' · '), '');
+  if (recipe.sourceUrl) out.push(`Source: ${recipe.sourceUrl}`, '');
+
+  out.push(...heading('Ingredients'));
+  for (const group of ingredientGroups(recipe)) {
+    if (group.name) out.push(`${group.name}:`);
+    out.push(...group.lines.map(line => `  - ${line}`), '');
+  }
+  out.push(...heading('Method'));
+  for (const group of stepGroups(recipe)) {
+    if (group.name) out.push(`${group.name}:`);
+    out.push(...group.steps.map((step, i) => `  ${i + 1}. ${step}`), '');
+  }
+  if (recipe.tips?.length) out.push(...heading('Tips'), ...recipe.tips.map(tip => `  - ${tip}`), '');
+  if (recipe.notes) out.push(...heading('Notes'), recipe.notes, '');
+  return out.join('\n');
+}
+
+// -----------------------------------------------------------------------------
+// Printable HTML
+// -----------------------------------------------------------------------------
+export const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const PRINT_STYLES = `
+  body { font: 11pt/1.45 Georgia, serif; color: #222; max-width: 46em; margin: 2em auto; padding: 0 1em; }
+  h1 { font-size: 20pt; margin: 0 0 .2em; }
+  h2 { font-size: 13pt; border-bottom: 1px solid #ccc; margin: 1.4em 0 .5em; }
+  h3 { font-size: 11pt; margin: 1em 0 .3em; }
+  .facts, .source { color: #666; font-size: 10pt; }
+  .recipe { page-break-after: always; break-after: page; }
+  .recipe:last-child { page-break-after: auto; break-after: auto; }
+  .columns { display: grid; grid-template-columns: 1fr 2fr; gap: 2em; }
+  ul, ol { padding-left: 1.3em; } li { margin-bottom: .3em; }
+  img { max-width: 100%; max-height: 12em; object-fit: cover; }
+  @media print { body { margin: 0; max-width: none; } @page { margin: 1.5cm; } a { color: inherit; text-decoration: none; } }
+  @media (max-width: 40em) { .columns { display: block; } }
+`;
+
+// Ingredients and steps carry both metric and US/imperial amounts
+function withDualUnits(recipe) {
+  // Re-structured so the sectioned ingredient items pick up the new text
+  return structureRecipe(convertRecipeUnits(recipe, { region: regionForUrl(recipe.sourceUrl) }).recipe);
+}
+
+export function toPrintHtmlSection(recipe) {
+  const r = withDualUnits(recipe);
+  const facts = recipeFacts(r);
+  const list = (tag, items) => `<${tag}>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</${tag}>`;
+  const groups = (all, render) => all.map(g => `${g.name ? `<h3>${escapeHtml(g.name)}</h3>` : ''}${render(g)}`).join('');
+  const sourceUrl = httpUrl(r.sourceUrl);
+  const imageUrl = httpUrl(r.imageUrl);
+  return `<article class="recipe">
+<h1>${escapeHtml(r.title)}</h1>
+${facts.length ? `<p class="facts">${escapeHtml(facts.join(' · '))}</p>` : ''}
+${sourceUrl ? `<p class="source">${escapeHtml(r.source || '')} <a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a></p>` : ''}
+${imageUrl ? `<img src="${escapeHtml(imageUrl)}" alt="">` : ''}
+${r.description ? `<p>${escapeHtml(r.description)}</p>` : ''}
+<div class="columns">
+<section><h2>Ingredients</h2>${groups(ingredientGroups(r), g => list('ul', g.lines))}</section>
+<section><h2>Method</h2>${groups(stepGroups(r), g => list('ol', g.steps))}
+${r.tips?.length ? `<h2>Tips</h2>${list('ul', r.tips)}` : ''}
+${r.notes ? `<h2>Notes</h2><p>${escapeHtml(r.notes).replace(/\n/g, '<br>')}</p>` : ''}</section>
+</div>
+</article>`;
+}
+
+// `head` is extra markup for <head>, already escaped
+export function printHtmlHead(title, head = '') {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>${head}<style>${PRINT_STYLES}</style></head><body>
+`;
+}
+
+export const PRINT_HTML_TAIL = '\n</body></html>\n';
+
+export function toPrintHtml(recipe) {
+  return printHtmlHead(recipe.title) + toPrintHtmlSection(recipe) + PRINT_HTML_TAIL;
+}
+
+// Public page for a shared recipe: the print layout plus Open Graph tags for
+// link previews and JSON-LD for search engines and recipe apps
+export function toSharePage(recipe, { url }) {
+  const imageUrl = httpUrl(recipe.imageUrl);
+  const og = {
+    'og:type': 'article',
+    'og:title': recipe.title,
+    'og:description': recipe.description || recipeFacts(recipe).join(' · ') || null,
+    'og:url': url,
+    'og:image': imageUrl,
+    'og:site_name': 'mise',
+  };
+  // "</" can't appear inside the script element
+  const jsonLd = JSON.stringify({ ...toJsonLd(recipe), url: httpUrl(recipe.sourceUrl) || url }).replace(/</g, '\\u003c');
+  const head = [
+    ...Object.entries(og).filter(([, v]) => v).map(([k, v]) => `<meta property="${k}" content="${escapeHtml(v)}">`),
+    `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<script type="application/ld+json">${jsonLd}</script>`,
+  ].join('\n');
+  return printHtmlHead(recipe.title, `\n${head}\n`) + toPrintHtmlSection(recipe) + PRINT_HTML_TAIL;
+}
+
+// -----------------------------------------------------------------------------
+// Paprika
+// -----------------------------------------------------------------------------
+// A .paprikarecipe is gzipped JSON; a .paprikarecipes archive is a zip of them
+export function toPaprika(recipe) {
+  const lines = (groups, key) => groups.flatMap(g => [...(g.name ? [`${g.name}:`] : []), ...g[key]]).join('\n');
+  const data = {
+    uid: recipe.id ? `MISE-${recipe.id}` : crypto.randomUUID().toUpperCase(),
+    name: recipe.title,
+    description: recipe.description || '',
+    ingredients: lines(ingredientGroups(recipe), 'lines'),
+    directions: lines(stepGroups(recipe), 'steps'),
+    notes: [recipe.notes, ...(recipe.tips || [])].filter(Boolean).join('\n\n'),
+    nutritional_info: recipe.nutrition ? Object.entries(recipe.nutrition).map(([k, v]) => `${k}: ${v}`).join('\n') : '',
+    servings: recipe.yield || (recipe.servings ? String(recipe.servings) : ''),
+    prep_time: formatDuration(recipe.prepTimeMinutes) || recipe.prepTime || '',
+    cook_time: formatDuration(recipe.cookTimeMinutes) || recipe.cookTime || '',
+    total_time: formatDuration(recipe.totalTimeMinutes) || recipe.totalTime || '',
+    source: recipe.source || '',
+    source_url: recipe.sourceUrl || '',
+    image_url: recipe.imageUrl || '',
+    categories: [...(recipe.category || []), ...(recipe.tags || [])],
+    difficulty: '',
+    rating: 0,
+    created: new Date(recipe.savedAt || Date.now()).toISOString().replace('T', ' ').slice(0, 19),
+  };
+  data.hash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').toUpperCase();
+  return zlib.gzipSync(JSON.stringify(data));
+}
+
+// Zip writer for already-compressed entries: each file is stored as-is, and
+// entries can be added one at a time as the library streams out.
+export function createZipWriter(write) {
+  const entries = [];
+  let offset = 0;
+  const emit = (buffer) => {
+    write(buffer);
+    offset += buffer.length;
+  };
+  const dosTime = (date) => {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  };
+
+  return {
+    add(name, data) {
+      const nameBytes = Buffer.from(name, 'utf8');
+      const crc = zlib.crc32(data);
+      const { time, day } = dosTime(new Date());
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0x0800, 6); // UTF-8 names
+      header.writeUInt16LE(0, 8); // stored
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(day, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(data.length, 18);
+      header.writeUInt32LE(data.length, 22);
+      header.writeUInt16LE(nameBytes.length, 26);
+      entries.push({ nameBytes, crc, size: data.length, offset, time, day });
+      emit(Buffer.concat([header, nameBytes]));
+      emit(data);
+    },
+    finish() {
+      const start = offset;
+      for (const e of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(0, 10);
+        header.writeUInt16LE(e.time, 12);
+        header.writeUInt16LE(e.day, 14);
+        header.writeUInt32LE(e.crc, 16);
+        header.writeUInt32LE(e.size, 20);
+        header.writeUInt32LE(e.size, 24);
+        header.writeUInt16LE(e.nameBytes.length, 28);
+        header.writeUInt32LE(e.offset, 42);
+        emit(Buffer.concat([header, e.nameBytes]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      emit(end);
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Formats
+// -----------------------------------------------------------------------------
+// For one recipe: contentType, extension and render. For a library, the route
+// streams `start`, each recipe's `item` (with `separator` between them) and `end`.
+export const EXPORT_FORMATS = {
+  jsonld: {
+    contentType: 'application/ld+json; charset=utf-8',
+    extension: 'json',
+    render: (recipe) => JSON.stringify(toJsonLd(recipe), null, 2),
+    start: '[\n', item: (recipe) => JSON.stringify(toJsonLd(recipe)), separator: ',\n', end: '\n]\n',
+  },
+  markdown: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    render: toMarkdown,
+    start: '', item: toMarkdown, separator: '\n---\n\n', end: '',
+  },
+  text: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    render: toPlainText,
+    start: '', item: toPlainText, separator: '\n\n', end: '',
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    render: toPrintHtml,
+    start: printHtmlHead('Recipes'), item: toPrintHtmlSection, separator: '\n', end: PRINT_HTML_TAIL,
+  },
+  paprika: {
+    contentType: 'application/zip',
+    extension: 'paprikarecipes',
+    archive: true,
+  },
+};
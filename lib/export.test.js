@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import {
+  slugify, toJsonLd, toMarkdown, toPlainText, toPrintHtml, toSharePage, toPaprika, createZipWriter, EXPORT_FORMATS,
+} from './export.js';
+import { structureRecipe } from './ingredients.js';
+import { readZip } from './importers/zip.js';
+
+const recipe = structureRecipe({
+  id: 7,
+  title: 'Crème Brûlée <for two>',
+  description: 'Rich & creamy',
+  servings: 2,
+  prepTimeMinutes: 15,
+  cookTimeMinutes: 40,
+  source: 'Desserts',
+  sourceUrl: 'https://desserts.example/creme',
+  imageUrl: 'javascript:alert(1)',
+  ingredients: ['Custard:', '2 cups cream', '4 egg yolks', 'Topping:', '2 tbsp sugar'],
+  steps: ['Heat the cream.', 'Whisk in the yolks.', 'Bake.'],
+  tips: ['Chill overnight.'],
+  keywords: ['french'],
+  tags: ['dessert'],
+});
+
+test('slugs for file names', () => {
+  assert.equal(slugify('Crème Brûlée <for two>'), 'creme-brulee-for-two');
+  assert.equal(slugify(''), 'recipe');
+  assert.equal(slugify('!!!'), 'recipe');
+  assert.equal(slugify('a'.repeat(100)).length, 80);
+});
+
+test('JSON-LD is a schema.org Recipe without empty or unsafe fields', () => {
+  const schema = toJsonLd(recipe);
+  assert.equal(schema['@type'], 'Recipe');
+  assert.equal(schema.name, 'Crème Brûlée <for two>');
+  assert.equal(schema.url, 'https://desserts.example/creme');
+  assert.equal('image' in schema, false);
+  assert.equal('totalTime' in schema, false);
+  assert.equal(schema.recipeYield, '2');
+  assert.equal(schema.prepTime, 'PT15M');
+  assert.equal(schema.keywords, 'french, dessert');
+  assert.deepEqual(schema.recipeIngredient, ['2 cups cream', '4 egg yolks', '2 tbsp sugar']);
+  assert.deepEqual(schema.recipeInstructions.map(s => [s['@type'], s.text]), [
+    ['HowToStep', 'Heat the cream.'],
+    ['HowToStep', 'Whisk in the yolks.'],
+    ['HowToStep', 'Bake.'],
+    ['HowToTip', 'Chill overnight.'],
+  ]);
+});
+
+test('JSON-LD keeps named step sections', () => {
+  const schema = toJsonLd({ title: 't', steps: ['a', 'b'], stepSections: [{ name: 'Dough', stepIndexes: [0] }, { name: 'Filling', stepIndexes: [1] }] });
+  assert.deepEqual(schema.recipeInstructions, [
+    { '@type': 'HowToSection', name: 'Dough', itemListElement: [{ '@type': 'HowToStep', text: 'a' }] },
+    { '@type': 'HowToSection', name: 'Filling', itemListElement: [{ '@type': 'HowToStep', text: 'b' }] },
+  ]);
+});
+
+test('markdown with ingredient sections', () => {
+  assert.equal(toMarkdown(recipe), [
+    '# Crème Brûlée <for two>', '',
+    'Rich & creamy', '',
+    '*Serves 2 · Prep 15 min · Cook 40 min*', '',
+    'Source: [Desserts](https://desserts.example/creme)', '',
+    '## Ingredients', '',
+    '### Custard', '', '- 2 cups cream', '- 4 egg yolks', '',
+    '### Topping', '', '- 2 tbsp sugar', '',
+    '## Method', '',
+    '1. Heat the cream.', '2. Whisk in the yolks.', '3. Bake.', '',
+    '## Tips', '', '- Chill overnight.', '',
+  ].join('\n'));
+  assert.doesNotMatch(toMarkdown({ ...recipe, sourceUrl: 'javascript:alert(1)' }), /Source:/);
+});
+
+test('plain text', () => {
+  const text = toPlainText(recipe);
+  assert.match(text, /^Crème Brûlée <for two>\n=+\n/);
+  assert.match(text, /\nINGREDIENTS\n\nCustard:\n {2}- 2 cups cream\n {2}- 4 egg yolks\n/);
+  assert.match(text, /\nMETHOD\n\n {2}1\. Heat the cream\.\n/);
+});
+
+test('print HTML escapes text, drops unsafe URLs and shows both units', () => {
+  const html = toPrintHtml({ ...recipe, notes: 'Line one\n<b>two</b>' });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<title>Crème Brûlée &lt;for two&gt;<\/title>/);
+  assert.match(html, /<h1>Crème Brûlée &lt;for two&gt;<\/h1>/);
+  assert.match(html, /<p>Rich &amp; creamy<\/p>/);
+  assert.match(html, /<li>2 cups \/ 480ml cream<\/li>/);
+  assert.match(html, /<p>Line one<br>&lt;b&gt;two&lt;\/b&gt;<\/p>/);
+  assert.doesNotMatch(html, /javascript:|<img/);
+  assert.match(html, /<\/body><\/html>\n$/);
+});
+
+test('the share page carries Open Graph tags and JSON-LD that cannot close its script', () => {
+  const page = toSharePage({ ...recipe, description: 'Ends with </script>' }, { url: 'https://mise.example/s/abc' });
+  assert.match(page, /<meta property="og:title" content="Crème Brûlée &lt;for two&gt;">/);
+  assert.match(page, /<meta property="og:url" content="https:\/\/mise.example\/s\/abc">/);
+  assert.doesNotMatch(page, /og:image/);
+  assert.match(page, /<meta name="twitter:card" content="summary">/);
+  assert.match(page, /<link rel="canonical" href="https:\/\/mise.example\/s\/abc">/);
+  const [, jsonLd] = page.match(/<script type="application\/ld\+json">(.*?)<\/script>/);
+  assert.equal(JSON.parse(jsonLd).description, 'Ends with </script>');
+  assert.equal(JSON.parse(jsonLd).url, 'https://desserts.example/creme');
+});
+
+test('Paprika recipes are gzipped JSON with section headings inline', () => {
+  const data = JSON.parse(zlib.gunzipSync(toPaprika(recipe)));
+  assert.equal(data.uid, 'MISE-7');
+  assert.equal(data.name, 'Crème Brûlée <for two>');
+  assert.equal(data.ingredients, 'Custard:\n2 cups cream\n4 egg yolks\nTopping:\n2 tbsp sugar');
+  assert.equal(data.directions, 'Heat the cream.\nWhisk in the yolks.\nBake.');
+  assert.equal(data.notes, 'Chill overnight.');
+  assert.equal(data.servings, '2');
+  assert.equal(data.prep_time, '15 min');
+  assert.deepEqual(data.categories, ['dessert']);
+  assert.match(data.hash, /^[0-9A-F]{64}$/);
+});
+
+test('zip writer output reads back entry by entry', () => {
+  const chunks = [];
+  const zip = createZipWriter(chunk => chunks.push(chunk));
+  zip.add('Crème Brûlée.paprikarecipe', toPaprika(recipe));
+  zip.add('notes.txt', Buffer.from('hello'));
+  zip.finish();
+  const files = readZip(Buffer.concat(chunks));
+  assert.deepEqual(files.map(f => f.name), ['Crème Brûlée.paprikarecipe', 'notes.txt']);
+  assert.equal(JSON.parse(zlib.gunzipSync(files[0].data)).uid, 'MISE-7');
+  assert.equal(files[1].data.toString(), 'hello');
+});
+
+test('library exports join their items into one valid document', () => {
+  const { jsonld } = EXPORT_FORMATS;
+  const library = jsonld.start + [recipe, recipe].map(jsonld.item).join(jsonld.separator) + jsonld.end;
+  assert.equal(JSON.parse(library).length, 2);
+  assert.deepEqual(Object.keys(EXPORT_FORMATS), ['jsonld', 'markdown', 'text', 'html', 'paprika']);
+  assert.equal(EXPORT_FORMATS.paprika.archive, true);
+});
@@ -0,0 +1,10 @@
+// Thrown when an extractor recognises the URL but can't get a recipe out of
+// it. Same shape as FetchError so routes can answer with `status`.
+export class ExtractorError extends Error {
+  constructor(code, message, status = 422) {
+    super(message);
+    this.name = 'ExtractorError';
+    this.code = code;
+    this.status = status;
+  }
+}
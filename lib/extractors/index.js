@@ -0,0 +1,76 @@
+// =============================================================================
+// EXTRACTOR REGISTRY
+// =============================================================================
+// An extractor turns a URL into a raw recipe (the same shape the LLM returns:
+// title, ingredients as strings, steps, ...). Site extractors declare the
+// hosts or URL patterns they handle and are tried first; the generic
+// structured-data and LLM extractors run for everything else, in that order.
+//
+//   registerExtractor({
+//     name: 'example',
+//     hosts: ['example.com'],          // also matches www. and other subdomains
+//     patterns: [/\/recipes\/\d+/],    // optional, tested against the full URL
+//     async extract(url, ctx) { ... }, // raw recipe, or null to fall through
+//   });
+//
+// `ctx` is supplied by the caller:
+//   ctx.page()                 - HTML of the requested URL, fetched once
+//   ctx.fetchPage(url, opts)   - SSRF-safe fetch of any other URL
+//   ctx.extractWithLLM(input)  - { kind: 'webpage' | 'transcript', text, source }
+//                                -> raw recipe read by the model
+
+import youtube from './youtube.js';
+import structuredData from './structured-data.js';
+import llm from './llm.js';
+import { ExtractorError } from './errors.js';
+import { FetchError } from '../fetch.js';
+
+export { ExtractorError };
+
+const siteExtractors = [];
+const fallbackExtractors = [];
+
+export function registerExtractor(extractor, { fallback = false } = {}) {
+  if (!extractor?.name || typeof extractor.extract !== 'function') {
+    throw new Error('Extractors need a name and an extract(url, ctx) function');
+  }
+  (fallback ? fallbackExtractors : siteExtractors).push(extractor);
+}
+
+function handles(extractor, parsed) {
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  return (extractor.hosts || []).some(h => host === h || host.endsWith(`.${h}`)) ||
+    (extractor.patterns || []).some(re => re.test(parsed.href));
+}
+
+// Site extractors that claim the URL, then the generic ones
+export function extractorsFor(url) {
+  const parsed = new URL(url);
+  return [...siteExtractors.filter(e => handles(e, parsed)), ...fallbackExtractors];
+}
+
+// Run extractors until one returns a recipe: { recipe, extractor }. A
+// fallback extractor that breaks (rather than throwing an ExtractorError or
+// FetchError meant for the user) is logged and skipped; if nothing after it
+// finds a recipe, its error is what the caller sees.
+export async function extractRecipe(url, ctx) {
+  let failure = null;
+  for (const extractor of extractorsFor(url)) {
+    let recipe;
+    try {
+      recipe = await extractor.extract(url, ctx);
+    } catch (err) {
+      if (err instanceof ExtractorError || err instanceof FetchError || !fallbackExtractors.includes(extractor)) throw err;
+      console.error(`Extractor ${extractor.name} failed:`, err);
+      failure = err;
+      continue;
+    }
+    if (recipe) return { recipe, extractor: extractor.name };
+  }
+  if (failure) throw failure;
+  throw new ExtractorError('NO_RECIPE', 'Could not find a recipe on that page.');
+}
+
+registerExtractor(youtube);
+registerExtractor(structuredData, { fallback: true });
+registerExtractor(llm, { fallback: true });
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractRecipe, extractorsFor, registerExtractor, ExtractorError } from './index.js';
+import { FetchError } from '../fetch.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+function context(page, llm = async () => ({ title: 'From the model', ingredients: [], steps: [] })) {
+  return { page: async () => (page instanceof Error ? Promise.reject(page) : page), extractWithLLM: llm };
+}
+
+registerExtractor({
+  name: 'test-site',
+  hosts: ['testsite.example'],
+  async extract(url) {
+    if (url.includes('broken')) throw new TypeError('site extractor bug');
+    return url.includes('missing') ? null : { title: 'From the site extractor', ingredients: [], steps: [] };
+  },
+});
+
+test('site extractors that claim the URL run before the generic ones', () => {
+  assert.deepEqual(extractorsFor('https://www.youtube.com/watch?v=dQw4w9WgXcQ').map(e => e.name), ['youtube', 'structured-data', 'llm']);
+  assert.deepEqual(extractorsFor('https://shop.testsite.example/r/1').map(e => e.name), ['test-site', 'structured-data', 'llm']);
+  assert.deepEqual(extractorsFor('https://bakingblog.example/cake').map(e => e.name), ['structured-data', 'llm']);
+});
+
+test('uses structured data when the page has it', async () => {
+  const { recipe, extractor } = await extractRecipe('https://bakingblog.example/cake', context(fixture('jsonld-graph.html')));
+  assert.equal(extractor, 'structured-data');
+  assert.equal(recipe.title, 'Lemon Drizzle Cake');
+});
+
+test('asks the model when there is no structured data', async () => {
+  const { recipe, extractor } = await extractRecipe('https://bakingblog.example/about', context(fixture('no-recipe.html')));
+  assert.equal(extractor, 'llm');
+  assert.equal(recipe.title, 'From the model');
+});
+
+test('a site extractor returning null falls through', async () => {
+  const { extractor } = await extractRecipe('https://testsite.example/missing', context(fixture('jsonld-graph.html')));
+  assert.equal(extractor, 'structured-data');
+});
+
+test('a site extractor that throws is not skipped', async () => {
+  await assert.rejects(extractRecipe('https://testsite.example/broken', context(fixture('jsonld-graph.html'))), TypeError);
+});
+
+test('a fallback extractor that throws is skipped', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const broken = async () => { throw new Error('model returned nonsense'); };
+  // The page reads fine for structured data but the model fails: its error is what's left
+  await assert.rejects(
+    extractRecipe('https://bakingblog.example/about', context(fixture('no-recipe.html'), broken)),
+    /model returned nonsense/
+  );
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('errors meant for the user stop extraction', async () => {
+  const fetchError = new FetchError('BLOCKED_HOST', 'That address is not allowed.', 400);
+  await assert.rejects(extractRecipe('https://bakingblog.example/x', context(fetchError)), { code: 'BLOCKED_HOST' });
+  const noRecipe = async () => { throw new ExtractorError('NOT_A_RECIPE', 'That page is not a recipe.', 422); };
+  await assert.rejects(extractRecipe('https://bakingblog.example/x', context(fixture('no-recipe.html'), noRecipe)), { code: 'NOT_A_RECIPE' });
+});
+
+test('NO_RECIPE when every extractor falls through', async () => {
+  await assert.rejects(
+    extractRecipe('https://bakingblog.example/about', context(fixture('no-recipe.html'), async () => null)),
+    { code: 'NO_RECIPE' }
+  );
+});
@@ -0,0 +1,8 @@
+// Last resort: hand the page text to the model
+
+export default {
+  name: 'llm',
+  async extract(url, ctx) {
+    return ctx.extractWithLLM({ kind: 'webpage', text: await ctx.page() });
+  },
+};
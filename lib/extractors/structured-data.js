@@ -0,0 +1,12 @@
+// schema.org Recipe from JSON-LD, microdata or RDFa. No LLM involved, so the
+// recipe still needs its dual units added.
+
+import { extractRecipeSchema, convertSchemaToRecipe } from '../schema.js';
+
+export default {
+  name: 'structured-data',
+  async extract(url, ctx) {
+    const schema = extractRecipeSchema(await ctx.page(), url);
+    return schema ? convertSchemaToRecipe(schema, url) : null;
+  },
+};
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import structuredData from './structured-data.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const extract = (name, url) => structuredData.extract(url, { page: async () => fixture(name) });
+
+test('JSON-LD inside an @graph, with sections, tips and entities', async () => {
+  const recipe = await extract('jsonld-graph.html', 'https://www.bakingblog.example/lemon-drizzle-cake/');
+  assert.equal(recipe.title, 'Lemon Drizzle Cake');
+  assert.equal(recipe.description, 'A classic tray bake & teatime favourite.');
+  assert.equal(recipe.author, 'Jo Baker');
+  assert.equal(recipe.servings, 12);
+  assert.equal(recipe.yield, '12 slices');
+  assert.equal(recipe.prepTimeMinutes, 15);
+  assert.equal(recipe.cookTimeMinutes, 45);
+  assert.equal(recipe.totalTimeMinutes, 60);
+  assert.equal(recipe.imageUrl, 'https://bakingblog.example/images/lemon-drizzle.jpg');
+  assert.equal(recipe.ingredients.length, 6);
+  assert.equal(recipe.ingredients[4], '1½ tsp baking powder');
+  assert.deepEqual(recipe.steps.map(s => [s.section, s.instruction]), [
+    ['Cake', 'Heat oven to 180°C.'],
+    ['Cake', 'Beat together the butter, sugar, eggs and zest.'],
+    ['Drizzle', 'Mix the lemon juice with the granulated sugar.'],
+  ]);
+  assert.deepEqual(recipe.tips, ['Pour over while the cake is still warm.']);
+  assert.deepEqual(recipe.keywords, ['cake', 'lemon', 'tray bake']);
+  assert.equal(recipe.source, 'bakingblog.example');
+});
+
+test('microdata, resolving a relative image against the page', async () => {
+  const recipe = await extract('microdata.html', 'https://spicekitchen.example/recipes/dal');
+  assert.equal(recipe.title, 'Weeknight Dal');
+  assert.equal(recipe.author, 'Priya Shah');
+  assert.equal(recipe.imageUrl, 'https://spicekitchen.example/photos/dal.jpg');
+  assert.equal(recipe.servings, 4);
+  assert.equal(recipe.totalTimeMinutes, 35);
+  assert.deepEqual(recipe.ingredients, ['200g red lentils', '1 onion, chopped', '2 tsp ground cumin']);
+  assert.deepEqual(recipe.steps.map(s => s.instruction), [
+    'Rinse the lentils.',
+    'Fry the onion with the cumin.',
+    'Add the lentils and water and simmer for 25 minutes.',
+  ]);
+});
+
+test('RDFa', async () => {
+  const recipe = await extract('rdfa.html', 'https://salads.example/green');
+  assert.equal(recipe.title, 'Green Salad');
+  assert.equal(recipe.totalTimeMinutes, 5);
+  assert.deepEqual(recipe.ingredients, ['1 head butter lettuce', '2 tbsp olive oil']);
+  assert.equal(recipe.steps.length, 1);
+});
+
+test('falls through on a page without a recipe', async () => {
+  assert.equal(await extract('no-recipe.html', 'https://bakingblog.example/about'), null);
+});
@@ -0,0 +1,50 @@
+// Cooking videos: read the captions (or the title and description when there
+// are none) and let the model write the recipe down.
+
+import { youtubeVideoId } from '../urls.js';
+import { ExtractorError } from './errors.js';
+
+// The first caption track listed in the watch page's player config
+export function captionUrlFromPage(html) {
+  const match = html.match(/"baseUrl":\s*"([^"]+timedtext[^"]+)"/);
+  return match ? match[1].replace(/\\u0026/g, '&') : null;
+}
+
+export function parseCaptions(xml) {
+  return [...xml.matchAll(/<text[^>]*>([^<]+)<\/text>/g)].map(m => m[1]).join(' ');
+}
+
+export function describeVideo(html) {
+  const descMatch = html.match(/"description":\s*\{"simpleText":\s*"([^"]+)"/);
+  const titleMatch = html.match(/<title>([^<]+)<\/title>/);
+  return `Title: ${titleMatch?.[1] || ''}\nDescription: ${descMatch?.[1]?.replace(/\\n/g, '\n') || ''}`;
+}
+
+export default {
+  name: 'youtube',
+  hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+  async extract(url, ctx) {
+    const videoId = youtubeVideoId(url);
+    if (!videoId) throw new ExtractorError('INVALID_URL', 'Invalid YouTube URL.', 400);
+
+    const html = await ctx.fetchPage(`https://www.youtube.com/watch?v=${videoId}`);
+    let transcript = '';
+    const captionUrl = captionUrlFromPage(html);
+    if (captionUrl) {
+      try {
+        transcript = parseCaptions(await ctx.fetchPage(captionUrl, { accept: ['text/xml', 'application/xml'] }));
+      } catch (err) {
+        // No captions is not fatal - the description may still do
+        console.warn(`⚠️ Captions unavailable (${err.code || err.message})`);
+      }
+    }
+    if (!transcript || transcript.length < 100) transcript = describeVideo(html);
+    if (transcript.length < 50) {
+      throw new ExtractorError('NO_TRANSCRIPT', 'Could not extract transcript. Video may not have captions.', 400);
+    }
+
+    const recipe = await ctx.extractWithLLM({ kind: 'transcript', text: transcript, source: 'YouTube' });
+    if (recipe && !recipe.imageUrl) recipe.imageUrl = `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+    return recipe;
+  },
+};
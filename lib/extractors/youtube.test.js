@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import youtube, { captionUrlFromPage, parseCaptions } from './youtube.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Serves the watch page and captions from fixtures, and records what the
+// model would have been asked
+function context({ watchPage = fixture('youtube-watch.html'), captions = fixture('youtube-captions.xml') } = {}) {
+  const ctx = {
+    fetched: [],
+    llmInput: null,
+    async fetchPage(url) {
+      ctx.fetched.push(url);
+      if (url.includes('/api/timedtext')) {
+        if (captions instanceof Error) throw captions;
+        return captions;
+      }
+      return watchPage;
+    },
+    async extractWithLLM(input) {
+      ctx.llmInput = input;
+      return { title: 'Perfect Pancakes', ingredients: ['200g flour'], steps: [] };
+    },
+  };
+  return ctx;
+}
+
+test('finds the caption track in the watch page', () => {
+  assert.equal(
+    captionUrlFromPage(fixture('youtube-watch.html')),
+    'https://www.youtube.com/api/timedtext?v=dQw4w9WgXcQ&lang=en&fmt=srv1'
+  );
+});
+
+test('joins caption lines into a transcript', () => {
+  const transcript = parseCaptions(fixture('youtube-captions.xml'));
+  assert.match(transcript, /^Today we are making fluffy pancakes\. Whisk 200 grams/);
+  assert.match(transcript, /Flip after one minute\.$/);
+});
+
+test('reads the recipe from the captions of any YouTube link shape', async () => {
+  for (const url of ['https://youtu.be/dQw4w9WgXcQ', 'https://www.youtube.com/shorts/dQw4w9WgXcQ']) {
+    const ctx = context();
+    const recipe = await youtube.extract(url, ctx);
+    assert.equal(ctx.fetched[0], 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(ctx.llmInput.kind, 'transcript');
+    assert.equal(ctx.llmInput.source, 'YouTube');
+    assert.match(ctx.llmInput.text, /Whisk 200 grams of flour/);
+    assert.equal(recipe.imageUrl, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg');
+  }
+});
+
+test('falls back to the title and description when captions fail', async () => {
+  const ctx = context({ captions: new Error('403') });
+  await youtube.extract('https://www.youtube.com/watch?v=dQw4w9WgXcQ', ctx);
+  assert.match(ctx.llmInput.text, /^Title: Perfect Pancakes in 5 Minutes - YouTube\nDescription: Fluffy pancakes\.\nIngredients/);
+});
+
+test('gives up on a video with neither captions nor a description', async () => {
+  const ctx = context({ watchPage: '<html><head><title>x</title></head></html>' });
+  await assert.rejects(youtube.extract('https://www.youtube.com/watch?v=dQw4w9WgXcQ', ctx), { code: 'NO_TRANSCRIPT', status: 400 });
+  assert.equal(ctx.llmInput, null);
+});
+
+test('rejects a YouTube link without a video id', async () => {
+  await assert.rejects(youtube.extract('https://www.youtube.com/feed/trending', context()), { code: 'INVALID_URL', status: 400 });
+});
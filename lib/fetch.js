@@ -0,0 +1,223 @@
+// =============================================================================
+// SAFE FETCH
+// =============================================================================
+// Every page we fetch on a client's behalf goes through here. The client picks
+// the URL, so we refuse anything that resolves to a private or reserved
+// address (checked when the socket connects, so DNS rebinding and redirects
+// can't sneak past), and cap how long and how much we read.
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+
+const DEFAULTS = {
+  timeoutMs: 10000,
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  accept: ['text/html', 'application/xhtml+xml'],
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  // Which addresses and ports are off limits; tests swap these to reach a
+  // local server
+  isBlocked: isBlockedAddress,
+  ports: new Set(['', '80', '443', '8080', '8443']),
+};
+
+// `code` says what went wrong, `status` is what the route should answer with
+export class FetchError extends Error {
+  constructor(code, message, status = 422) {
+    super(message);
+    this.name = 'FetchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Loopback, private, link-local, CGNAT, multicast, documentation and other
+// special-purpose ranges
+const BLOCKED = new net.BlockList();
+for (const [net4, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED.addSubnet(net4, prefix, 'ipv4');
+for (const [net6, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(net6, prefix, 'ipv6');
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 6) {
+    // ::ffff:127.0.0.1 and friends reach the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+    const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (hex) {
+      const n = (parseInt(hex[1], 16) << 16 | parseInt(hex[2], 16)) >>> 0;
+      return BLOCKED.check([n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.'), 'ipv4');
+    }
+    return BLOCKED.check(address, 'ipv6');
+  }
+  return BLOCKED.check(address, 'ipv4');
+}
+
+// dns.lookup that refuses to hand out a blocked address. Used as the socket's
+// lookup, so the address we check is the address we connect to.
+const safeLookup = (isBlocked) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(new FetchError('DNS_FAILED', 'Could not find that website.', 422));
+    const blocked = addresses.find(a => isBlocked(a.address));
+    if (blocked || !addresses.length) {
+      return callback(new FetchError('BLOCKED_URL', 'That address cannot be fetched.', 400));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Parse and vet a URL before we connect anywhere
+export function checkUrl(url, { isBlocked = DEFAULTS.isBlocked, ports = DEFAULTS.ports } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new FetchError('INVALID_URL', 'Invalid URL.', 400);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new FetchError('INVALID_URL', 'Only http and https links are supported.', 400);
+  }
+  if (parsed.username || parsed.password) {
+    throw new FetchError('INVALID_URL', 'Links with credentials are not supported.', 400);
+  }
+  if (!ports.has(parsed.port)) {
+    throw new FetchError('BLOCKED_URL', 'That address cannot be fetched.', 400);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  // Literal IPs never go through lookup, so check them here
+  if (net.isIP(host) && isBlocked(host)) {
+    throw new FetchError('BLOCKED_URL', 'That address cannot be fetched.', 400);
+  }
+  if (/^localhost$|\.localhost$|\.local$|\.internal$/i.test(host)) {
+    throw new FetchError('BLOCKED_URL', 'That address cannot be fetched.', 400);
+  }
+  return parsed;
+}
+
+function request(parsed, { headers, signal, isBlocked }) {
+  const lib = parsed.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = lib.request(parsed, { method: 'GET', headers, lookup: safeLookup(isBlocked), signal }, resolve);
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function createDecoder(encoding) {
+  switch (encoding) {
+    case 'gzip': case 'x-gzip': return zlib.createGunzip();
+    case 'deflate': return zlib.createInflate();
+    case 'br': return zlib.createBrotliDecompress();
+    default: return null;
+  }
+}
+
+// pipeline (not pipe) so an abort or error on the response destroys the
+// decoder too; otherwise reading the decoder would wait forever
+function decodedStream(res) {
+  const decoder = createDecoder((res.headers['content-encoding'] || '').trim().toLowerCase());
+  if (!decoder) return res;
+  return pipeline(res, decoder, () => {});
+}
+
+// Read the body, giving up past maxBytes (after decompression)
+async function readBody(res, maxBytes) {
+  const declared = parseInt(res.headers['content-length']);
+  if (declared > maxBytes) {
+    res.destroy();
+    throw new FetchError('TOO_LARGE', 'That page is too large to read.', 422);
+  }
+  const chunks = [];
+  let size = 0;
+  const stream = decodedStream(res);
+  try {
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > maxBytes) throw new FetchError('TOO_LARGE', 'That page is too large to read.', 422);
+      chunks.push(chunk);
+    }
+  } finally {
+    res.destroy();
+    stream.destroy();
+  }
+  return Buffer.concat(chunks);
+}
+
+function decodeText(buffer, contentType) {
+  let charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  if (!charset) {
+    // <meta charset="..."> near the top of the page
+    charset = buffer.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+  }
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// GET a URL and return { url, status, contentType, text }. Throws FetchError.
+export async function safeFetch(url, options = {}) {
+  const { timeoutMs, maxBytes, maxRedirects, accept, userAgent, isBlocked, ports, headers = {} } = { ...DEFAULTS, ...options };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let current = checkUrl(url, { isBlocked, ports });
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const res = await request(current, {
+        signal: controller.signal,
+        isBlocked,
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': `${accept.join(', ')};q=0.9, */*;q=0.1`,
+          'Accept-Encoding': 'gzip, deflate, br',
+          ...headers,
+        },
+      });
+
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= maxRedirects) {
+          throw new FetchError('TOO_MANY_REDIRECTS', 'That page redirects too many times.', 422);
+        }
+        current = checkUrl(new URL(res.headers.location, current).toString(), { isBlocked, ports });
+        continue;
+      }
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        throw new FetchError('HTTP_ERROR', `The website responded with an error (${res.statusCode}).`, 422);
+      }
+
+      const contentType = res.headers['content-type'] || '';
+      const mime = contentType.split(';')[0].trim().toLowerCase();
+      if (mime && accept.length && !accept.includes(mime)) {
+        res.resume();
+        throw new FetchError('UNSUPPORTED_CONTENT', "That link doesn't point to a page we can read.", 422);
+      }
+
+      const body = await readBody(res, maxBytes);
+      return { url: current.toString(), status: res.statusCode, contentType, text: decodeText(body, contentType) };
+    }
+  } catch (err) {
+    if (err instanceof FetchError) throw err;
+    if (controller.signal.aborted) throw new FetchError('TIMEOUT', 'The website took too long to respond.', 408);
+    throw new FetchError('NETWORK', 'Could not reach that website.', 422);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,128 @@
+// =============================================================================
+// GOOGLE ID TOKENS
+// =============================================================================
+// Checks a Sign in with Google credential (a JWT) before we believe anything
+// in it: RS256 signature against Google's published keys, issuer, audience
+// (our client id) and expiry.
+//
+//   const verifier = createGoogleVerifier({ clientIds: ['123.apps.googleusercontent.com'] });
+//   const payload = await verifier.verify(credential); // throws GoogleAuthError
+//
+// Keys are cached for as long as Google's Cache-Control allows. A token signed
+// with a key we haven't seen triggers one refetch, which is how rotation is
+// picked up. `fetchKeys` can be swapped for a local key set.
+
+import crypto from 'crypto';
+
+export const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+// Allowed clock difference between us and Google
+const CLOCK_SKEW_SECONDS = 60;
+// Never refetch keys more often than this, however many unknown kids arrive
+const MIN_REFETCH_MS = 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+
+export class GoogleAuthError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'GoogleAuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// GET the JWKS, returning { keys, maxAgeMs }
+export async function fetchGoogleKeys(url = GOOGLE_JWKS_URL) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) throw new Error(`JWKS request failed (${response.status})`);
+  const maxAge = parseInt(response.headers.get('cache-control')?.match(/max-age=(\d+)/)?.[1]);
+  const { keys } = await response.json();
+  return { keys, maxAgeMs: maxAge > 0 ? maxAge * 1000 : DEFAULT_MAX_AGE_MS };
+}
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+export function createGoogleVerifier({ clientIds, fetchKeys = fetchGoogleKeys, now = () => Date.now() }) {
+  const audiences = [].concat(clientIds || []).filter(Boolean);
+  let cache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+  let pending = null;
+
+  async function refresh() {
+    // Concurrent logins share one request
+    pending = pending || (async () => {
+      try {
+        const { keys, maxAgeMs } = await fetchKeys();
+        const byKid = new Map();
+        for (const jwk of keys || []) {
+          if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+          try {
+            byKid.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          } catch (e) {
+            console.warn(`⚠️ Skipping unreadable Google key ${jwk.kid}`);
+          }
+        }
+        cache = { keys: byKid, expiresAt: now() + maxAgeMs, fetchedAt: now() };
+      } finally {
+        pending = null;
+      }
+    })();
+    return pending;
+  }
+
+  async function keyFor(kid) {
+    if (now() >= cache.expiresAt) await refresh();
+    // Unknown kid: Google may have rotated since we last looked
+    if (!cache.keys.has(kid) && now() - cache.fetchedAt >= MIN_REFETCH_MS) await refresh();
+    return cache.keys.get(kid) || null;
+  }
+
+  return {
+    async verify(credential) {
+      if (!audiences.length) throw new GoogleAuthError('NOT_CONFIGURED', 'Google sign-in is not configured.', 503);
+      const parts = typeof credential === 'string' ? credential.split('.') : [];
+      if (parts.length !== 3) throw new GoogleAuthError('MALFORMED', 'Invalid Google credential.');
+      const header = decodePart(parts[0]);
+      const payload = decodePart(parts[1]);
+      if (!header || !payload) throw new GoogleAuthError('MALFORMED', 'Invalid Google credential.');
+      // Only RS256: refuses "none" and HMAC tricks with the public key
+      if (header.alg !== 'RS256' || !header.kid) throw new GoogleAuthError('BAD_ALGORITHM', 'Invalid Google credential.');
+
+      let key;
+      try {
+        key = await keyFor(header.kid);
+      } catch (err) {
+        console.error('Google key fetch error:', err);
+        throw new GoogleAuthError('KEYS_UNAVAILABLE', 'Could not check Google sign-in. Please try again.', 503);
+      }
+      if (!key) throw new GoogleAuthError('UNKNOWN_KEY', 'Invalid Google credential.');
+      const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+      if (!crypto.verify('RSA-SHA256', signed, key, Buffer.from(parts[2], 'base64url'))) {
+        throw new GoogleAuthError('BAD_SIGNATURE', 'Invalid Google credential.');
+      }
+
+      const seconds = now() / 1000;
+      if (!ISSUERS.includes(payload.iss)) throw new GoogleAuthError('BAD_ISSUER', 'Invalid Google credential.');
+      const aud = [].concat(payload.aud);
+      if (!aud.some(a => audiences.includes(a))) throw new GoogleAuthError('BAD_AUDIENCE', 'Invalid Google credential.');
+      if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < seconds) {
+        throw new GoogleAuthError('EXPIRED', 'Google sign-in expired. Please try again.');
+      }
+      if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > seconds) {
+        throw new GoogleAuthError('NOT_YET_VALID', 'Invalid Google credential.');
+      }
+      if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > seconds) {
+        throw new GoogleAuthError('NOT_YET_VALID', 'Invalid Google credential.');
+      }
+      if (!payload.sub) throw new GoogleAuthError('MALFORMED', 'Invalid Google credential.');
+
+      // Google sends email_verified as a boolean, older tokens as a string
+      return { ...payload, email_verified: payload.email_verified === true || payload.email_verified === 'true' };
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createGoogleVerifier } from './google-auth.js';
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const NOW = Date.UTC(2026, 0, 1);
+
+// Two local key pairs standing in for Google's: `current` is published from
+// the start, `rotated` only once Google "rotates"
+const keyPair = (kid) => ({ kid, ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) });
+const current = keyPair('kid-current');
+const rotated = keyPair('kid-rotated');
+const jwk = ({ kid, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' });
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(payload, { key = current, header = {} } = {}) {
+  const head = b64({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header });
+  const body = b64(payload);
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${head}.${body}`), key.privateKey).toString('base64url');
+  return `${head}.${body}.${signature}`;
+}
+
+const claims = (fields = {}) => ({
+  iss: 'https://accounts.google.com',
+  aud: CLIENT_ID,
+  sub: '1234567890',
+  email: 'cook@example.com',
+  email_verified: true,
+  iat: NOW / 1000 - 10,
+  exp: NOW / 1000 + 3600,
+  ...fields,
+});
+
+let published;
+let fetches;
+let clock;
+let verifier;
+
+beforeEach(() => {
+  published = [jwk(current)];
+  fetches = 0;
+  clock = NOW;
+  verifier = createGoogleVerifier({
+    clientIds: [CLIENT_ID],
+    fetchKeys: async () => {
+      fetches++;
+      return { keys: published, maxAgeMs: 60 * 60 * 1000 };
+    },
+    now: () => clock,
+  });
+});
+
+const rejects = (credential, code) => assert.rejects(verifier.verify(credential), { name: 'GoogleAuthError', code });
+
+test('accepts a token signed with a published key', async () => {
+  const payload = await verifier.verify(sign(claims()));
+  assert.equal(payload.sub, '1234567890');
+  assert.equal(payload.email_verified, true);
+});
+
+test('reads email_verified sent as a string', async () => {
+  assert.equal((await verifier.verify(sign(claims({ email_verified: 'true' })))).email_verified, true);
+  assert.equal((await verifier.verify(sign(claims({ email_verified: 'false' })))).email_verified, false);
+});
+
+test('refuses alg none', async () => {
+  const head = b64({ alg: 'none', typ: 'JWT', kid: current.kid });
+  await rejects(`${head}.${b64(claims())}.`, 'BAD_ALGORITHM');
+});
+
+test('refuses HS256 signed with the public key', async () => {
+  const head = b64({ alg: 'HS256', typ: 'JWT', kid: current.kid });
+  const body = b64(claims());
+  const secret = current.publicKey.export({ type: 'spki', format: 'pem' });
+  const signature = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest('base64url');
+  await rejects(`${head}.${body}.${signature}`, 'BAD_ALGORITHM');
+});
+
+test('refuses a token signed by a key that is not Google\'s', async () => {
+  const stranger = keyPair(current.kid);
+  await rejects(sign(claims(), { key: stranger }), 'BAD_SIGNATURE');
+});
+
+test('refuses a tampered payload', async () => {
+  const [head, , signature] = sign(claims()).split('.');
+  await rejects(`${head}.${b64(claims({ sub: 'someone-else' }))}.${signature}`, 'BAD_SIGNATURE');
+});
+
+test('refuses the wrong audience', async () => {
+  await rejects(sign(claims({ aud: 'other-app.apps.googleusercontent.com' })), 'BAD_AUDIENCE');
+});
+
+test('accepts an audience list that includes our client id', async () => {
+  assert.ok(await verifier.verify(sign(claims({ aud: ['other-app', CLIENT_ID] }))));
+});
+
+test('refuses the wrong issuer', async () => {
+  await rejects(sign(claims({ iss: 'https://evil.example.com' })), 'BAD_ISSUER');
+});
+
+test('refuses an expired token, allowing for clock skew', async () => {
+  await rejects(sign(claims({ exp: NOW / 1000 - 120 })), 'EXPIRED');
+  assert.ok(await verifier.verify(sign(claims({ exp: NOW / 1000 - 30 }))));
+});
+
+test('refuses a token issued in the future', async () => {
+  await rejects(sign(claims({ iat: NOW / 1000 + 600 })), 'NOT_YET_VALID');
+});
+
+test('refuses malformed credentials', async () => {
+  await rejects('not-a-jwt', 'MALFORMED');
+  await rejects(undefined, 'MALFORMED');
+  await rejects(sign(claims({ sub: undefined })), 'MALFORMED');
+});
+
+test('refetches keys once for an unknown kid after rotation', async () => {
+  await verifier.verify(sign(claims()));
+  assert.equal(fetches, 1);
+
+  published = [jwk(current), jwk(rotated)];
+  clock += 2 * 60 * 1000;
+  assert.ok(await verifier.verify(sign(claims(), { key: rotated })));
+  assert.equal(fetches, 2);
+});
+
+test('does not refetch for unknown kids more than once a minute', async () => {
+  await verifier.verify(sign(claims()));
+  await rejects(sign(claims(), { key: rotated }), 'UNKNOWN_KEY');
+  await rejects(sign(claims(), { key: rotated }), 'UNKNOWN_KEY');
+  assert.equal(fetches, 1);
+});
+
+test('refetches keys when the cached set expires', async () => {
+  await verifier.verify(sign(claims()));
+  clock += 61 * 60 * 1000;
+  await verifier.verify(sign(claims({ iat: clock / 1000, exp: clock / 1000 + 3600 })));
+  assert.equal(fetches, 2);
+});
+
+test('answers 503 when the keys cannot be fetched', async () => {
+  const broken = createGoogleVerifier({
+    clientIds: [CLIENT_ID],
+    fetchKeys: async () => { throw new Error('network down'); },
+    now: () => clock,
+  });
+  await assert.rejects(broken.verify(sign(claims())), { code: 'KEYS_UNAVAILABLE', status: 503 });
+});
+
+test('answers 503 when no client id is configured', async () => {
+  await assert.rejects(createGoogleVerifier({ clientIds: [] }).verify(sign(claims())), { code: 'NOT_CONFIGURED', status: 503 });
+});
@@ -0,0 +1,97 @@
+// Helpers shared by the importers. Importers return raw recipes in the same
+// shape the extractors do (title, ingredients as strings, steps, ...); the
+// route runs them through validateAndFixRecipe.
+
+import { parseDuration, formatDuration, cleanSchemaText } from '../schema.js';
+import { formatFraction } from '../units.js';
+
+export { cleanSchemaText };
+
+// "1 hour 30 mins", "1:30", "PT1H30M", "45" -> minutes
+export function parseTimeText(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const text = String(value).trim().toLowerCase();
+  const iso = parseDuration(text.toUpperCase());
+  if (iso != null) return iso > 0 ? iso : null;
+  const clock = text.match(/^(\d+):(\d{2})$/);
+  if (clock) return parseInt(clock[1]) * 60 + parseInt(clock[2]);
+  const days = parseFloat(text.match(/([\d.]+)\s*(?:d|days?)\b/)?.[1] || 0);
+  const hours = parseFloat(text.match(/([\d.]+)\s*(?:h|hrs?|hours?)\b/)?.[1] || 0);
+  const minutes = parseFloat(text.match(/([\d.]+)\s*(?:m|mins?|minutes?)\b/)?.[1] || 0);
+  const total = days * 1440 + hours * 60 + minutes;
+  return total > 0 ? total : null;
+}
+
+// prepTime/cookTime/totalTime and their minute counterparts from whatever an
+// app stored
+export function recipeTimes({ prep, cook, total }) {
+  const prepTimeMinutes = parseTimeText(prep);
+  const cookTimeMinutes = parseTimeText(cook);
+  const totalTimeMinutes = parseTimeText(total) ??
+    (prepTimeMinutes != null || cookTimeMinutes != null ? (prepTimeMinutes || 0) + (cookTimeMinutes || 0) : null);
+  return {
+    prepTime: formatDuration(prepTimeMinutes),
+    cookTime: formatDuration(cookTimeMinutes),
+    totalTime: formatDuration(totalTimeMinutes),
+    prepTimeMinutes,
+    cookTimeMinutes,
+    totalTimeMinutes,
+  };
+}
+
+// "4", "4 servings", "Makes 12 cookies" -> { servings, yield }
+export function parseServings(value) {
+  if (value == null || value === '') return { servings: null, yield: null };
+  const text = String(value).trim();
+  const servings = parseInt(text.match(/\d+/)?.[0]) || null;
+  return { servings, yield: /[a-z]/i.test(text) ? text : null };
+}
+
+export function splitLines(text) {
+  return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// Directions as one block of text: a step per paragraph (or per line when
+// there are no blank lines). Short lines ending in ":" name the part the
+// following steps belong to.
+export function stepsFromText(text) {
+  const value = String(text || '').replace(/\r\n/g, '\n').trim();
+  if (!value) return [];
+  const blocks = /\n\s*\n/.test(value) ? value.split(/\n\s*\n/) : value.split('\n');
+  const steps = [];
+  let section = null;
+  for (const block of blocks) {
+    const line = block.replace(/\s*\n\s*/g, ' ').trim();
+    if (!line) continue;
+    if (line.length <= 60 && /:$/.test(line)) {
+      section = line.slice(0, -1).trim();
+      continue;
+    }
+    const instruction = line.replace(/^\s*(?:step\s*)?\d+[.)]\s+/i, '').trim();
+    if (instruction) steps.push({ instruction, ingredients: [], section });
+  }
+  return steps;
+}
+
+// 0.5 -> "1/2", 2 -> "2", 0.333 -> "1/3"
+export function formatQuantity(amount) {
+  const value = parseFloat(amount);
+  if (!isFinite(value) || value <= 0) return '';
+  return Math.abs(value - Math.round(value)) < 0.01 ? String(Math.round(value)) : formatFraction(value, [2, 3, 4, 8]);
+}
+
+// [{ name }] or ["a", "b"] or "a, b" -> ["a", "b"]
+export function nameList(value) {
+  if (!value) return [];
+  const list = typeof value === 'string' ? value.split(',') : [].concat(value).map(v => (typeof v === 'string' ? v : v?.name));
+  return list.map(v => cleanSchemaText(v)).filter(Boolean);
+}
+
+export function parseJson(buffer) {
+  try {
+    return JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return undefined;
+  }
+}
@@ -0,0 +1,10 @@
+// Thrown when an uploaded export file can't be read at all. Same shape as
+// FetchError so routes can answer with `status`.
+export class ImportError extends Error {
+  constructor(code, message, status = 422) {
+    super(message);
+    this.name = 'ImportError';
+    this.code = code;
+    this.status = status;
+  }
+}
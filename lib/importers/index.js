@@ -0,0 +1,121 @@
+// =============================================================================
+// IMPORTER REGISTRY
+// =============================================================================
+// Reads other recipe managers' export files. The upload is unpacked first
+// (zips, and zips inside zips as Tandoor writes them), then each file is
+// offered to the importers in order; the first whose detect() claims it
+// parses it into raw recipes, the same shape the extractors return.
+//
+//   registerImporter({
+//     name: 'example',
+//     detect(file) { ... },          // file: { name, data: Buffer }
+//     parse(file, { budget }) { ... }, // -> [raw recipe]
+//   });
+//
+// `budget` is what is left of the upload's unpacked-size allowance; anything
+// an importer decompresses must be taken from it (see gunzip).
+
+import path from 'path';
+import { Worker } from 'worker_threads';
+import paprika from './paprika.js';
+import mealie from './mealie.js';
+import tandoor from './tandoor.js';
+import schemaOrg from './schema-org.js';
+import mealmaster from './mealmaster.js';
+import { isZip, readZip, createBudget } from './zip.js';
+import { ImportError } from './errors.js';
+
+export { ImportError };
+
+const importers = [];
+
+export function registerImporter(importer) {
+  if (!importer?.name || typeof importer.detect !== 'function' || typeof importer.parse !== 'function') {
+    throw new Error('Importers need a name and detect(file) and parse(file) functions');
+  }
+  importers.push(importer);
+}
+
+export function importerNames() {
+  return importers.map(i => i.name);
+}
+
+// Files that are clearly not recipes: images, and macOS archive litter
+const IGNORED = /(^|\/)(__MACOSX\/|\.DS_Store$)|\.(jpe?g|png|gif|webp|heic)$/i;
+const MAX_NESTING = 2;
+
+function unpack(file, budget, depth = 0) {
+  if (!isZip(file.data)) return [file];
+  if (depth >= MAX_NESTING) throw new ImportError('BAD_ARCHIVE', 'That archive is nested too deeply.');
+  return readZip(file.data, { budget })
+    .filter(entry => !IGNORED.test(entry.name))
+    .flatMap(entry => unpack({ name: entry.name, data: entry.data }, budget, depth + 1));
+}
+
+// { formats, recipes: [{ file, recipe }], skipped: [{ file, title, reason }] }.
+// `format` limits detection to one importer.
+export function parseExportFile(data, filename, { format = null, maxBytes = 100 * 1024 * 1024 } = {}) {
+  const candidates = format ? importers.filter(i => i.name === format) : importers;
+  if (!candidates.length) throw new ImportError('UNKNOWN_FORMAT', `Unknown format "${format}".`, 400);
+
+  const budget = createBudget(maxBytes);
+  const files = unpack({ name: path.basename(filename || 'upload'), data }, budget);
+  const formats = new Set();
+  const recipes = [];
+  const skipped = [];
+  for (const file of files) {
+    const importer = candidates.find(i => i.detect(file));
+    if (!importer) {
+      skipped.push({ file: file.name, title: null, reason: 'unrecognised_file' });
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = importer.parse(file, { budget });
+    } catch (err) {
+      if (err instanceof ImportError && err.code === 'TOO_LARGE') throw err;
+      skipped.push({ file: file.name, title: null, reason: 'unreadable' });
+      continue;
+    }
+    formats.add(importer.name);
+    if (!parsed.length) skipped.push({ file: file.name, title: null, reason: 'no_recipe' });
+    for (const recipe of parsed) recipes.push({ file: file.name, recipe });
+  }
+
+  if (!recipes.length && !formats.size) {
+    throw new ImportError('UNKNOWN_FORMAT', `We couldn't find recipes in that file. Supported formats: ${importerNames().join(', ')}.`);
+  }
+  return { formats: [...formats], recipes, skipped };
+}
+
+// parseExportFile on a worker thread, so unpacking a large archive doesn't
+// block every other request. The worker's heap is capped too; running out
+// counts as the file being too large. Only the built-in importers are
+// available there.
+export function parseExportFileInWorker(data, filename, { format = null, maxBytes = 100 * 1024 * 1024, maxHeapMb = 512 } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./parse-worker.js', import.meta.url), {
+      workerData: { data, filename, options: { format, maxBytes } },
+      resourceLimits: { maxOldGenerationSizeMb: maxHeapMb },
+    });
+    let settled = false;
+    worker.once('message', ({ result, error }) => {
+      settled = true;
+      if (result) return resolve(result);
+      reject(error.name === 'ImportError' ? new ImportError(error.code, error.message, error.status) : new Error(error.message));
+    });
+    worker.once('error', (err) => {
+      settled = true;
+      reject(err.code === 'ERR_WORKER_OUT_OF_MEMORY' ? new ImportError('TOO_LARGE', 'That archive is too large to import.') : err);
+    });
+    worker.once('exit', (code) => {
+      if (!settled) reject(new Error(`Import worker exited with code ${code}`));
+    });
+  });
+}
+
+registerImporter(paprika);
+registerImporter(tandoor);
+registerImporter(mealie);
+registerImporter(schemaOrg);
+registerImporter(mealmaster);
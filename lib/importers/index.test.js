@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import zlib from 'zlib';
+import { parseExportFile, importerNames } from './index.js';
+import { createZipWriter } from '../export.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+function zipOf(entries) {
+  const chunks = [];
+  const zip = createZipWriter(chunk => chunks.push(chunk));
+  for (const [name, data] of entries) zip.add(name, data);
+  zip.finish();
+  return Buffer.concat(chunks);
+}
+
+test('registers the built-in importers in detection order', () => {
+  assert.deepEqual(importerNames(), ['paprika', 'tandoor', 'mealie', 'schema.org', 'mealmaster']);
+});
+
+test('Paprika: a zip of gzipped recipes', () => {
+  const archive = zipOf([['Banana Bread.paprikarecipe', zlib.gzipSync(fixture('paprika.json'))]]);
+  const { formats, recipes, skipped } = parseExportFile(archive, 'My Recipes.paprikarecipes');
+  assert.deepEqual(formats, ['paprika']);
+  assert.deepEqual(skipped, []);
+  const [{ file, recipe }] = recipes;
+  assert.equal(file, 'Banana Bread.paprikarecipe');
+  assert.equal(recipe.title, 'Banana Bread');
+  assert.equal(recipe.servings, 1);
+  assert.equal(recipe.yield, '1 loaf');
+  assert.equal(recipe.totalTimeMinutes, 70);
+  assert.deepEqual(recipe.ingredients, ['3 ripe bananas', '1/3 cup melted butter', '3/4 cup sugar', '1 1/2 cups flour']);
+  assert.equal(recipe.steps.length, 3);
+  assert.deepEqual(recipe.category, ['Baking', 'Breakfast']);
+  assert.equal(recipe.source, 'bakes.example');
+});
+
+test('Mealie: structured ingredients with groups', () => {
+  const { formats, recipes } = parseExportFile(fixture('mealie.json'), 'chicken-curry.json');
+  assert.deepEqual(formats, ['mealie']);
+  const { recipe } = recipes[0];
+  assert.equal(recipe.title, 'Chicken Curry');
+  assert.deepEqual(recipe.ingredients, ['Curry:', '500 g chicken thighs, diced', '1/2 tsp turmeric', '1 can coconut milk', 'To serve:', '1 lime']);
+  assert.deepEqual(recipe.tips, ['Heat: Add chilli to taste.']);
+  assert.deepEqual(recipe.keywords, ['Spicy']);
+  assert.deepEqual(recipe.nutrition, { calories: '450' });
+  assert.equal(recipe.totalTimeMinutes, 45);
+});
+
+test('Tandoor: a zip of zips, with ingredients grouped by step', () => {
+  const inner = zipOf([['recipe.json', fixture('tandoor-recipe.json')], ['image.jpg', Buffer.from('not really a jpeg')]]);
+  const { formats, recipes, skipped } = parseExportFile(zipOf([['1.zip', inner]]), 'export.zip');
+  assert.deepEqual(formats, ['tandoor']);
+  assert.deepEqual(skipped, []);
+  const { recipe } = recipes[0];
+  assert.equal(recipe.title, 'Pancakes');
+  assert.equal(recipe.yield, '8 pancakes');
+  assert.deepEqual(recipe.ingredients, ['Batter:', '200 g flour', '2 eggs, beaten', 'Cooking:', 'butter for frying']);
+  assert.deepEqual(recipe.steps.map(s => [s.section, s.instruction]), [
+    ['Batter', 'Whisk everything together.'],
+    ['Batter', 'Rest for 10 minutes.'],
+    ['Cooking', 'Fry ladlefuls in the butter.'],
+  ]);
+});
+
+test('schema.org: a Nextcloud recipe.json, dropping its local image', () => {
+  const { formats, recipes } = parseExportFile(fixture('nextcloud-recipe.json'), 'recipe.json');
+  assert.deepEqual(formats, ['schema.org']);
+  const { recipe } = recipes[0];
+  assert.equal(recipe.title, 'Tomato Soup');
+  assert.equal(recipe.imageUrl, null);
+  assert.equal(recipe.sourceUrl, 'https://soups.example/tomato');
+  assert.deepEqual(recipe.ingredients, ['1 kg tomatoes', '1 onion', '500 ml vegetable stock']);
+  assert.deepEqual(recipe.keywords, ['soup', 'vegetarian']);
+});
+
+test('MealMaster: several recipes, two-column ingredients and sections', () => {
+  const { formats, recipes } = parseExportFile(fixture('recipes.mmf'), 'recipes.mmf');
+  assert.deepEqual(formats, ['mealmaster']);
+  const [shortbread, icing] = recipes.map(r => r.recipe);
+  assert.equal(shortbread.title, 'Shortbread');
+  assert.equal(shortbread.servings, 24);
+  assert.deepEqual(shortbread.ingredients, ['1 cup Butter, softened', '1/2 cup Sugar', '2 cup Flour sifted']);
+  assert.deepEqual(shortbread.category, ['Cookies', 'Baking']);
+  assert.equal(shortbread.steps.length, 2);
+  assert.equal(icing.title, 'Lemon Icing');
+  assert.deepEqual(icing.ingredients, ['Icing:', '1 cup Icing sugar', '2 tbsp Lemon juice']);
+  assert.deepEqual(icing.category, []);
+});
+
+test('a format hint limits detection to that importer', () => {
+  assert.throws(() => parseExportFile(fixture('mealie.json'), 'chicken-curry.json', { format: 'tandoor' }), { code: 'UNKNOWN_FORMAT' });
+  assert.throws(() => parseExportFile(fixture('mealie.json'), 'x.json', { format: 'nope' }), { code: 'UNKNOWN_FORMAT', status: 400 });
+});
+
+test('files no importer recognises', () => {
+  assert.throws(() => parseExportFile(Buffer.from('just some notes'), 'notes.txt'), { code: 'UNKNOWN_FORMAT' });
+  const { skipped } = parseExportFile(zipOf([['recipe.json', fixture('mealie.json')], ['notes.txt', Buffer.from('hi')]]), 'mixed.zip');
+  assert.deepEqual(skipped, [{ file: 'notes.txt', title: null, reason: 'unrecognised_file' }]);
+});
@@ -0,0 +1,76 @@
+// Mealie: one JSON document per recipe (recipes/<slug>/<slug>.json in a full
+// export), or older exports with every recipe in one { recipes: [...] } file.
+
+import { parseJson, recipeTimes, parseServings, nameList, formatQuantity, cleanSchemaText } from './common.js';
+
+const isMealieRecipe = (r) => r && typeof r === 'object' && typeof r.slug === 'string' && Array.isArray(r.recipeIngredient ?? r.recipe_ingredient);
+
+function documents(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.recipes)) return data.recipes;
+  return [data];
+}
+
+// Structured ingredients keep the line as typed in `note`/`display`; older
+// ones are plain strings
+function ingredientLine(ing) {
+  if (typeof ing === 'string') return cleanSchemaText(ing);
+  if (ing.display?.trim()) return cleanSchemaText(ing.display);
+  const parts = [formatQuantity(ing.quantity), ing.unit?.name, ing.food?.name].filter(Boolean).join(' ');
+  if (parts && ing.note) return `${parts}, ${cleanSchemaText(ing.note)}`;
+  return cleanSchemaText(parts || ing.note || ing.originalText || '');
+}
+
+function convert(r) {
+  const ingredients = [];
+  for (const ing of r.recipeIngredient ?? r.recipe_ingredient ?? []) {
+    // A titled ingredient starts a new group
+    if (ing?.title) ingredients.push(`${cleanSchemaText(ing.title).replace(/:$/, '')}:`);
+    const line = ingredientLine(ing || '');
+    if (line) ingredients.push(line);
+  }
+  let section = null;
+  const steps = [];
+  for (const step of r.recipeInstructions ?? r.recipe_instructions ?? []) {
+    if (step?.title) section = cleanSchemaText(step.title);
+    const instruction = cleanSchemaText(typeof step === 'string' ? step : step?.text);
+    if (instruction) steps.push({ instruction, ingredients: [], section });
+  }
+  const { servings, yield: recipeYield } = parseServings(r.recipeServings || r.recipeYield || r.recipe_yield);
+  const nutrition = Object.fromEntries(Object.entries(r.nutrition || {}).filter(([, v]) => v != null && v !== ''));
+  const sourceUrl = r.orgURL || r.org_url || null;
+  let source = null;
+  try {
+    source = sourceUrl ? new URL(sourceUrl).hostname.replace('www.', '') : null;
+  } catch (e) {}
+
+  return {
+    title: cleanSchemaText(r.name),
+    description: cleanSchemaText(r.description) || null,
+    servings,
+    yield: recipeYield,
+    ...recipeTimes({ prep: r.prepTime ?? r.prep_time, cook: r.performTime ?? r.cookTime ?? r.perform_time, total: r.totalTime ?? r.total_time }),
+    imageUrl: null,
+    ingredients,
+    steps,
+    tips: (r.notes || []).map(n => [n.title, n.text].filter(Boolean).map(cleanSchemaText).join(': ')).filter(Boolean),
+    category: nameList(r.recipeCategory ?? r.recipe_category),
+    keywords: nameList(r.tags),
+    nutrition: Object.keys(nutrition).length ? nutrition : null,
+    source,
+    sourceUrl,
+    author: null,
+  };
+}
+
+export default {
+  name: 'mealie',
+  detect(file) {
+    if (!/\.json$/i.test(file.name)) return false;
+    const data = parseJson(file.data);
+    return documents(data).some(isMealieRecipe);
+  },
+  parse(file) {
+    return documents(parseJson(file.data)).filter(isMealieRecipe).map(convert);
+  },
+};
@@ -0,0 +1,163 @@
+// MealMaster: plain text, any number of recipes per file. Each starts with a
+// "MMMMM----- Recipe via Meal-Master" (or "-----") line and ends with a line
+// of just "MMMMM" or "-----". Ingredients sit in fixed columns, sometimes two
+// to a line:
+//
+//       1 c  Sugar                              1/2 c  Butter, softened
+//   ^amount ^unit ^text (col 11)
+
+import { cleanSchemaText, parseServings } from './common.js';
+
+const START = /^(?:MMMMM|-----).*meal-?master/i;
+const END = /^(?:MMMMM|-----)\s*$/;
+// "MMMMM-------SAUCE-------" or "-----------SAUCE-----------"
+const SECTION = /^(?:MMMMM)?-{3,}\s*([^-].*?)\s*-{3,}\s*$/;
+const INGREDIENT = /^([ \d./-]{7}) ([A-Za-z ]{2}) (.*)$/;
+
+const UNITS = {
+  x: '', ea: '', sm: 'small', md: 'medium', lg: 'large', cn: 'can', pk: 'package', pn: 'pinch', dr: 'drop',
+  ds: 'dash', ct: 'carton', bn: 'bunch', sl: 'slice', t: 'tsp', ts: 'tsp', T: 'tbsp', tb: 'tbsp', fl: 'fl oz',
+  c: 'cup', pt: 'pint', qt: 'quart', ga: 'gallon', oz: 'oz', lb: 'lb', ml: 'ml', cb: 'cubic cm', cl: 'cl',
+  dl: 'dl', l: 'liter', mg: 'mg', cg: 'cg', dg: 'dg', g: 'g', kg: 'kg',
+};
+
+// One fixed-width ingredient, or null if the text isn't in ingredient columns
+function parseIngredientColumn(text) {
+  const m = text.match(INGREDIENT);
+  if (!m) return null;
+  const amount = m[1].trim();
+  const code = m[2].trim();
+  if (code && !(code in UNITS) && !(code.toLowerCase() in UNITS)) return null;
+  if (!amount && !code && !m[3].trim()) return null;
+  return { amount, unit: UNITS[code] ?? UNITS[code.toLowerCase()] ?? '', text: m[3].trim() };
+}
+
+function ingredientsOnLine(line) {
+  const text = line.trimEnd();
+  // A second column starts after a run of spaces, with an amount of its own
+  for (let at = 30; at < text.length - 10; at++) {
+    if (text[at - 1] !== ' ' || text[at - 2] !== ' ') continue;
+    const right = parseIngredientColumn(text.slice(at));
+    const left = right?.amount && parseIngredientColumn(text.slice(0, at).trimEnd());
+    if (left) return [left, right];
+  }
+  const single = parseIngredientColumn(text);
+  return single ? [single] : null;
+}
+
+// Wrapped paragraphs back into steps. A paragraph with numbered lines is a
+// step per number; one long undivided paragraph is split into sentences.
+function directionSteps(lines) {
+  const paragraphs = [];
+  let current = [];
+  for (const line of lines) {
+    if (!line.trim() || /^\s*\d+[.)]\s/.test(line)) {
+      if (current.length) paragraphs.push(current.join(' '));
+      current = [];
+    }
+    if (line.trim()) current.push(line.trim());
+  }
+  if (current.length) paragraphs.push(current.join(' '));
+
+  const steps = [];
+  for (const paragraph of paragraphs) {
+    const text = cleanSchemaText(paragraph).replace(/^\s*\d+[.)]\s+/, '');
+    if (!text) continue;
+    if (text.length <= 400) {
+      steps.push(text);
+      continue;
+    }
+    let step = '';
+    for (const sentence of text.split(/(?<=[.!?])\s+(?=[A-Z])/)) {
+      if (step && step.length + sentence.length > 300) {
+        steps.push(step);
+        step = '';
+      }
+      step = step ? `${step} ${sentence}` : sentence;
+    }
+    if (step) steps.push(step);
+  }
+  return steps.map(instruction => ({ instruction, ingredients: [], section: null }));
+}
+
+function parseRecipe(lines) {
+  const fields = {};
+  let i = 0;
+  // Header fields, up to the first ingredient or section line
+  for (; i < lines.length; i++) {
+    const field = lines[i].match(/^\s*(Title|Categories|Yield|Servings)\s*:\s*(.*)$/i);
+    if (field) fields[field[1].toLowerCase()] = field[2].trim();
+    else if (lines[i].trim() && (ingredientsOnLine(lines[i]) || SECTION.test(lines[i]))) break;
+  }
+
+  const ingredients = [];
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    const section = line.match(SECTION);
+    if (section) {
+      // "FROSTING" -> "Frosting:"
+      const name = section[1].replace(/:$/, '');
+      ingredients.push(`${name === name.toUpperCase() ? name[0] + name.slice(1).toLowerCase() : name}:`);
+      continue;
+    }
+    const found = ingredientsOnLine(line);
+    if (!found) break;
+    for (const ing of found) {
+      // "-" continues the ingredient above
+      if (!ing.amount && !ing.unit && ing.text.startsWith('-') && ingredients.length) {
+        ingredients[ingredients.length - 1] += ` ${ing.text.replace(/^-+\s*/, '')}`;
+      } else {
+        ingredients.push([ing.amount, ing.unit, ing.text].filter(Boolean).join(' '));
+      }
+    }
+  }
+
+  const { servings, yield: recipeYield } = parseServings(fields.servings || fields.yield);
+  const categories = (fields.categories || '').split(',').map(c => c.trim()).filter(c => c && !/^none$/i.test(c));
+  return {
+    title: cleanSchemaText(fields.title),
+    description: null,
+    servings,
+    yield: recipeYield,
+    imageUrl: null,
+    ingredients,
+    steps: directionSteps(lines.slice(i)),
+    tips: [],
+    category: categories,
+    source: null,
+    sourceUrl: null,
+    author: null,
+  };
+}
+
+export function splitMealMaster(text) {
+  const recipes = [];
+  let current = null;
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    if (START.test(line)) {
+      current = [];
+    } else if (current && END.test(line)) {
+      recipes.push(current);
+      current = null;
+    } else if (current) {
+      current.push(line.replace(/\t/g, '        '));
+    }
+  }
+  if (current?.length) recipes.push(current);
+  return recipes;
+}
+
+export default {
+  name: 'mealmaster',
+  detect(file) {
+    if (/\.json$/i.test(file.name)) return false;
+    return /\.(mmf|mm)$/i.test(file.name) || /^(?:MMMMM|-----).*meal-?master/im.test(file.data.subarray(0, 4096).toString('latin1'));
+  },
+  parse(file) {
+    // Old DOS files are usually Latin-1; use UTF-8 only when it decodes cleanly
+    const utf8 = file.data.toString('utf8');
+    const text = utf8.includes('\uFFFD') ? file.data.toString('latin1') : utf8;
+    return splitMealMaster(text).map(parseRecipe);
+  },
+};
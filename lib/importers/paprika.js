@@ -0,0 +1,41 @@
+// Paprika: .paprikarecipe files are gzipped JSON, and a .paprikarecipes
+// export is a zip of them (unpacked by the registry before we see it).
+
+import { isGzip, gunzip } from './zip.js';
+import { parseJson, splitLines, stepsFromText, recipeTimes, parseServings, nameList, cleanSchemaText } from './common.js';
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch (e) {
+    return null;
+  }
+}
+
+export default {
+  name: 'paprika',
+  detect(file) {
+    return /\.paprikarecipe$/i.test(file.name) || (isGzip(file.data) && !/\.(json|txt)$/i.test(file.name));
+  },
+  parse(file, { budget }) {
+    const data = parseJson(isGzip(file.data) ? gunzip(file.data, budget) : file.data);
+    if (!data || typeof data !== 'object' || !(data.name || data.ingredients || data.directions)) return [];
+    const { servings, yield: recipeYield } = parseServings(data.servings);
+    return [{
+      title: cleanSchemaText(data.name),
+      description: cleanSchemaText(data.description) || null,
+      servings,
+      yield: recipeYield,
+      ...recipeTimes({ prep: data.prep_time, cook: data.cook_time, total: data.total_time }),
+      imageUrl: /^https?:/i.test(data.image_url || '') ? data.image_url : null,
+      ingredients: splitLines(data.ingredients),
+      steps: stepsFromText(data.directions),
+      tips: [],
+      notes: [data.notes, data.nutritional_info && `Nutrition: ${data.nutritional_info}`].filter(Boolean).join('\n\n') || null,
+      category: nameList(data.categories),
+      source: data.source || hostOf(data.source_url),
+      sourceUrl: data.source_url || null,
+      author: null,
+    }];
+  },
+};
@@ -0,0 +1,13 @@
+// Worker thread body for parseExportFileInWorker: parses one upload and posts
+// back { result } or { error }.
+
+import { parentPort, workerData } from 'worker_threads';
+import { parseExportFile } from './index.js';
+
+const { data, filename, options } = workerData;
+try {
+  const result = parseExportFile(Buffer.from(data.buffer, data.byteOffset, data.byteLength), filename, options);
+  parentPort.postMessage({ result });
+} catch (err) {
+  parentPort.postMessage({ error: { name: err.name, code: err.code, message: err.message, status: err.status } });
+}
@@ -0,0 +1,38 @@
+// schema.org Recipe JSON-LD: Nextcloud Cookbook exports (a folder per recipe
+// with a recipe.json), our own JSON-LD export, and any other app that writes
+// plain schema.org.
+
+import { hasType, convertSchemaToRecipe } from '../schema.js';
+import { parseJson } from './common.js';
+
+const MAX_DEPTH = 6;
+
+// Every Recipe node in the document: arrays, @graph and ItemLists of them
+function findRecipes(node, found = [], depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return found;
+  if (Array.isArray(node)) {
+    node.forEach(n => findRecipes(n, found, depth + 1));
+  } else if (hasType(node, 'Recipe')) {
+    found.push(node);
+  } else {
+    for (const key of ['@graph', 'itemListElement', 'item', 'mainEntity']) findRecipes(node[key], found, depth + 1);
+  }
+  return found;
+}
+
+export default {
+  name: 'schema.org',
+  detect(file) {
+    return /\.(json|jsonld)$/i.test(file.name) && findRecipes(parseJson(file.data)).length > 0;
+  },
+  parse(file) {
+    return findRecipes(parseJson(file.data)).map(schema => {
+      const sourceUrl = typeof schema.url === 'string' && /^https?:\/\//i.test(schema.url) ? schema.url : null;
+      const recipe = convertSchemaToRecipe(schema, sourceUrl);
+      // Nextcloud keeps images next to recipe.json rather than at a URL
+      if (recipe.imageUrl && !/^https?:\/\//i.test(recipe.imageUrl)) recipe.imageUrl = null;
+      delete recipe._needsDualUnits;
+      return recipe;
+    });
+  },
+};
@@ -0,0 +1,69 @@
+// Tandoor: the export is a zip of zips, each holding a recipe.json (and an
+// image). Ingredients hang off the steps they're used in.
+
+import { parseJson, recipeTimes, parseServings, nameList, formatQuantity, cleanSchemaText } from './common.js';
+
+const isTandoorRecipe = (r) => r && typeof r === 'object' && typeof r.name === 'string' && Array.isArray(r.steps) &&
+  r.steps.every(s => s && typeof s === 'object' && ('instruction' in s || 'ingredients' in s));
+
+function ingredientLine(ing) {
+  if (ing.is_header) return `${cleanSchemaText(ing.food?.name || ing.note || '').replace(/:$/, '')}:`;
+  if (ing.original_text?.trim()) return cleanSchemaText(ing.original_text);
+  const amount = ing.no_amount ? '' : formatQuantity(ing.amount);
+  const line = [amount, ing.unit?.name, ing.food?.name].filter(Boolean).join(' ');
+  return ing.note ? `${line}, ${cleanSchemaText(ing.note)}` : line;
+}
+
+function convert(r) {
+  const ingredients = [];
+  const steps = [];
+  const named = r.steps.filter(s => s.ingredients?.length).length > 1;
+  for (const step of r.steps) {
+    const section = cleanSchemaText(step.name) || null;
+    const lines = (step.ingredients || []).map(ingredientLine).filter(Boolean);
+    // Each step's ingredients become a group when there are several
+    if (named && section && lines.length) ingredients.push(`${section.replace(/:$/, '')}:`);
+    ingredients.push(...lines);
+    for (const paragraph of String(step.instruction || '').split(/\n\s*\n/)) {
+      const instruction = cleanSchemaText(paragraph.replace(/\s*\n\s*/g, ' '));
+      if (instruction) steps.push({ instruction, ingredients: [], section });
+    }
+  }
+  // servings_text is the label: 12 "cookies"
+  const { servings, yield: recipeYield } = parseServings(r.servings_text ? `${r.servings} ${r.servings_text}` : r.servings);
+  const nutrition = r.nutrition
+    ? Object.fromEntries(Object.entries(r.nutrition).filter(([k, v]) => k !== 'id' && k !== 'source' && v != null && v !== ''))
+    : null;
+  let source = null;
+  try {
+    source = r.source_url ? new URL(r.source_url).hostname.replace('www.', '') : null;
+  } catch (e) {}
+
+  return {
+    title: cleanSchemaText(r.name),
+    description: cleanSchemaText(r.description) || null,
+    servings,
+    yield: recipeYield,
+    // Minutes of hands-on and waiting time
+    ...recipeTimes({ prep: r.working_time, cook: r.waiting_time }),
+    imageUrl: null,
+    ingredients,
+    steps,
+    tips: [],
+    keywords: nameList(r.keywords),
+    nutrition: nutrition && Object.keys(nutrition).length ? nutrition : null,
+    source,
+    sourceUrl: r.source_url || null,
+    author: null,
+  };
+}
+
+export default {
+  name: 'tandoor',
+  detect(file) {
+    return /\.json$/i.test(file.name) && isTandoorRecipe(parseJson(file.data));
+  },
+  parse(file) {
+    return [convert(parseJson(file.data))];
+  },
+};
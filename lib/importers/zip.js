@@ -0,0 +1,110 @@
+// Minimal zip reader for export archives: stored and deflated entries, no
+// zip64 or encryption. Everything unpacked from one upload - every entry, in
+// nested zips too, and every gzipped file - draws on one byte budget, so a
+// small archive can't expand into gigabytes.
+
+import zlib from 'zlib';
+import { ImportError } from './errors.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+export function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+export function isGzip(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+const tooLarge = () => new ImportError('TOO_LARGE', 'That archive is too large to import.');
+
+// Bytes left to unpack for one upload. take() throws once they run out.
+export function createBudget(maxBytes) {
+  let remaining = maxBytes;
+  return {
+    get remaining() {
+      return remaining;
+    },
+    take(bytes) {
+      if (bytes > remaining) throw tooLarge();
+      remaining -= bytes;
+    },
+  };
+}
+
+export function gunzip(buffer, budget) {
+  if (budget.remaining <= 0) throw tooLarge();
+  let data;
+  try {
+    data = zlib.gunzipSync(buffer, { maxOutputLength: budget.remaining });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw new ImportError('BAD_ARCHIVE', 'Could not unpack the file.');
+  }
+  budget.take(data.length);
+  return data;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new ImportError('BAD_ARCHIVE', 'That zip file is damaged.');
+}
+
+// [{ name, data: Buffer }] for every file in the archive, each drawn from
+// `budget` (or a fresh one of maxBytes)
+export function readZip(buffer, { maxBytes = 100 * 1024 * 1024, budget = createBudget(maxBytes) } = {}) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff || count === 0xffff) {
+    throw new ImportError('BAD_ARCHIVE', 'Zip64 archives are not supported.');
+  }
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new ImportError('BAD_ARCHIVE', 'That zip file is damaged.');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new ImportError('BAD_ARCHIVE', 'Encrypted zip files are not supported.');
+    // The central directory's size is only a claim; inflation is capped by it
+    // and the budget is charged what actually came out
+    if (size > budget.remaining) throw tooLarge();
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new ImportError('BAD_ARCHIVE', 'That zip file is damaged.');
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+    let data;
+    if (method === 0) data = raw.subarray(0, size);
+    else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      } catch (err) {
+        throw new ImportError('BAD_ARCHIVE', `Could not unpack ${name}.`);
+      }
+    } else {
+      throw new ImportError('BAD_ARCHIVE', `${name} uses a compression method we can't read.`);
+    }
+    budget.take(data.length);
+    files.push({ name, data });
+  }
+  return files;
+}
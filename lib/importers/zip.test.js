@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { readZip, gunzip, createBudget } from './zip.js';
+import { parseExportFile } from './index.js';
+import { createZipWriter } from '../export.js';
+
+function zipOf(entries) {
+  const chunks = [];
+  const zip = createZipWriter(chunk => chunks.push(chunk));
+  for (const [name, data] of entries) zip.add(name, data);
+  zip.finish();
+  return Buffer.concat(chunks);
+}
+
+// One deflated entry whose central directory claims `claimedSize` bytes
+function deflatedZip(name, data, claimedSize = data.length) {
+  const nameBytes = Buffer.from(name);
+  const compressed = zlib.deflateRawSync(data);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(claimedSize, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(claimedSize, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+  const start = 30 + nameBytes.length + compressed.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(46 + nameBytes.length, 12);
+  end.writeUInt32LE(start, 16);
+  return Buffer.concat([local, nameBytes, compressed, central, nameBytes, end]);
+}
+
+test('reads stored and deflated entries', () => {
+  const files = readZip(zipOf([['a.txt', Buffer.from('apple')], ['dir/b.txt', Buffer.from('banana')]]));
+  assert.deepEqual(files.map(f => [f.name, f.data.toString()]), [['a.txt', 'apple'], ['dir/b.txt', 'banana']]);
+  const [file] = readZip(deflatedZip('c.txt', Buffer.from('cherry '.repeat(100))));
+  assert.equal(file.data.toString(), 'cherry '.repeat(100));
+});
+
+test('an entry bigger than the budget is TOO_LARGE', () => {
+  const archive = zipOf([['big.txt', Buffer.alloc(2000)]]);
+  assert.throws(() => readZip(archive, { maxBytes: 1000 }), { code: 'TOO_LARGE' });
+});
+
+test('a deflated entry cannot inflate past its declared size', () => {
+  // Claims 100 bytes, holds a megabyte of zeros
+  assert.throws(() => readZip(deflatedZip('bomb.txt', Buffer.alloc(1024 * 1024), 100)), { code: 'BAD_ARCHIVE' });
+});
+
+test('entries of nested zips draw on one budget', () => {
+  const inner = zipOf([['recipe.json', Buffer.alloc(600, ' ')]]);
+  const outer = zipOf([['1.zip', inner], ['2.zip', inner]]);
+  assert.throws(() => parseExportFile(outer, 'export.zip', { maxBytes: 2000 }), { code: 'TOO_LARGE' });
+});
+
+test('gunzip stops at the budget and charges what came out', () => {
+  const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024));
+  assert.throws(() => gunzip(bomb, createBudget(1000)), { code: 'TOO_LARGE' });
+  const budget = createBudget(1000);
+  assert.equal(gunzip(zlib.gzipSync('hello'), budget).toString(), 'hello');
+  assert.equal(budget.remaining, 995);
+  assert.throws(() => gunzip(Buffer.from('not gzip'), budget), { code: 'BAD_ARCHIVE' });
+});
+
+test('a gzipped Paprika recipe past the budget fails the whole import', () => {
+  const archive = zipOf([['Bomb.paprikarecipe', zlib.gzipSync(Buffer.alloc(1024 * 1024))]]);
+  assert.throws(() => parseExportFile(archive, 'bomb.paprikarecipes', { maxBytes: 64 * 1024 }), { code: 'TOO_LARGE' });
+});
+
+test('damaged archives are BAD_ARCHIVE', () => {
+  const archive = zipOf([['a.txt', Buffer.from('apple')]]);
+  assert.throws(() => readZip(archive.subarray(0, archive.length - 10)), { code: 'BAD_ARCHIVE' });
+});
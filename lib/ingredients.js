@@ -0,0 +1,291 @@
+// =============================================================================
+// STRUCTURED INGREDIENTS
+// =============================================================================
+// Turns ingredient lines into { quantity, unit, item, preparation, optional }
+// and gives each one a stable id that steps reference instead of copied text.
+//
+//   "1 1/2 cups / 190g flour, sifted" ->
+//   { id: 'i1', text, quantity: 1.5, quantityMax: null, unit: 'cup', size: null, item: 'flour',
+//     preparation: 'sifted', optional: false, alternate: { quantity: 190, unit: 'g' } }
+
+import { RANGE_SOURCE, UNIT_SOURCE, parseRange, normalizeUnit } from './units.js';
+
+// Units that count things rather than measure them, singular -> plurals
+const COUNT_UNITS = {
+  clove: ['cloves'], can: ['cans'], tin: ['tins'], jar: ['jars'], bottle: ['bottles'],
+  package: ['packages', 'pkg', 'pkgs', 'pack', 'packs'], packet: ['packets'], bag: ['bags'], box: ['boxes'],
+  stick: ['sticks'], slice: ['slices'], piece: ['pieces'], pinch: ['pinches'], dash: ['dashes'],
+  handful: ['handfuls'], bunch: ['bunches'], sprig: ['sprigs'], head: ['heads'], stalk: ['stalks'],
+  sheet: ['sheets'], leaf: ['leaves'], knob: ['knobs'], drop: ['drops'], scoop: ['scoops'],
+  fillet: ['fillets'], rasher: ['rashers'], block: ['blocks'], ear: ['ears'], cube: ['cubes'],
+};
+
+const COUNT_UNIT_ALIASES = Object.fromEntries(
+  Object.entries(COUNT_UNITS).flatMap(([unit, plurals]) => [[unit, unit], ...plurals.map(p => [p, unit])])
+);
+
+const COUNT_UNIT_SOURCE = Object.keys(COUNT_UNIT_ALIASES).sort((a, b) => b.length - a.length).join('|');
+
+// Preparation words that sometimes lead the item ("chopped walnuts")
+const PREPARATIONS = [
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'melted', 'softened', 'crushed',
+  'peeled', 'beaten', 'sifted', 'toasted', 'cubed', 'julienned', 'halved', 'quartered', 'trimmed',
+  'rinsed', 'drained', 'zested', 'juiced', 'mashed', 'cooked', 'packed', 'pitted', 'deseeded', 'seeded',
+];
+const PREP_ADVERBS = ['finely', 'roughly', 'coarsely', 'thinly', 'thickly', 'freshly', 'lightly', 'firmly'];
+
+const LEADING_PREP_REGEX = new RegExp(
+  `^((?:(?:${PREP_ADVERBS.join('|')})\\s+)?(?:${PREPARATIONS.join('|')})(?:\\s+and\\s+(?:${PREPARATIONS.join('|')}))?)\\s+`,
+  'i'
+);
+
+const OPTIONAL_REGEX = /\s*\(\s*optional\s*\)|,?\s*\boptional\b|,?\s*\bif (?:desired|using|you like)\b/gi;
+
+const QUANTITY_REGEX = new RegExp(
+  `^(?:(\\d+)\\s*[x×]\\s*)?(${RANGE_SOURCE})(?![\\d/])\\s*-?\\s*(?:\\(([^)]*)\\)\\s*)?(?:(US|UK|imperial|metric)\\s+)?` +
+  `(?:(${UNIT_SOURCE})\\.?(?![a-zA-Z])|(${COUNT_UNIT_SOURCE})(?![a-zA-Z]))?`,
+  'i'
+);
+
+// "/ 250g" or "(250g)" straight after the primary measurement
+const ALTERNATE_REGEX = new RegExp(
+  `^\\s*(?:\\/|\\(|=)\\s*(${RANGE_SOURCE})\\s*-?\\s*(${UNIT_SOURCE})\\.?(?![a-zA-Z])\\s*\\)?`,
+  'i'
+);
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').replace(/\s+,/g, ',').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+}
+
+function toUnit(raw) {
+  if (!raw) return null;
+  return normalizeUnit(raw) || COUNT_UNIT_ALIASES[raw.toLowerCase()] || null;
+}
+
+// The quantity, unit and any alternate measurement at the start of a line.
+// `length` is how many characters of the line they cover.
+export function matchLeadingAmount(text) {
+  const q = String(text).match(QUANTITY_REGEX);
+  const range = q && parseRange(q[2]);
+  // A bare word number ("a", "one") only counts as a quantity when a unit follows
+  if (!range || !(/^\d|^[^a-z]/i.test(q[2]) || q[5] || q[6])) return null;
+
+  let length = q[0].length;
+  const alt = text.slice(length).match(ALTERNATE_REGEX);
+  const altRange = alt && parseRange(alt[1]);
+  if (altRange) length += alt[0].length;
+
+  return {
+    range,
+    // "2 x 400g" - how many of the measured thing
+    count: q[1] ? parseInt(q[1]) : null,
+    // "1 (14 oz) can" - the size of each unit
+    size: q[3]?.trim() || null,
+    unit: toUnit(q[5] || q[6]),
+    alternate: altRange
+      ? { quantity: altRange.min, quantityMax: altRange.max !== altRange.min ? altRange.max : null, unit: toUnit(alt[2]) }
+      : null,
+    length,
+  };
+}
+
+// Parse one ingredient line. Never throws; unparseable parts end up in `item`.
+export function parseIngredient(line, id = null) {
+  const text = cleanText(String(line ?? ''));
+  const optional = OPTIONAL_REGEX.test(text);
+  OPTIONAL_REGEX.lastIndex = 0;
+  let rest = text.replace(OPTIONAL_REGEX, '').trim();
+
+  let quantity = null;
+  let quantityMax = null;
+  let unit = null;
+  let size = null;
+  let alternate = null;
+  const notes = [];
+
+  const amount = matchLeadingAmount(rest);
+  if (amount) {
+    const multiplier = amount.count || 1;
+    quantity = amount.range.min * multiplier;
+    quantityMax = amount.range.max !== amount.range.min ? amount.range.max * multiplier : null;
+    ({ unit, size, alternate } = amount);
+    rest = rest.slice(amount.length);
+  }
+
+  // "400g cans chickpeas" - the measurement already says how much
+  if (unit && !isCountUnit(unit)) rest = rest.replace(new RegExp(`^\\s*(?:${COUNT_UNIT_SOURCE})\\b`, 'i'), '');
+  rest = rest.replace(/^\s*of\s+/i, '');
+
+  // Parenthetical notes anywhere else in the line
+  rest = rest.replace(/\(([^)]*)\)/g, (_, note) => {
+    if (note.trim()) notes.push(note.trim());
+    return ' ';
+  });
+
+  let [item, ...prep] = rest.split(',');
+  item = cleanText(item || '');
+  const preparation = prep.map(cleanText).filter(Boolean);
+
+  const toTaste = item.match(/\s+(to taste|for (?:garnish|serving|dusting|greasing))$/i);
+  if (toTaste) {
+    preparation.unshift(toTaste[1].toLowerCase());
+    item = item.slice(0, toTaste.index);
+  }
+
+  const leading = item.match(LEADING_PREP_REGEX);
+  if (leading && item.length > leading[0].length) {
+    preparation.unshift(leading[1].toLowerCase());
+    item = item.slice(leading[0].length);
+  }
+
+  return {
+    id,
+    text,
+    quantity,
+    quantityMax,
+    unit,
+    size,
+    item: item || text,
+    preparation: [...preparation, ...notes].join(', ') || null,
+    optional,
+    alternate,
+  };
+}
+
+export function isCountUnit(unit) {
+  return !!COUNT_UNITS[unit];
+}
+
+// "clove" / "cloves" depending on how many
+export function countUnitLabel(unit, quantity) {
+  return quantity > 1 && COUNT_UNITS[unit] ? COUNT_UNITS[unit][0] : unit;
+}
+
+const nextIdNumber = (items) => items.reduce((max, i) => {
+  const n = parseInt(String(i?.id || '').replace(/^i/, ''));
+  return isNaN(n) ? max : Math.max(max, n);
+}, 0) + 1;
+
+// Ingredient words too generic to tie a step to an ingredient
+const LINK_STOPWORDS = new Set([
+  'and', 'the', 'all', 'for', 'with', 'into', 'fresh', 'large', 'small', 'medium', 'whole', 'about',
+  'plus', 'more', 'taste', 'extra', 'purpose', 'good', 'quality', 'other',
+]);
+
+function itemKeywords(item) {
+  return (item || '').toLowerCase()
+    .split(/[^a-zÀ-ɏ]+/)
+    .filter(w => w.length > 2 && !LINK_STOPWORDS.has(w))
+    .map(w => w.replace(/(es|s)$/, ''));
+}
+
+function mentions(text, keywords) {
+  return keywords.some(w => new RegExp(`(^|[^a-zÀ-ɏ])${w}(e?s)?([^a-zÀ-ɏ]|$)`).test(text));
+}
+
+// Resolve whatever a step used to point at ingredients (ids, indexes, copied
+// strings) to ingredient ids
+function resolveStepIngredients(step, items) {
+  const byId = new Map(items.map(i => [i.id, i]));
+  const hasIds = Array.isArray(step.ingredientIds);
+  const refs = hasIds ? step.ingredientIds : step.ingredients || [];
+  const ids = [];
+  for (const ref of refs) {
+    let match = null;
+    if (typeof ref === 'number') match = items[ref];
+    else if (typeof ref === 'string') {
+      match = byId.get(ref) ||
+        items.find(i => i.text === ref) ||
+        items.find(i => i.text.toLowerCase() === ref.trim().toLowerCase()) ||
+        items.find(i => i.item.toLowerCase() === parseIngredient(ref).item.toLowerCase());
+    } else if (ref?.id) match = byId.get(ref.id);
+    if (match && !ids.includes(match.id)) ids.push(match.id);
+  }
+  if (hasIds || refs.length) return ids;
+
+  // Nothing given - link ingredients whose name appears in the instruction
+  const instruction = (step.instruction || '').toLowerCase();
+  return items.filter(i => mentions(instruction, itemKeywords(i.item))).map(i => i.id);
+}
+
+// Group headings mixed into ingredient lists: "For the sauce:", "Filling:"
+export function isSectionHeader(text) {
+  const line = String(text ?? '').trim();
+  if (!line || line.length > 60 || matchLeadingAmount(line)) return false;
+  if (/:\s*$/.test(line)) return true;
+  return /^for (?:the )?[^,():]+$/i.test(line) && line.split(/\s+/).length <= 6;
+}
+
+function sectionName(text) {
+  return String(text).trim().replace(/^[-*#=\s]+|[-*#=:\s]+$/g, '') || null;
+}
+
+// Consecutive runs of the same section: [{ name, <key>: [...] }]. Empty when
+// nothing in the recipe has a section.
+function groupSections(entries, key, valueOf) {
+  if (!entries.some(e => e.section)) return [];
+  const groups = [];
+  entries.forEach((entry, index) => {
+    const name = entry.section || null;
+    if (!groups.length || groups[groups.length - 1].name !== name) groups.push({ name, [key]: [] });
+    groups[groups.length - 1][key].push(valueOf(entry, index));
+  });
+  return groups;
+}
+
+// Give a recipe structured ingredients. `ingredients` stays a list of display
+// strings; `ingredientItems` carries the parsed form with ids, and each step
+// gets `ingredientIds` (plus `ingredients`, derived from the ids, for older
+// clients). Heading lines in `ingredients` become the `section` of the items
+// that follow them; `ingredientSections` and `stepSections` list the groups.
+export function structureRecipe(recipe) {
+  const previous = Array.isArray(recipe.ingredientItems) ? recipe.ingredientItems : [];
+  const source = recipe.ingredients || [];
+  let nextId = nextIdNumber([...previous, ...source]);
+
+  // Split headings out of the list before matching ids by position
+  const hasHeaders = source.some(ing => typeof ing === 'string' && isSectionHeader(ing));
+  let heading = null;
+  const entries = [];
+  for (const ing of source) {
+    if (typeof ing === 'string' && isSectionHeader(ing)) {
+      heading = sectionName(ing);
+      continue;
+    }
+    entries.push({ ing, text: typeof ing === 'string' ? ing : ing?.text || '', heading });
+  }
+
+  // Keep the id of the ingredient that had this text, was the same thing
+  // ("1 cup sugar" edited to "3/4 cup sugar") or was at this spot
+  const used = new Set();
+  const unused = (p) => p?.id && !used.has(p.id);
+  const ingredientItems = entries.map(({ ing, text, heading }, index) => {
+    const name = parseIngredient(text).item.toLowerCase();
+    const existing = (typeof ing === 'object' && ing?.id && ing) ||
+      previous.find(p => unused(p) && p.text === text) ||
+      previous.find(p => unused(p) && p.item?.toLowerCase() === name) ||
+      (previous.length === entries.length && unused(previous[index]) ? previous[index] : null);
+    const id = existing?.id && !used.has(existing.id) ? existing.id : `i${nextId++}`;
+    used.add(id);
+    const section = typeof ing === 'object' && ing?.section !== undefined
+      ? ing.section
+      : hasHeaders ? heading : existing?.section;
+    return { ...parseIngredient(text, id), section: section || null };
+  }).filter(i => i.text);
+
+  const textById = new Map(ingredientItems.map(i => [i.id, i.text]));
+  const steps = (recipe.steps || []).map(step => {
+    const s = typeof step === 'string' ? { instruction: step } : step;
+    const ingredientIds = resolveStepIngredients(s, ingredientItems);
+    return { ...s, section: s.section || null, ingredientIds, ingredients: ingredientIds.map(id => textById.get(id)) };
+  });
+
+  return {
+    ...recipe,
+    ingredients: ingredientItems.map(i => i.text),
+    ingredientItems,
+    ingredientSections: groupSections(ingredientItems, 'ingredientIds', i => i.id),
+    steps,
+    stepSections: groupSections(steps, 'stepIndexes', (_, index) => index),
+  };
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIngredient, structureRecipe, isSectionHeader, countUnitLabel } from './ingredients.js';
+
+const parts = (line) => {
+  const { quantity, quantityMax, unit, size, item, preparation, optional } = parseIngredient(line);
+  return { quantity, quantityMax, unit, size, item, preparation, optional };
+};
+
+test('quantity, unit, item and preparation', () => {
+  assert.deepEqual(parseIngredient('1 1/2 cups / 190g flour, sifted', 'i1'), {
+    id: 'i1', text: '1 1/2 cups / 190g flour, sifted', quantity: 1.5, quantityMax: null, unit: 'cup', size: null,
+    item: 'flour', preparation: 'sifted', optional: false, alternate: { quantity: 190, quantityMax: null, unit: 'g' },
+  });
+});
+
+test('fractions, unicode fractions and ranges', () => {
+  assert.equal(parseIngredient('½ tsp salt').quantity, 0.5);
+  assert.equal(parseIngredient('1½ cups milk').quantity, 1.5);
+  assert.deepEqual(parts('2-3 cloves garlic, minced'), {
+    quantity: 2, quantityMax: 3, unit: 'clove', size: null, item: 'garlic', preparation: 'minced', optional: false,
+  });
+  assert.equal(parseIngredient('2 to 3 tbsp olive oil').quantityMax, 3);
+});
+
+test('sizes and multiples', () => {
+  assert.deepEqual(parts('1 (14 oz) can chickpeas, drained'), {
+    quantity: 1, quantityMax: null, unit: 'can', size: '14 oz', item: 'chickpeas', preparation: 'drained', optional: false,
+  });
+  const cans = parseIngredient('2 x 400g cans tomatoes');
+  assert.equal(cans.quantity, 800);
+  assert.equal(cans.unit, 'g');
+  assert.equal(cans.item, 'tomatoes');
+});
+
+test('optional, to taste and leading preparations', () => {
+  assert.equal(parseIngredient('fresh parsley (optional)').optional, true);
+  assert.equal(parseIngredient('fresh parsley (optional)').item, 'fresh parsley');
+  assert.equal(parseIngredient('chilli flakes, if desired').optional, true);
+  assert.deepEqual([parseIngredient('salt to taste').item, parseIngredient('salt to taste').preparation], ['salt', 'to taste']);
+  assert.deepEqual([parseIngredient('finely chopped walnuts').item, parseIngredient('finely chopped walnuts').preparation], ['walnuts', 'finely chopped']);
+});
+
+test('word numbers only count before a unit', () => {
+  assert.equal(parseIngredient('a pinch of nutmeg').quantity, 1);
+  assert.equal(parseIngredient('a pinch of nutmeg').item, 'nutmeg');
+  assert.equal(parseIngredient('one onion').quantity, null);
+});
+
+test('never throws on junk', () => {
+  assert.equal(parseIngredient(null).item, '');
+  assert.equal(parseIngredient(42).quantity, 42);
+});
+
+test('count unit labels follow the quantity', () => {
+  assert.equal(countUnitLabel('clove', 1), 'clove');
+  assert.equal(countUnitLabel('clove', 3), 'cloves');
+  assert.equal(countUnitLabel('cup', 3), 'cup');
+});
+
+test('section headings', () => {
+  assert.equal(isSectionHeader('Filling:'), true);
+  assert.equal(isSectionHeader('For the sauce'), true);
+  assert.equal(isSectionHeader('2 cups: flour'), false);
+  assert.equal(isSectionHeader('For the sauce, mix everything together until it is smooth and glossy'), false);
+});
+
+test('structures a recipe: ids, sections and step links', () => {
+  const recipe = structureRecipe({
+    title: 'Custard tart',
+    ingredients: ['For the sauce:', '1 cup sugar', '2 eggs', 'Topping:', '50g butter'],
+    steps: ['Beat the eggs with the sugar.', { instruction: 'Melt and pour over.', ingredients: ['50g butter'] }],
+  });
+  assert.deepEqual(recipe.ingredients, ['1 cup sugar', '2 eggs', '50g butter']);
+  assert.deepEqual(recipe.ingredientItems.map(i => [i.id, i.section]), [['i1', 'For the sauce'], ['i2', 'For the sauce'], ['i3', 'Topping']]);
+  assert.deepEqual(recipe.ingredientSections, [
+    { name: 'For the sauce', ingredientIds: ['i1', 'i2'] },
+    { name: 'Topping', ingredientIds: ['i3'] },
+  ]);
+  assert.deepEqual(recipe.steps.map(s => s.ingredientIds), [['i1', 'i2'], ['i3']]);
+  assert.deepEqual(recipe.steps[1].ingredients, ['50g butter']);
+});
+
+test('ids survive edits to an ingredient and new ones get fresh ids', () => {
+  const before = structureRecipe({ title: 't', ingredients: ['1 cup sugar', '2 eggs'], steps: [] });
+  const after = structureRecipe({ ...before, ingredients: ['3/4 cup sugar', '2 eggs', '1 tsp vanilla'] });
+  assert.deepEqual(after.ingredientItems.map(i => [i.id, i.text]), [['i1', '3/4 cup sugar'], ['i2', '2 eggs'], ['i3', '1 tsp vanilla']]);
+});
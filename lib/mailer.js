@@ -0,0 +1,242 @@
+// =============================================================================
+// MAILER
+// =============================================================================
+// Outgoing email behind one interface, so the account flows don't care where
+// mail goes:
+//
+//   const mailer = createMailer({ transport: smtpTransport({ host, ... }), from: 'mise <hi@example.com>' });
+//   await mailer.send({ to, subject, text, html });
+//
+// Transports: smtp (STARTTLS or implicit TLS, AUTH PLAIN), file (one .eml per
+// message, for testing offline) and console (logs the message). A transport
+// is { name, send({ from, to, raw }) }, so others can be dropped in.
+
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+// -----------------------------------------------------------------------------
+// Messages
+// -----------------------------------------------------------------------------
+// "mise <hi@example.com>" -> "hi@example.com"
+export function addressOf(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+// Header values outside ASCII as RFC 2047 encoded words
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+export function buildMessage({ from, to, subject, text, html }) {
+  const boundary = `mise-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${[].concat(to).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+  ];
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body),
+  ].join('\r\n');
+
+  if (!html) return [...headers, part('text/plain', text), ''].join('\r\n');
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', text),
+    `--${boundary}`,
+    part('text/html', html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+export function createMailer({ transport, from }) {
+  if (!transport?.send) throw new Error('createMailer needs a transport');
+  if (!from) throw new Error('createMailer needs a from address');
+  return {
+    transport: transport.name,
+    async send({ to, subject, text, html }) {
+      const recipients = [].concat(to);
+      const raw = buildMessage({ from, to: recipients, subject, text, html });
+      return transport.send({ from: addressOf(from), to: recipients.map(addressOf), raw, subject, text });
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Transports
+// -----------------------------------------------------------------------------
+export function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`📧 To: ${to.join(', ')}\n   Subject: ${subject}\n${text.replace(/^/gm, '   ')}`);
+    },
+  };
+}
+
+// Each message becomes <dir>/<time>-<random>.eml
+export function fileTransport({ dir }) {
+  return {
+    name: 'file',
+    async send({ raw }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, raw);
+      return { file };
+    },
+  };
+}
+
+// One SMTP conversation: replies are read off the socket a complete
+// (possibly multi-line) reply at a time
+function smtpSession(socket, timeoutMs) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+  const lines = [];
+
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      return reject(failure);
+    }
+    const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end === -1) return;
+    const reply = lines.splice(0, end + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: parseInt(reply[end].slice(0, 3)), lines: reply.map(l => l.slice(4)) });
+  };
+  const attach = (s) => {
+    s.setEncoding('utf8');
+    s.setTimeout(timeoutMs, () => s.destroy(new Error('SMTP timeout')));
+    s.on('data', (chunk) => {
+      buffer += chunk;
+      const parts = buffer.split('\r\n');
+      buffer = parts.pop();
+      lines.push(...parts);
+      settle();
+    });
+    s.on('error', (err) => {
+      failure = err;
+      settle();
+    });
+    s.on('close', () => {
+      failure = failure || new Error('SMTP connection closed');
+      settle();
+    });
+  };
+  attach(socket);
+
+  const session = {
+    socket,
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+    },
+    // Send a command and check the reply code
+    async command(line, expect) {
+      if (line != null) session.socket.write(`${line}\r\n`);
+      const reply = await session.read();
+      if (![].concat(expect).includes(reply.code)) {
+        const shown = line?.startsWith('AUTH') ? 'AUTH' : line;
+        throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    },
+    // Swap in the TLS socket after STARTTLS
+    async upgrade(options) {
+      session.socket.removeAllListeners('data');
+      session.socket.removeAllListeners('close');
+      session.socket.removeAllListeners('error');
+      const secure = tls.connect({ ...options, socket: session.socket });
+      await new Promise((resolve, reject) => {
+        secure.once('secureConnect', resolve);
+        secure.once('error', reject);
+      });
+      failure = null;
+      session.socket = secure;
+      attach(secure);
+    },
+  };
+  return session;
+}
+
+// port 465 is implicit TLS; anything else starts plain and upgrades with
+// STARTTLS. Credentials are never sent over an unencrypted connection.
+export function smtpTransport({ host, port = 587, secure = port === 465, user, pass, timeoutMs = 15000, name = os.hostname() }) {
+  if (!host) throw new Error('smtpTransport needs a host');
+  return {
+    name: 'smtp',
+    async send({ from, to, raw }) {
+      const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      const smtp = smtpSession(socket, timeoutMs);
+      try {
+        await smtp.command(null, 220);
+        let ehlo = await smtp.command(`EHLO ${name}`, 250);
+        let encrypted = secure;
+        if (!encrypted && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+          await smtp.command('STARTTLS', 220);
+          await smtp.upgrade({ host, servername: host });
+          encrypted = true;
+          ehlo = await smtp.command(`EHLO ${name}`, 250);
+        }
+        if (user) {
+          if (!encrypted) throw new Error('SMTP server does not offer TLS; refusing to send credentials');
+          await smtp.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 235);
+        }
+        await smtp.command(`MAIL FROM:<${from}>`, 250);
+        for (const rcpt of to) await smtp.command(`RCPT TO:<${rcpt}>`, [250, 251]);
+        await smtp.command('DATA', 354);
+        // Dot-stuffing: a line starting with "." gets another
+        const body = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        await smtp.command(`${body}${body.endsWith('\r\n') ? '' : '\r\n'}.`, 250);
+        await smtp.command('QUIT', 221).catch(() => {});
+      } finally {
+        smtp.socket.destroy();
+      }
+    },
+  };
+}
+
+// MAIL_TRANSPORT=smtp|file|console (console by default), with SMTP_HOST,
+// SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE or MAIL_DIR as needed
+export function transportFromEnv(env = process.env) {
+  switch (env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return smtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case 'file':
+      return fileTransport({ dir: env.MAIL_DIR || path.join(os.tmpdir(), 'mise-mail') });
+    default:
+      return consoleTransport();
+  }
+}
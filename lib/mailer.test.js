@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { addressOf, createMailer, fileTransport, transportFromEnv } from './mailer.js';
+
+let dir;
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mise-mailer-test-'));
+});
+after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+// Headers as an object, and the decoded body of each part by content type
+function parseEml(raw) {
+  const [head] = raw.split('\r\n\r\n');
+  const headers = Object.fromEntries(head.split('\r\n').map(line => {
+    const i = line.indexOf(':');
+    return [line.slice(0, i).toLowerCase(), line.slice(i + 1).trim()];
+  }));
+  const parts = {};
+  for (const m of raw.matchAll(/Content-Type: (text\/\w+); charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/g)) {
+    parts[m[1]] = Buffer.from(m[2].replace(/\r\n/g, ''), 'base64').toString('utf8');
+  }
+  return { headers, parts };
+}
+
+test('the file transport writes each message as an .eml file', async () => {
+  const mailer = createMailer({ transport: fileTransport({ dir: path.join(dir, 'plain') }), from: 'mise <hi@mise.example>' });
+  assert.equal(mailer.transport, 'file');
+  const { file } = await mailer.send({ to: 'cook@example.com', subject: 'Confirm your email', text: 'Open this link:\nhttps://mise.example/verify?token=abc' });
+
+  assert.equal(path.dirname(file), path.join(dir, 'plain'));
+  assert.match(path.basename(file), /^\d+-[0-9a-f]{8}\.eml$/);
+  const { headers, parts } = parseEml(await fs.promises.readFile(file, 'utf8'));
+  assert.equal(headers.from, 'mise <hi@mise.example>');
+  assert.equal(headers.to, 'cook@example.com');
+  assert.equal(headers.subject, 'Confirm your email');
+  assert.match(headers['message-id'], /^<[0-9a-f-]{36}@mise\.example>$/);
+  assert.equal(parts['text/plain'], 'Open this link:\nhttps://mise.example/verify?token=abc');
+  assert.equal(parts['text/html'], undefined);
+});
+
+test('html mail is multipart with a plain-text alternative', async () => {
+  const mailer = createMailer({ transport: fileTransport({ dir: path.join(dir, 'html') }), from: 'hi@mise.example' });
+  const { file } = await mailer.send({
+    to: ['a@example.com', 'B <b@example.com>'],
+    subject: 'Reset your password',
+    text: 'Reset it here',
+    html: '<p><a href="https://mise.example/reset">Reset it here</a></p>',
+  });
+  const raw = await fs.promises.readFile(file, 'utf8');
+  const { headers, parts } = parseEml(raw);
+  assert.equal(headers.to, 'a@example.com, B <b@example.com>');
+  assert.match(headers['content-type'], /^multipart\/alternative; boundary="mise-[0-9a-f]{24}"$/);
+  assert.equal(parts['text/plain'], 'Reset it here');
+  assert.equal(parts['text/html'], '<p><a href="https://mise.example/reset">Reset it here</a></p>');
+});
+
+test('non-ASCII subjects are encoded words and bodies survive as UTF-8', async () => {
+  const mailer = createMailer({ transport: fileTransport({ dir: path.join(dir, 'utf8') }), from: 'hi@mise.example' });
+  const { file } = await mailer.send({ to: 'chef@example.com', subject: 'Crème brûlée 🍮', text: 'Bon appétit – 180°C' });
+  const { headers, parts } = parseEml(await fs.promises.readFile(file, 'utf8'));
+  assert.equal(headers.subject, `=?UTF-8?B?${Buffer.from('Crème brûlée 🍮').toString('base64')}?=`);
+  assert.equal(parts['text/plain'], 'Bon appétit – 180°C');
+});
+
+test('every message gets its own file', async () => {
+  const target = path.join(dir, 'many');
+  const mailer = createMailer({ transport: fileTransport({ dir: target }), from: 'hi@mise.example' });
+  await Promise.all([1, 2, 3].map(n => mailer.send({ to: 'x@example.com', subject: `#${n}`, text: 'hi' })));
+  assert.equal((await fs.promises.readdir(target)).length, 3);
+});
+
+test('transports hand on bare addresses', async () => {
+  const sent = [];
+  const mailer = createMailer({ transport: { name: 'memory', send: async (msg) => sent.push(msg) }, from: 'mise <hi@mise.example>' });
+  await mailer.send({ to: ['Ann <ann@example.com>', 'bob@example.com'], subject: 's', text: 't' });
+  assert.equal(sent[0].from, 'hi@mise.example');
+  assert.deepEqual(sent[0].to, ['ann@example.com', 'bob@example.com']);
+  assert.equal(addressOf(' Ann <ann@example.com> '), 'ann@example.com');
+});
+
+test('MAIL_TRANSPORT picks the transport', () => {
+  assert.equal(transportFromEnv({ MAIL_TRANSPORT: 'file', MAIL_DIR: dir }).name, 'file');
+  assert.equal(transportFromEnv({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+  assert.equal(transportFromEnv({}).name, 'console');
+});
+
+test('createMailer needs a transport and a from address', () => {
+  assert.throws(() => createMailer({ from: 'hi@mise.example' }), /transport/);
+  assert.throws(() => createMailer({ transport: fileTransport({ dir }) }), /from/);
+});
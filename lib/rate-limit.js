@@ -0,0 +1,155 @@
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+// Fixed-window counters in a pluggable store, plus login backoff.
+//
+//   const limiter = createRateLimiter({ store, rules: { 'login:ip': { max: 30, windowMs: 15 * 60 * 1000 } } });
+//   const result = await limiter.consume('login:ip', req.ip);
+//   await limiter.consume('clean:user', user.id, urls.length);  // several at once
+//   // { allowed, limit, remaining, retryAfter }  (retryAfter in seconds)
+//
+// A store is { hit(key, windowMs, amount), set(key, windowMs), get(key), reset(key),
+// sweep() } where entries look like { count, resetAt } (resetAt in ms).
+// memoryStore() is for a single process; postgresStore(db) shares counts
+// across instances.
+
+// -----------------------------------------------------------------------------
+// Stores
+// -----------------------------------------------------------------------------
+export function memoryStore({ now = () => Date.now() } = {}) {
+  const entries = new Map();
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt > now()) return entry;
+    entries.delete(key);
+    return null;
+  };
+  return {
+    name: 'memory',
+    async hit(key, windowMs, amount = 1) {
+      const entry = live(key) || { count: 0, resetAt: now() + windowMs };
+      entry.count += amount;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async set(key, windowMs) {
+      const entry = { count: 1, resetAt: now() + windowMs };
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+    async sweep() {
+      for (const key of entries.keys()) live(key);
+    },
+  };
+}
+
+// Needs the rate_limits table (key, count, reset_at). The upsert starts a new
+// window when the old one has run out, so concurrent hits count correctly.
+export function postgresStore(db) {
+  const entry = (row) => (row ? { count: row.count, resetAt: new Date(row.reset_at).getTime() } : null);
+  return {
+    name: 'postgres',
+    async hit(key, windowMs, amount = 1) {
+      const result = await db.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, $3, NOW() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN $3 ELSE rate_limits.count + $3 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs / 1000, amount]
+      );
+      return entry(result.rows[0]);
+    },
+    async set(key, windowMs) {
+      const result = await db.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, NOW() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET count = 1, reset_at = EXCLUDED.reset_at
+         RETURNING count, reset_at`,
+        [key, windowMs / 1000]
+      );
+      return entry(result.rows[0]);
+    },
+    async get(key) {
+      const result = await db.query('SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()', [key]);
+      return entry(result.rows[0]);
+    },
+    async reset(key) {
+      await db.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    },
+    async sweep() {
+      await db.query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+    },
+  };
+}
+
+const secondsUntil = (resetAt, now) => Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+// -----------------------------------------------------------------------------
+// Limiter
+// -----------------------------------------------------------------------------
+export function createRateLimiter({ store, rules, now = () => Date.now() }) {
+  return {
+    store,
+    // Count `cost` requests against rule `name` for `id` (an IP, user id, ...)
+    async consume(name, id, cost = 1) {
+      const rule = rules[name];
+      if (!rule) throw new Error(`Unknown rate limit rule: ${name}`);
+      const { count, resetAt } = await store.hit(`${name}:${id}`, rule.windowMs, cost);
+      const allowed = count <= rule.max;
+      return {
+        allowed,
+        limit: rule.max,
+        remaining: Math.max(0, rule.max - count),
+        retryAfter: allowed ? 0 : secondsUntil(resetAt, now()),
+      };
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Login backoff
+// -----------------------------------------------------------------------------
+// Failed logins for an id (an account, or an account from one address) are
+// counted over `windowMs`. From the `backoffAfter`th failure each one locks
+// the id for a doubling delay
+// (1s, 2s, 4s, ... up to `maxDelayMs`); from the `lockoutAfter`th the lock
+// is `lockoutMs`. A successful login clears both.
+export function createLoginGuard({
+  store,
+  windowMs = 60 * 60 * 1000,
+  backoffAfter = 3,
+  lockoutAfter = 10,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  now = () => Date.now(),
+}) {
+  const failKey = (id) => `login-fail:${id}`;
+  const lockKey = (id) => `login-lock:${id}`;
+  return {
+    // Seconds until `id` may try again, 0 if it may now
+    async blockedFor(id) {
+      const lock = await store.get(lockKey(id));
+      return lock ? secondsUntil(lock.resetAt, now()) : 0;
+    },
+    async failed(id) {
+      const { count } = await store.hit(failKey(id), windowMs);
+      let delay = 0;
+      if (count >= lockoutAfter) delay = lockoutMs;
+      else if (count >= backoffAfter) delay = Math.min(baseDelayMs * 2 ** (count - backoffAfter), maxDelayMs);
+      if (delay) await store.set(lockKey(id), delay);
+      return { failures: count, retryAfter: delay ? Math.ceil(delay / 1000) : 0, locked: count >= lockoutAfter };
+    },
+    async succeeded(id) {
+      await store.reset(failKey(id));
+      await store.reset(lockKey(id));
+    },
+  };
+}
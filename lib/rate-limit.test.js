@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memoryStore, createRateLimiter, createLoginGuard } from './rate-limit.js';
+
+// A store and limiter on a clock the test moves by hand
+function clocked() {
+  const clock = { time: 1_000_000 };
+  const now = () => clock.time;
+  return { clock, now, store: memoryStore({ now }) };
+}
+
+test('counts requests in a fixed window', async () => {
+  const { clock, now, store } = clocked();
+  const limiter = createRateLimiter({ store, now, rules: { search: { max: 2, windowMs: 10_000 } } });
+  assert.deepEqual(await limiter.consume('search', 'a'), { allowed: true, limit: 2, remaining: 1, retryAfter: 0 });
+  assert.deepEqual(await limiter.consume('search', 'a'), { allowed: true, limit: 2, remaining: 0, retryAfter: 0 });
+  clock.time += 2500;
+  assert.deepEqual(await limiter.consume('search', 'a'), { allowed: false, limit: 2, remaining: 0, retryAfter: 8 });
+  // Another id has its own count
+  assert.equal((await limiter.consume('search', 'b')).allowed, true);
+  clock.time += 7500;
+  assert.deepEqual(await limiter.consume('search', 'a'), { allowed: true, limit: 2, remaining: 1, retryAfter: 0 });
+});
+
+test('a request can cost more than one', async () => {
+  const { now, store } = clocked();
+  const limiter = createRateLimiter({ store, now, rules: { clean: { max: 10, windowMs: 60_000 } } });
+  assert.equal((await limiter.consume('clean', 1, 8)).remaining, 2);
+  const over = await limiter.consume('clean', 1, 3);
+  assert.equal(over.allowed, false);
+  assert.equal(over.retryAfter, 60);
+});
+
+test('an unknown rule is a programming error', async () => {
+  const { store } = clocked();
+  await assert.rejects(createRateLimiter({ store, rules: {} }).consume('nope', 1), /Unknown rate limit rule: nope/);
+});
+
+test('the memory store forgets expired entries', async () => {
+  const { clock, store } = clocked();
+  await store.hit('k', 1000, 3);
+  assert.deepEqual(await store.get('k'), { count: 3, resetAt: 1_001_000 });
+  clock.time += 1000;
+  assert.equal(await store.get('k'), null);
+  await store.set('k', 1000);
+  await store.reset('k');
+  assert.equal(await store.get('k'), null);
+});
+
+test('login backoff doubles from the threshold, then locks out', async () => {
+  const { clock, now, store } = clocked();
+  const guard = createLoginGuard({ store, now, backoffAfter: 3, lockoutAfter: 6, maxDelayMs: 4000, lockoutMs: 60_000 });
+  const retries = [];
+  for (let i = 0; i < 6; i++) retries.push((await guard.failed('ann')).retryAfter);
+  assert.deepEqual(retries, [0, 0, 1, 2, 4, 60]);
+  assert.equal(await guard.blockedFor('ann'), 60);
+  assert.deepEqual(await guard.failed('ann'), { failures: 7, retryAfter: 60, locked: true });
+  clock.time += 30_000;
+  assert.equal(await guard.blockedFor('ann'), 30);
+  assert.equal(await guard.blockedFor('bob'), 0);
+});
+
+test('a successful login clears the failures and the lock', async () => {
+  const { now, store } = clocked();
+  const guard = createLoginGuard({ store, now, backoffAfter: 1 });
+  await guard.failed('ann');
+  assert.equal(await guard.blockedFor('ann'), 1);
+  await guard.succeeded('ann');
+  assert.equal(await guard.blockedFor('ann'), 0);
+  assert.deepEqual(await guard.failed('ann'), { failures: 1, retryAfter: 1, locked: false });
+});
+
+test('failures outside the window start over', async () => {
+  const { clock, now, store } = clocked();
+  const guard = createLoginGuard({ store, now, windowMs: 60_000, backoffAfter: 2 });
+  await guard.failed('ann');
+  clock.time += 60_000;
+  assert.equal((await guard.failed('ann')).failures, 1);
+});
+
+test('without a lockout the backoff stays capped', async () => {
+  const { now, store } = clocked();
+  const guard = createLoginGuard({ store, now, backoffAfter: 2, lockoutAfter: Infinity, maxDelayMs: 8000 });
+  let result;
+  for (let i = 0; i < 20; i++) result = await guard.failed('account:ann');
+  assert.deepEqual(result, { failures: 20, retryAfter: 8, locked: false });
+});
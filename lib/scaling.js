@@ -0,0 +1,138 @@
+// =============================================================================
+// RECIPE SCALING
+// =============================================================================
+// Multiplies every ingredient and the quantities mentioned in step text,
+// re-picking kitchen units as amounts grow or shrink (3 tsp -> 1 tbsp,
+// 1000g -> 1kg) and keeping countable things whole.
+
+import { RANGE_SOURCE, parseRange, findMeasurements, formatAmount, formatFraction, addDualUnits, UNITS } from './units.js';
+import { matchLeadingAmount, isCountUnit, countUnitLabel, structureRecipe } from './ingredients.js';
+
+// Eggs and onions stay whole; below one we allow halves ("1/2 onion")
+function roundCount(value) {
+  if (value < 1) return Math.max(0.5, Math.round(value * 2) / 2);
+  return Math.round(value);
+}
+
+function formatCount(min, max = min) {
+  const lo = formatFraction(roundCount(min), [2]);
+  const hi = formatFraction(roundCount(max), [2]);
+  return lo === hi ? hi : `${lo}-${hi}`;
+}
+
+function pluralize(word) {
+  if (/(s|x|ch|sh|o)$/i.test(word)) return `${word}es`;
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  return `${word}s`;
+}
+
+export function singularize(word) {
+  if (/ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(s|x|ch|sh|o)es$/i.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+const agreeWord = (word, to) => (to > 1 ? (/s$/i.test(word) ? word : pluralize(word)) : singularize(word));
+
+// "2 large eggs" -> "1 large egg": fix the first noun-looking word after the amount
+function agreeNoun(rest, from, to) {
+  if ((from > 1) === (to > 1)) return rest;
+  return rest.replace(/^(\s*(?:(?:large|medium|small|whole|fresh|ripe|extra-large|jumbo)\s+)*)([a-z]+)/i, (_, lead, word) =>
+    lead + agreeWord(word, to)
+  );
+}
+
+// Scale one ingredient line and regenerate its second unit system
+export function scaleIngredientLine(text, factor, { region = 'us' } = {}) {
+  const amount = matchLeadingAmount(text);
+  if (!amount) return text;
+
+  const { range, unit, size } = amount;
+  let rest = text.slice(amount.length).replace(/^\s+/, '');
+  let replacement;
+
+  if (amount.count) {
+    // "2 x 400g cans" - buy more cans rather than bigger ones
+    replacement = `${formatCount(amount.count * factor)} x ${formatAmount(unit, range.min, range.max, region)}`;
+  } else if (unit && !isCountUnit(unit)) {
+    replacement = formatAmount(unit, range.min * factor, range.max * factor, region);
+  } else {
+    const max = roundCount(range.max * factor);
+    replacement = formatCount(range.min * factor, range.max * factor);
+    if (size) replacement += ` (${size})`;
+    if (unit) replacement += ` ${countUnitLabel(unit, max)}`;
+    else rest = agreeNoun(rest, range.max, max);
+  }
+
+  return addDualUnits(`${replacement} ${rest}`.trim(), { region }).text;
+}
+
+// Head noun of an ingredient, for spotting "add the 2 eggs" in steps
+function headWord(item) {
+  const words = (item || '').toLowerCase().match(/[a-z]+/g) || [];
+  return words.length ? singularize(words[words.length - 1]) : null;
+}
+
+// Scale quantities mentioned in an instruction. Temperatures, pan sizes and
+// times are left alone.
+export function scaleStepText(text, factor, { region = 'us', items = [] } = {}) {
+  if (typeof text !== 'string') return text;
+  const edits = [];
+
+  for (const m of findMeasurements(text)) {
+    if (m.dimensions || UNITS[m.unit].kind === 'length') continue;
+    const scaled = formatAmount(m.unit, m.range.min * factor, m.range.max * factor, m.region || region);
+    if (scaled) edits.push({ index: m.index, end: m.end, text: scaled });
+  }
+
+  // Counted ingredients: "beat in 2 eggs", "add 3 cloves garlic"
+  for (const item of items) {
+    if (item.unit && !isCountUnit(item.unit)) continue;
+    const noun = headWord(item.item);
+    if (!noun || noun.length < 3) continue;
+    const unitSource = item.unit ? `(?:${item.unit}|${countUnitLabel(item.unit, 2)})` : '';
+    const unitWords = item.unit ? `${unitSource}\\s+(?:of\\s+)?` : '';
+    const regex = new RegExp(
+      `(?<![\\w.\\/])(${RANGE_SOURCE})(\\s+(?:(?:large|medium|small|whole)\\s+)?${unitWords}(?:the\\s+)?${noun}(?:e?s)?)\\b`,
+      'gi'
+    );
+    for (const m of text.matchAll(regex)) {
+      const range = parseRange(m[1]);
+      if (!range || !/^\d|^[^a-z]/i.test(m[1])) continue;
+      if (edits.some(e => m.index < e.end && m.index + m[0].length > e.index)) continue;
+      // "3 cloves garlic" -> "1 clove garlic", "2 eggs" -> "1 egg"
+      const max = roundCount(range.max * factor);
+      let tail = m[m.length - 1];
+      if ((range.max > 1) !== (max > 1)) {
+        tail = item.unit
+          ? tail.replace(new RegExp(`\\b${unitSource}\\b`, 'i'), countUnitLabel(item.unit, max))
+          : tail.replace(/[a-z]+$/i, word => agreeWord(word, max));
+      }
+      edits.push({ index: m.index, end: m.index + m[0].length, text: formatCount(range.min * factor, range.max * factor) + tail });
+    }
+  }
+
+  return edits
+    .sort((a, b) => b.index - a.index)
+    .reduce((out, e) => out.slice(0, e.index) + e.text + out.slice(e.end), text);
+}
+
+// Scale a whole recipe by `factor`. Ingredient ids and step links survive.
+export function scaleRecipe(recipe, factor, { region = 'us' } = {}) {
+  const structured = structureRecipe(recipe);
+  const items = structured.ingredientItems;
+  const baseServings = parseFloat(structured.servings) || 4;
+
+  const scaled = {
+    ...structured,
+    servings: Math.max(1, Math.round(baseServings * factor)),
+    ingredients: items.map(i => scaleIngredientLine(i.text, factor, { region })),
+    steps: structured.steps.map(step => ({
+      ...step,
+      instruction: scaleStepText(step.instruction, factor, { region, items }),
+    })),
+    scaledFrom: { servings: baseServings, multiplier: factor },
+  };
+  return structureRecipe(scaled);
+}
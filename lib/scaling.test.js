@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scaleIngredientLine, scaleStepText } from './scaling.js';
+import { structureRecipe } from './ingredients.js';
+
+const { ingredientItems: items } = structureRecipe({
+  title: 'Omelette',
+  ingredients: ['2 eggs', '3 cloves garlic', '1 onion', '200g cheese'],
+  steps: [],
+});
+const step = (text, factor) => scaleStepText(text, factor, { items });
+
+test('scales ingredient lines, keeping counts whole', () => {
+  assert.equal(scaleIngredientLine('2 eggs', 0.5), '1 egg');
+  assert.equal(scaleIngredientLine('1 onion', 3), '3 onions');
+  assert.equal(scaleIngredientLine('3 cloves garlic', 0.25), '1 clove garlic');
+});
+
+test('scales counted ingredients in steps and keeps the noun in agreement', () => {
+  assert.equal(step('Beat in 2 eggs.', 0.5), 'Beat in 1 egg.');
+  assert.equal(step('Chop 1 onion.', 2), 'Chop 2 onions.');
+  assert.equal(step('Add 3 cloves of garlic.', 0.25), 'Add 1 clove of garlic.');
+  assert.equal(step('Whisk 2 eggs.', 2), 'Whisk 4 eggs.');
+});
+
+test('scales measures in steps', () => {
+  assert.equal(step('Stir in 200g cheese.', 2), 'Stir in 400g cheese.');
+});
+
+test('leaves temperatures alone', () => {
+  assert.equal(step('Bake at 180°C for 20 minutes.', 2), 'Bake at 180°C for 20 minutes.');
+});
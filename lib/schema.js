@@ -0,0 +1,427 @@
+// =============================================================================
+// RECIPE SCHEMA EXTRACTION
+// =============================================================================
+// Finds schema.org Recipe data in a page: JSON-LD first, then microdata, then
+// RDFa. Whatever the source, the result has the JSON-LD shape
+// (name, recipeIngredient, recipeInstructions, ...) that
+// convertSchemaToRecipe consumes.
+
+import * as cheerio from 'cheerio';
+
+const MAX_DEPTH = 8;
+
+// "Recipe", ["Recipe", "NewsArticle"], "schema:Recipe", "http://schema.org/Recipe"
+export function hasType(node, type) {
+  const types = Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']];
+  return types.some(t => typeof t === 'string' && t.replace(/^.*[/:#]/, '') === type);
+}
+
+// Walk @graph, arrays, mainEntity and friends until a Recipe turns up
+function findRecipeNode(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findRecipeNode(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (hasType(node, 'Recipe')) return node;
+  for (const key of ['@graph', 'mainEntity', 'mainEntityOfPage', 'about', 'hasPart', 'itemListElement', 'item']) {
+    const found = findRecipeNode(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Publishers ship JSON-LD with comments, CDATA wrappers, raw newlines in
+// strings and trailing commas. Try the strict parse first.
+function parseLooseJson(text) {
+  const cleaned = text
+    .replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)/, '')
+    .replace(/(?:-->|\/\/\s*\]\]>)\s*$/, '')
+    .trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {}
+  try {
+    return JSON.parse(cleaned.replace(/[\u0000-\u001f]+/g, ' ').replace(/,\s*([}\]])/g, '$1'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function extractJsonLd($) {
+  let recipe = null;
+  $('script').each((_, el) => {
+    if (recipe) return;
+    if (!/ld\+json/i.test($(el).attr('type') || '')) return;
+    const data = parseLooseJson($(el).text());
+    recipe = findRecipeNode(data);
+  });
+  return recipe;
+}
+
+// -----------------------------------------------------------------------------
+// Microdata / RDFa
+// -----------------------------------------------------------------------------
+const text = ($el) => $el.text().replace(/\s+/g, ' ').trim();
+
+// Older microdata vocabularies (data-vocabulary.org, early schema.org) used
+// different property names for the same thing
+const PROPERTY_ALIASES = {
+  ingredients: 'recipeIngredient',
+  ingredient: 'recipeIngredient',
+  instructions: 'recipeInstructions',
+  photo: 'image',
+  yield: 'recipeYield',
+  summary: 'description',
+  published: 'datePublished',
+};
+
+// Fields that should be lists even when a page marks up a single item
+const LIST_FIELDS = new Set(['recipeIngredient', 'recipeInstructions', 'image', 'keywords', 'recipeCategory', 'recipeCuisine']);
+
+function propertyValue($, $el, attrs) {
+  const el = $el.get(0);
+  const tag = el.tagName?.toLowerCase();
+  if (attrs.content && $el.attr(attrs.content) != null) return $el.attr(attrs.content).trim();
+  if ($el.attr('content') != null) return $el.attr('content').trim();
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) return $el.attr('src') || $el.attr('data-src') || null;
+  if (['a', 'link', 'area'].includes(tag)) return $el.attr('href') || null;
+  if (tag === 'object') return $el.attr('data') || null;
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+  if (['data', 'meter'].includes(tag) && $el.attr('value') != null) return $el.attr('value');
+  if (attrs.resource && $el.attr(attrs.resource) && !$el.text().trim()) return $el.attr(attrs.resource);
+
+  // A block of instructions marked up as one property: keep the list items apart
+  const items = $el.find('li');
+  if (items.length > 1) return items.map((_, li) => text($(li))).get().filter(Boolean);
+  const paragraphs = $el.find('p');
+  if (paragraphs.length > 1) return paragraphs.map((_, p) => text($(p))).get().filter(Boolean);
+  return text($el);
+}
+
+function addProperty(obj, name, value) {
+  const key = PROPERTY_ALIASES[name] || name;
+  if (value == null || value === '') return;
+  const values = Array.isArray(value) ? value : [value];
+  if (obj[key] === undefined) {
+    obj[key] = LIST_FIELDS.has(key) || values.length > 1 ? values : values[0];
+  } else {
+    obj[key] = [].concat(obj[key], values);
+  }
+}
+
+// Generic item reader for both syntaxes. `attrs` names the attributes:
+// microdata uses itemscope/itemtype/itemprop, RDFa typeof/property.
+function readItem($, $scope, attrs, depth = 0) {
+  const typeAttr = $scope.attr(attrs.type) || '';
+  const obj = { '@type': typeAttr.split(/\s+/).filter(Boolean).map(t => t.replace(/^.*[/:#]/, '')) };
+  if (obj['@type'].length === 1) obj['@type'] = obj['@type'][0];
+  if (depth > MAX_DEPTH) return obj;
+
+  const visit = ($parent) => {
+    $parent.children().each((_, child) => {
+      const $child = $(child);
+      const props = ($child.attr(attrs.prop) || '').split(/\s+/).filter(Boolean).map(p => p.replace(/^.*[/:#]/, ''));
+      const isScope = attrs.isScope($child);
+
+      if (props.length) {
+        const value = isScope ? readItem($, $child, attrs, depth + 1) : propertyValue($, $child, attrs);
+        for (const prop of props) addProperty(obj, prop, value);
+      }
+      // Nested items own their own properties
+      if (!isScope) visit($child);
+    });
+  };
+  visit($scope);
+  return obj;
+}
+
+const MICRODATA = {
+  type: 'itemtype',
+  prop: 'itemprop',
+  isScope: ($el) => $el.attr('itemscope') !== undefined,
+};
+
+const RDFA = {
+  type: 'typeof',
+  prop: 'property',
+  content: 'content',
+  resource: 'resource',
+  isScope: ($el) => $el.attr('typeof') !== undefined,
+};
+
+function extractMicrodata($) {
+  const scope = $('[itemscope][itemtype]').filter((_, el) =>
+    /(^|[/\s#:])Recipe(\s|$)/.test($(el).attr('itemtype') || '')
+  ).first();
+  return scope.length ? readItem($, scope, MICRODATA) : null;
+}
+
+function extractRdfa($) {
+  const scope = $('[typeof]').filter((_, el) =>
+    ($(el).attr('typeof') || '').split(/\s+/).some(t => t.replace(/^.*[/:#]/, '') === 'Recipe')
+  ).first();
+  return scope.length ? readItem($, scope, RDFA) : null;
+}
+
+function absoluteUrl(value, baseUrl) {
+  if (typeof value !== 'string' || !baseUrl) return value;
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (e) {
+    return value;
+  }
+}
+
+// Flatten a microdata/RDFa item so it looks like what publishers put in JSON-LD
+function normalizeItem(item, baseUrl) {
+  if (!item) return null;
+  const recipe = { ...item, '@type': 'Recipe' };
+
+  if (recipe.image) {
+    recipe.image = [].concat(recipe.image).map(img =>
+      typeof img === 'string' ? absoluteUrl(img, baseUrl) : { ...img, url: absoluteUrl(img.url, baseUrl) }
+    );
+  }
+
+  // Instructions marked up step by step come through as strings or HowToStep items
+  if (recipe.recipeInstructions) {
+    recipe.recipeInstructions = [].concat(recipe.recipeInstructions).flat().map(step =>
+      typeof step === 'string' ? step : { ...step, '@type': step['@type']?.length ? step['@type'] : 'HowToStep' }
+    );
+  }
+  if (recipe.recipeIngredient) {
+    recipe.recipeIngredient = [].concat(recipe.recipeIngredient).flat()
+      .map(i => (typeof i === 'string' ? i : i.name || i.text || ''))
+      .filter(Boolean);
+  }
+  return recipe.name || recipe.recipeIngredient?.length ? recipe : null;
+}
+
+// `baseUrl` resolves relative image paths found in microdata/RDFa
+export function extractRecipeSchema(html, baseUrl = null) {
+  if (!html) return null;
+  try {
+    const $ = cheerio.load(html);
+    return extractJsonLd($) ||
+      normalizeItem(extractMicrodata($), baseUrl) ||
+      normalizeItem(extractRdfa($), baseUrl);
+  } catch (err) {
+    console.error('Schema extraction error:', err);
+    return null;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Schema -> recipe
+// -----------------------------------------------------------------------------
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', frac12: '½', frac14: '¼', frac34: '¾', deg: '°', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+// A numeric entity's character; ones that aren't a Unicode scalar value
+// (past 0x10FFFF, or a lone surrogate) are left as written
+const fromEntity = (entity, code) =>
+  code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff) ? String.fromCodePoint(code) : entity;
+
+// JSON-LD strings often carry HTML tags and entities
+export function cleanSchemaText(value) {
+  if (value == null) return '';
+  return String(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => fromEntity(m, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => fromEntity(m, parseInt(dec, 10)))
+    .replace(/&([a-z0-9]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+// ISO 8601 duration -> minutes: "PT1H30M" -> 90, "P1DT2H" -> 1560, "PT45S" -> 0.75.
+// Plain numbers are taken as minutes.
+export function parseDuration(d) {
+  if (d == null || d === '') return null;
+  if (typeof d === 'number') return d;
+  const s = String(d).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+  const m = s.match(/^-?P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)W)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/i);
+  if (!m || !m.slice(1).some(Boolean)) return null;
+  const [years, months, weeks, days, hours, minutes, seconds] = m.slice(1).map(v => parseFloat(v || 0));
+  return years * 525600 + months * 43800 + weeks * 10080 + days * 1440 + hours * 60 + minutes + seconds / 60;
+}
+
+// Minutes -> "1 day 2h", "1h 30min", "45 min", "30 sec"
+export function formatDuration(minutes) {
+  if (minutes == null || !isFinite(minutes) || minutes <= 0) return null;
+  if (minutes < 1) return `${Math.round(minutes * 60)} sec`;
+  const total = Math.round(minutes);
+  const days = Math.floor(total / 1440);
+  const h = Math.floor((total % 1440) / 60);
+  const min = total % 60;
+  const parts = [];
+  if (days) parts.push(`${days} ${days === 1 ? 'day' : 'days'}`);
+  if (h && min) parts.push(`${h}h ${min}min`);
+  else if (h) parts.push(`${h}h`);
+  else if (min) parts.push(`${min} min`);
+  return parts.join(' ');
+}
+
+// Minutes -> "PT1H30M", for writing schema back out
+export function toIsoDuration(minutes) {
+  if (minutes == null || !isFinite(minutes) || minutes <= 0) return null;
+  const total = Math.round(minutes);
+  const days = Math.floor(total / 1440);
+  const h = Math.floor((total % 1440) / 60);
+  const min = total % 60;
+  return `P${days ? `${days}D` : ''}T${h ? `${h}H` : ''}${min || (!h && !days) ? `${min}M` : ''}`.replace(/T$/, '');
+}
+
+function toList(value) {
+  if (value == null || value === '') return [];
+  return [].concat(value).flatMap(v => (typeof v === 'string' ? v.split(',') : [v?.name || v?.['@id'] || '']))
+    .map(v => cleanSchemaText(v))
+    .filter(Boolean);
+}
+
+function firstUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return firstUrl(value[0]);
+  return value.url || value.contentUrl || value['@id'] || null;
+}
+
+function personName(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return cleanSchemaText(value);
+  if (Array.isArray(value)) return value.map(personName).filter(Boolean).join(', ') || null;
+  return value.name ? cleanSchemaText(value.name) : null;
+}
+
+// Walk recipeInstructions. Steps carry the name of the HowToSection they
+// came from; HowToTip entries go to tips.
+function collectSteps(node, section, steps, tips, depth = 0) {
+  if (node == null || depth > MAX_DEPTH) return;
+  if (typeof node === 'string') {
+    const text = cleanSchemaText(node);
+    // One blob of text: split on lines, or on sentences if there are none
+    const parts = text.includes('\n')
+      ? text.split(/\n+/)
+      : depth === 0 ? text.split(/(?<=[.!?])\s+(?=[A-Z])/) : [text];
+    for (const part of parts) {
+      const instruction = part.replace(/^\s*(?:step\s*)?\d+[.):]\s*/i, '').trim();
+      if (instruction) steps.push({ instruction, ingredients: [], section });
+    }
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach(n => collectSteps(n, section, steps, tips, depth + 1));
+    return;
+  }
+  if (hasType(node, 'HowToSection') || (hasType(node, 'ItemList') && node.itemListElement)) {
+    const name = cleanSchemaText(node.name) || section;
+    collectSteps(node.itemListElement || node.steps || [], name, steps, tips, depth + 1);
+    return;
+  }
+  if (hasType(node, 'HowToTip')) {
+    const tip = cleanSchemaText(node.text || node.name);
+    if (tip) tips.push(tip);
+    return;
+  }
+  // HowToStep, HowToDirection, or an untyped { text }
+  const instruction = cleanSchemaText(node.text || node.description || node.name);
+  if (instruction) {
+    const step = { instruction, ingredients: [], section };
+    const image = firstUrl(node.image);
+    if (image) step.imageUrl = image;
+    steps.push(step);
+  }
+  // Sub-steps some plugins nest under a step
+  if (node.itemListElement) collectSteps(node.itemListElement, section, steps, tips, depth + 1);
+}
+
+function normalizeNutrition(nutrition) {
+  if (!nutrition || typeof nutrition !== 'object') return null;
+  const facts = {};
+  for (const [key, value] of Object.entries(Array.isArray(nutrition) ? nutrition[0] || {} : nutrition)) {
+    if (key.startsWith('@') || value == null || value === '') continue;
+    facts[key] = cleanSchemaText(value);
+  }
+  return Object.keys(facts).length ? facts : null;
+}
+
+function normalizeVideo(video) {
+  const v = Array.isArray(video) ? video[0] : video;
+  if (!v || typeof v !== 'object') return typeof v === 'string' ? { contentUrl: v } : null;
+  const out = {
+    name: cleanSchemaText(v.name) || null,
+    description: cleanSchemaText(v.description) || null,
+    thumbnailUrl: firstUrl(v.thumbnailUrl),
+    contentUrl: v.contentUrl || null,
+    embedUrl: v.embedUrl || null,
+    uploadDate: v.uploadDate || null,
+    durationMinutes: parseDuration(v.duration),
+  };
+  return out.contentUrl || out.embedUrl ? out : null;
+}
+
+function normalizeRating(rating) {
+  if (!rating || typeof rating !== 'object') return null;
+  const value = parseFloat(rating.ratingValue);
+  if (!isFinite(value)) return null;
+  return {
+    ratingValue: value,
+    ratingCount: parseInt(rating.ratingCount) || null,
+    reviewCount: parseInt(rating.reviewCount) || null,
+    bestRating: parseFloat(rating.bestRating) || 5,
+    worstRating: parseFloat(rating.worstRating) || 1,
+  };
+}
+
+// recipeYield: "4", 4, ["4", "4 servings"], "Makes 12 cookies"
+function parseYield(recipeYield) {
+  const values = [].concat(recipeYield ?? []).map(v => cleanSchemaText(v)).filter(Boolean);
+  const servings = values.map(v => parseInt(v.match(/\d+/)?.[0])).find(n => n > 0) || null;
+  const label = values.find(v => /[a-z]/i.test(v)) || values[0] || null;
+  return { servings, label };
+}
+
+export function convertSchemaToRecipe(schema, sourceUrl) {
+  const steps = [];
+  const tips = [];
+  collectSteps(schema.recipeInstructions || [], null, steps, tips);
+
+  const prepTimeMinutes = parseDuration(schema.prepTime);
+  const cookTimeMinutes = parseDuration(schema.cookTime);
+  const totalTimeMinutes = parseDuration(schema.totalTime) ??
+    (prepTimeMinutes != null || cookTimeMinutes != null ? (prepTimeMinutes || 0) + (cookTimeMinutes || 0) : null);
+  const { servings, label } = parseYield(schema.recipeYield);
+
+  return {
+    title: cleanSchemaText(schema.name) || 'Recipe',
+    description: cleanSchemaText(schema.description) || null,
+    servings: servings || 4,
+    yield: label,
+    prepTime: formatDuration(prepTimeMinutes),
+    cookTime: formatDuration(cookTimeMinutes),
+    totalTime: formatDuration(totalTimeMinutes),
+    prepTimeMinutes,
+    cookTimeMinutes,
+    totalTimeMinutes,
+    imageUrl: firstUrl(schema.image),
+    ingredients: [].concat(schema.recipeIngredient || []).map(i => cleanSchemaText(i)).filter(Boolean),
+    steps,
+    tips,
+    category: toList(schema.recipeCategory),
+    cuisine: toList(schema.recipeCuisine),
+    keywords: toList(schema.keywords),
+    suitableForDiet: toList(schema.suitableForDiet).map(d => d.replace(/^.*[/:#]/, '')),
+    nutrition: normalizeNutrition(schema.nutrition),
+    video: normalizeVideo(schema.video),
+    aggregateRating: normalizeRating(schema.aggregateRating),
+    source: sourceUrl ? new URL(sourceUrl).hostname.replace('www.', '') : null,
+    sourceUrl: sourceUrl || null,
+    author: personName(schema.author),
+    _needsDualUnits: true,
+  };
+}
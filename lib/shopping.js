@@ -0,0 +1,141 @@
+// =============================================================================
+// SHOPPING LIST
+// =============================================================================
+// Turns planned recipes into one list: the same ingredient from several
+// recipes becomes one line, amounts are converted to a single unit system and
+// lines are grouped by grocery aisle.
+//
+//   buildShoppingList([{ recipe, servings, recipeId }], { system: 'metric' }) ->
+//   [{ aisle: 'Produce', items: [{ key: 'onion', name: 'onion', display: '3', amounts, recipes }] }]
+
+import { UNITS, unitToBase, findDensity, formatMetric, formatImperial, formatFraction } from './units.js';
+import { parseIngredient, isCountUnit, countUnitLabel } from './ingredients.js';
+import { singularize } from './scaling.js';
+
+// Keywords match whole words, plurals included ("berries" is a berry, "peach"
+// isn't a pea). The longest match wins, so "bell pepper" beats "pepper"
+const AISLES = [
+  ['Spices & Seasonings', ['salt', 'pepper', 'black pepper', 'pepper flakes', 'chilli flakes', 'peppercorn', 'cumin', 'paprika', 'cinnamon', 'nutmeg', 'oregano', 'thyme', 'rosemary', 'bay leaf', 'chili powder', 'turmeric', 'coriander seed', 'garam masala', 'curry powder', 'vanilla', 'clove', 'cardamom', 'allspice', 'seasoning']],
+  ['Canned & Jarred', ['canned', 'tinned', 'tomato paste', 'passata', 'chopped tomatoes', 'coconut milk', 'stock', 'broth', 'chicken stock', 'beef stock', 'chicken broth', 'beef broth', 'bean', 'chickpea', 'tuna', 'olive', 'caper', 'pickle']],
+  ['Baking', ['flour', 'sugar', 'baking powder', 'baking soda', 'bicarbonate', 'yeast', 'cocoa', 'chocolate', 'cornstarch', 'cornflour', 'icing', 'sprinkles', 'gelatin']],
+  ['Dairy & Eggs', ['milk', 'butter', 'cream', 'cheese', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'yogurt', 'yoghurt', 'egg', 'creme fraiche', 'ricotta', 'mascarpone']],
+  ['Meat & Seafood', ['chicken', 'beef', 'pork', 'lamb', 'turkey', 'bacon', 'sausage', 'mince', 'ham', 'steak', 'fish', 'salmon', 'cod', 'prawn', 'shrimp', 'mussel', 'anchovy', 'chorizo', 'duck']],
+  ['Bakery', ['bread', 'baguette', 'bun', 'roll', 'tortilla', 'pita', 'naan', 'croissant', 'brioche']],
+  ['Pasta, Rice & Grains', ['pasta', 'spaghetti', 'penne', 'noodle', 'rice', 'quinoa', 'couscous', 'oats', 'lentil', 'barley', 'bulgur', 'polenta']],
+  ['Oils, Vinegars & Sauces', ['oil', 'olive oil', 'vinegar', 'soy sauce', 'fish sauce', 'worcestershire', 'mustard', 'ketchup', 'mayonnaise', 'hot sauce', 'sriracha', 'honey', 'maple syrup', 'tahini', 'miso']],
+  ['Nuts & Dried Fruit', ['almond', 'walnut', 'pecan', 'cashew', 'peanut', 'hazelnut', 'pistachio', 'pine nut', 'peanut butter', 'raisin', 'sultana', 'cranberry', 'date', 'apricot', 'seed']],
+  ['Frozen', ['frozen', 'ice cream', 'pea']],
+  ['Produce', ['onion', 'garlic', 'shallot', 'leek', 'potato', 'carrot', 'celery', 'tomato', 'bell pepper', 'red pepper', 'green pepper', 'jalapeño', 'jalapeno', 'chili', 'chilli', 'lettuce', 'spinach', 'watercress', 'kale', 'cabbage', 'broccoli', 'cauliflower', 'courgette', 'zucchini', 'aubergine', 'eggplant', 'mushroom', 'cucumber', 'avocado', 'lemon', 'lime', 'orange', 'apple', 'banana', 'pear', 'berry', 'blueberry', 'strawberry', 'raspberry', 'blackberry', 'green bean', 'ginger', 'herb', 'parsley', 'basil', 'cilantro', 'coriander', 'mint', 'dill', 'chive', 'spring onion', 'scallion', 'squash', 'pumpkin', 'corn', 'bean sprout', 'fruit']],
+  ['Drinks', ['wine', 'beer', 'juice', 'coffee', 'tea', 'water']],
+];
+const OTHER_AISLE = 'Other';
+const AISLE_ORDER = [...AISLES.map(([name]) => name), OTHER_AISLE];
+
+const keywordPattern = (word) => {
+  const stem = word.replace(/ /g, '\\s+');
+  const plural = /[^aeiou]y$/.test(word) ? `${stem.slice(0, -1)}(?:y|ies)` : `${stem}(?:e?s)?`;
+  return new RegExp(`(?<!\\p{L})${plural}(?!\\p{L})`, 'u');
+};
+const AISLE_KEYWORDS = AISLES.flatMap(([aisle, words]) => words.map(word => ({ aisle, word, pattern: keywordPattern(word) })));
+
+export function aisleFor(name) {
+  const lower = name.toLowerCase();
+  let best = { aisle: OTHER_AISLE, length: 0 };
+  for (const { aisle, word, pattern } of AISLE_KEYWORDS) {
+    if (word.length > best.length && pattern.test(lower)) best = { aisle, length: word.length };
+  }
+  return best.aisle;
+}
+
+const SIZE_WORDS = /\b(?:large|medium|small|extra-large|jumbo|fresh|ripe|whole|good quality|organic)\s+/gi;
+
+// "2 Large Eggs" and "egg" are the same thing to buy
+function ingredientKey(item) {
+  const words = item.toLowerCase().replace(SIZE_WORDS, '').replace(/[^a-zÀ-ɏ\s-]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(' ');
+}
+
+// The measurement in the system we're shopping in, when the line has one
+function pickMeasure(parsed, system) {
+  const { alternate } = parsed;
+  if (alternate && UNITS[alternate.unit]?.system === system && UNITS[parsed.unit]?.system !== system) {
+    return { quantity: alternate.quantityMax ?? alternate.quantity, unit: alternate.unit };
+  }
+  return { quantity: parsed.quantityMax ?? parsed.quantity, unit: parsed.unit };
+}
+
+function formatTotal(kind, base, system, region) {
+  return (system === 'imperial' ? formatImperial(kind, base, region) : formatMetric(kind, base))?.text || null;
+}
+
+// entries: [{ recipe (structured), servings, recipeId, region }]. Amounts are
+// scaled from the recipe's servings to the entry's; `region` is where the
+// recipe's cups and pints come from, options.region where the list's go.
+export function buildShoppingList(entries, { system = 'metric', region = 'us' } = {}) {
+  const lines = new Map();
+
+  for (const { recipe, servings, recipeId, region: source = region } of entries) {
+    // Saved servings can be text ("4 servings")
+    const baseServings = parseFloat(recipe.servings);
+    const factor = servings && baseServings > 0 ? servings / baseServings : 1;
+    for (const ingredient of recipe.ingredientItems || []) {
+      const parsed = ingredient.quantity !== undefined ? ingredient : parseIngredient(ingredient.text);
+      const key = ingredientKey(parsed.item || parsed.text);
+      if (!key) continue;
+
+      const line = lines.get(key) || {
+        key, name: key, aisle: aisleFor(key), optional: true,
+        mass: 0, volume: 0, counts: new Map(), unmeasured: false, density: findDensity(key), recipes: [],
+      };
+      lines.set(key, line);
+      line.optional = line.optional && !!parsed.optional;
+      if (!line.recipes.some(r => r.recipeId === recipeId)) line.recipes.push({ recipeId, title: recipe.title });
+
+      const { quantity, unit } = pickMeasure(parsed, system);
+      if (quantity == null) {
+        line.unmeasured = true;
+        continue;
+      }
+      const def = UNITS[unit];
+      if (def?.kind === 'mass' || def?.kind === 'volume') {
+        line[def.kind] += quantity * factor * unitToBase(unit, source);
+      } else {
+        // Countable: "3 cloves", "2 (14 oz) cans", "1 inch", or just "2"
+        const countKey = unit || '';
+        line.counts.set(countKey, (line.counts.get(countKey) || 0) + quantity * factor);
+      }
+    }
+  }
+
+  const items = [...lines.values()].map(line => {
+    // Weighed and measured amounts of the same dry ingredient: buy by weight
+    if (line.mass && line.volume && line.density) {
+      line.mass += line.volume * (line.density / 240);
+      line.volume = 0;
+    }
+    const amounts = [];
+    if (line.mass) amounts.push({ kind: 'mass', base: line.mass, display: formatTotal('mass', line.mass, system, region) });
+    if (line.volume) amounts.push({ kind: 'volume', base: line.volume, display: formatTotal('volume', line.volume, system, region) });
+    for (const [unit, count] of line.counts) {
+      const rounded = count < 1 ? formatFraction(count, [2, 4]) : formatFraction(Math.ceil(count * 2) / 2, [2]);
+      amounts.push({ kind: 'count', unit: unit || null, quantity: count, display: unit ? `${rounded} ${isCountUnit(unit) ? countUnitLabel(unit, count) : unit}` : rounded });
+    }
+    return {
+      key: line.key,
+      name: line.name,
+      aisle: line.aisle,
+      amounts,
+      display: amounts.map(a => a.display).filter(Boolean).join(' + ') || null,
+      // "salt to taste" next to a measured amount still means buy salt
+      toTaste: line.unmeasured && !amounts.length,
+      optional: line.optional,
+      recipes: line.recipes,
+    };
+  });
+
+  return AISLE_ORDER
+    .map(aisle => ({ aisle, items: items.filter(i => i.aisle === aisle).sort((a, b) => a.name.localeCompare(b.name)) }))
+    .filter(group => group.items.length);
+}
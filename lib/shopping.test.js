@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aisleFor } from './shopping.js';
+
+test('files ingredients under their aisle, plurals included', () => {
+  assert.equal(aisleFor('onion'), 'Produce');
+  assert.equal(aisleFor('tomatoes'), 'Produce');
+  assert.equal(aisleFor('mixed berries'), 'Produce');
+  assert.equal(aisleFor('anchovies'), 'Meat & Seafood');
+  assert.equal(aisleFor('frozen peas'), 'Frozen');
+  assert.equal(aisleFor('Olive Oil'), 'Oils, Vinegars & Sauces');
+});
+
+test('the longest keyword wins', () => {
+  assert.equal(aisleFor('bell pepper'), 'Produce');
+  assert.equal(aisleFor('black pepper'), 'Spices & Seasonings');
+  assert.equal(aisleFor('chicken stock'), 'Canned & Jarred');
+});
+
+test('keywords only match whole words', () => {
+  assert.equal(aisleFor('peach'), 'Other');
+  assert.equal(aisleFor('graham crackers'), 'Other');
+  assert.equal(aisleFor('watercress'), 'Produce');
+  assert.equal(aisleFor('eggplant'), 'Produce');
+});
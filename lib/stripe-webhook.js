@@ -0,0 +1,198 @@
+// =============================================================================
+// STRIPE WEBHOOK
+// =============================================================================
+// Checks the signature on each Stripe event, records its id so a retry is a
+// no-op, and applies the events we act on to the users table:
+//
+//   const webhook = createStripeWebhook({ stripe, secret, withTransaction, planForPrice, changeCredits });
+//   const { status, body } = await webhook.handle(rawBody, req.headers['stripe-signature']);
+//
+// The database, Stripe client and plan catalogue come in as arguments, so
+// tests can drive it with signed fixture payloads.
+
+// Statuses that still get the paid plan. past_due is the grace period; the
+// billing sweep ends it after `graceDays`.
+export const PAID_STATUSES = ['active', 'trialing', 'past_due'];
+
+const invoiceSubscription = (invoice) => invoice.subscription ?? invoice.parent?.subscription_details?.subscription ?? null;
+
+// When the subscription's current period ends, as a Date. Newer API versions
+// moved the period onto the subscription items.
+export function currentPeriodEnd(sub) {
+  const seconds = sub.current_period_end ?? sub.items?.data?.[0]?.current_period_end ?? null;
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+export function createStripeWebhook({ stripe, secret, withTransaction, planForPrice, changeCredits, graceDays = 7 }) {
+  // Copy a Stripe subscription onto its customer's user, unless a newer event
+  // has already been applied. An ended subscription only clears the plan if it
+  // is the user's current one, not one they have since replaced.
+  async function applySubscription(client, sub, event) {
+    const paid = PAID_STATUSES.includes(sub.status);
+    const price = planForPrice(sub.items?.data?.[0]?.price?.id);
+    const plan = paid ? price?.plan : null;
+    if (paid && !plan) {
+      console.warn(`⚠️ Subscription ${sub.id} has a price we don't sell; leaving the plan alone`);
+      return;
+    }
+    const result = await client.query(
+      `UPDATE users SET subscription = $2, stripe_subscription_id = $3, subscription_status = $4,
+       current_period_end = $5, cancel_at_period_end = $6, subscription_interval = $9,
+       payment_failed_at = CASE WHEN $4 = 'past_due' THEN COALESCE(payment_failed_at, NOW()) ELSE NULL END,
+       stripe_event_at = to_timestamp($7)
+       WHERE stripe_customer_id = $1 AND (stripe_event_at IS NULL OR stripe_event_at <= to_timestamp($7))
+       AND ($8 OR stripe_subscription_id IS NULL OR stripe_subscription_id = $3)
+       RETURNING id`,
+      [sub.customer, plan || null, sub.id, sub.status, currentPeriodEnd(sub), !!sub.cancel_at_period_end, event.created, paid,
+       price?.interval || null]
+    );
+    const userId = result.rows[0]?.id;
+    if (userId) console.log(`💳 User ${userId} → ${plan || 'free'} (${sub.status}${sub.cancel_at_period_end ? ', cancels at period end' : ''})`);
+  }
+
+  // Credits for a paid credit-pack checkout. Keyed by the payment, so the
+  // completed and async-succeeded events can't both grant them.
+  async function grantCreditPack(client, checkout) {
+    const userId = parseInt(checkout.metadata?.userId) || 0;
+    const credits = parseInt(checkout.metadata?.credits) || 0;
+    if (!userId || !credits || checkout.payment_status !== 'paid') return;
+    const reference = checkout.payment_intent || checkout.id;
+    const granted = await client.query(
+      "SELECT 1 FROM credit_transactions WHERE reference = $1 AND reason = 'purchase'",
+      [reference]
+    );
+    if (granted.rows[0]) return;
+    const balance = await changeCredits(client, userId, credits, 'purchase', reference);
+    console.log(`💳 User ${userId} +${credits} credits (${balance})`);
+  }
+
+  // One handler per event type we act on; anything else is acknowledged and
+  // ignored
+  const handlers = {
+    async 'checkout.session.completed'(checkout, client, event) {
+      if (checkout.mode === 'payment') return grantCreditPack(client, checkout);
+      const userId = parseInt(checkout.metadata?.userId) || 0;
+      if (checkout.mode !== 'subscription' || !checkout.subscription || !userId) return;
+      await client.query(
+        'UPDATE users SET stripe_customer_id = COALESCE(stripe_customer_id, $1) WHERE id = $2',
+        [checkout.customer, userId]
+      );
+      const sub = await stripe.subscriptions.retrieve(checkout.subscription);
+      await applySubscription(client, sub, event);
+      // A new plan starts with a fresh month
+      await client.query('UPDATE users SET recipes_used_this_month = 0 WHERE id = $1', [userId]);
+    },
+
+    // Bank transfers and the like complete after the checkout does
+    async 'checkout.session.async_payment_succeeded'(checkout, client) {
+      if (checkout.mode === 'payment') await grantCreditPack(client, checkout);
+    },
+
+    // Plan changes, cancel-at-period-end (and undoing it), status changes
+    async 'customer.subscription.updated'(sub, client, event) {
+      await applySubscription(client, sub, event);
+    },
+
+    async 'customer.subscription.deleted'(sub, client, event) {
+      await applySubscription(client, sub, event);
+    },
+
+    // Renewals (and the first invoice) clear any payment trouble
+    async 'invoice.paid'(invoice, client, event) {
+      const subscriptionId = invoiceSubscription(invoice);
+      if (!subscriptionId) return;
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      await applySubscription(client, sub, event);
+    },
+
+    // Starts the grace period; Stripe retries the card meanwhile
+    async 'invoice.payment_failed'(invoice, client) {
+      if (!invoiceSubscription(invoice)) return;
+      const result = await client.query(
+        `UPDATE users SET subscription_status = 'past_due', payment_failed_at = COALESCE(payment_failed_at, NOW())
+         WHERE stripe_customer_id = $1 AND stripe_subscription_id = $2 AND subscription IS NOT NULL
+         RETURNING id`,
+        [invoice.customer, invoiceSubscription(invoice)]
+      );
+      if (result.rows[0]) console.warn(`⚠️ Payment failed for user ${result.rows[0].id}; ${graceDays} days grace`);
+    },
+
+    // A full refund of a subscription payment ends the subscription now, and
+    // of a credit pack takes back whatever is left of its credits. Partial
+    // refunds are goodwill and change nothing.
+    async 'charge.refunded'(charge, client) {
+      if (!charge.customer || charge.amount_refunded < charge.amount) return;
+      const purchase = await client.query(
+        "SELECT user_id, amount FROM credit_transactions WHERE reference = $1 AND reason = 'purchase'",
+        [charge.payment_intent]
+      );
+      if (purchase.rows[0]) {
+        const { user_id: userId, amount } = purchase.rows[0];
+        const refunded = await client.query(
+          "SELECT 1 FROM credit_transactions WHERE reference = $1 AND reason = 'refund'",
+          [charge.payment_intent]
+        );
+        if (refunded.rows[0]) return;
+        const balance = await changeCredits(client, userId, -amount, 'refund', charge.payment_intent);
+        console.log(`💳 User ${userId} credit pack refunded (${balance} left)`);
+        return;
+      }
+
+      const result = await client.query(
+        'SELECT id, stripe_subscription_id FROM users WHERE stripe_customer_id = $1 AND subscription IS NOT NULL',
+        [charge.customer]
+      );
+      const user = result.rows[0];
+      if (!user) return;
+      if (user.stripe_subscription_id) {
+        try {
+          await stripe.subscriptions.cancel(user.stripe_subscription_id);
+        } catch (err) {
+          // Already cancelled
+          if (err.code !== 'resource_missing') throw err;
+        }
+      }
+      await client.query(
+        `UPDATE users SET subscription = NULL, subscription_status = 'refunded', cancel_at_period_end = FALSE,
+         payment_failed_at = NULL WHERE id = $1`,
+        [user.id]
+      );
+      console.log(`💳 User ${user.id} refunded → free`);
+    },
+  };
+
+  return {
+    handlers,
+    applySubscription,
+    // { status, body } to answer Stripe with
+    async handle(rawBody, signature) {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(rawBody, signature, secret);
+      } catch (err) {
+        return { status: 400, body: `Webhook Error: ${err.message}` };
+      }
+
+      const handler = handlers[event.type];
+      if (!handler) return { status: 200, body: { received: true } };
+
+      try {
+        // The event id is recorded with the changes it makes: a retry of a handled
+        // event is a no-op, and a failed one rolls back so Stripe's retry runs again
+        const handled = await withTransaction(async (client) => {
+          const seen = await client.query(
+            'INSERT INTO stripe_events (id, type) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING RETURNING id',
+            [event.id, event.type]
+          );
+          if (!seen.rows[0]) return false;
+          await handler(event.data.object, client, event);
+          return true;
+        });
+        return { status: 200, body: { received: true, duplicate: !handled } };
+      } catch (err) {
+        console.error(`Stripe webhook error (${event.type}):`, err);
+        return { status: 500, body: { error: 'Webhook handling failed' } };
+      }
+    },
+  };
+}
@@ -0,0 +1,287 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import { createStripeWebhook } from './stripe-webhook.js';
+
+const SECRET = 'whsec_test_secret';
+const stripe = new Stripe('sk_test_offline');
+
+// -----------------------------------------------------------------------------
+// An in-memory stand-in for the rows the webhook reads and writes. Each query
+// the handlers send is matched by its text and applied the way Postgres would.
+// -----------------------------------------------------------------------------
+let db;
+let subscriptions;
+let cancelled;
+
+function fakeClient() {
+  const user = (where) => [...db.users.values()].find(where);
+  const rows = (list) => ({ rows: list, rowCount: list.length });
+  return {
+    async query(sql, params = []) {
+      if (/INSERT INTO stripe_events/.test(sql)) {
+        if (db.events.has(params[0])) return rows([]);
+        db.events.add(params[0]);
+        return rows([{ id: params[0] }]);
+      }
+      if (/UPDATE users SET subscription = \$2/.test(sql)) {
+        const [customer, plan, subId, status, periodEnd, cancelAtEnd, created, paid, interval] = params;
+        const u = user(u => u.stripe_customer_id === customer &&
+          (u.stripe_event_at == null || u.stripe_event_at <= created) &&
+          (paid || u.stripe_subscription_id == null || u.stripe_subscription_id === subId));
+        if (!u) return rows([]);
+        Object.assign(u, {
+          subscription: plan, stripe_subscription_id: subId, subscription_status: status,
+          current_period_end: periodEnd, cancel_at_period_end: cancelAtEnd, subscription_interval: interval,
+          payment_failed_at: status === 'past_due' ? (u.payment_failed_at ?? new Date()) : null,
+          stripe_event_at: created,
+        });
+        return rows([{ id: u.id }]);
+      }
+      if (/subscription_status = 'past_due'/.test(sql)) {
+        const u = user(u => u.stripe_customer_id === params[0] && u.stripe_subscription_id === params[1] && u.subscription != null);
+        if (!u) return rows([]);
+        u.subscription_status = 'past_due';
+        u.payment_failed_at ??= new Date();
+        return rows([{ id: u.id }]);
+      }
+      if (/SELECT user_id, amount FROM credit_transactions/.test(sql)) {
+        return rows(db.ledger.filter(t => t.reference === params[0] && t.reason === 'purchase'));
+      }
+      if (/SELECT 1 FROM credit_transactions/.test(sql)) {
+        const reason = sql.match(/reason = '(\w+)'/)[1];
+        return rows(db.ledger.filter(t => t.reference === params[0] && t.reason === reason).map(() => ({ '?column?': 1 })));
+      }
+      if (/SELECT id, stripe_subscription_id FROM users/.test(sql)) {
+        const u = user(u => u.stripe_customer_id === params[0] && u.subscription != null);
+        return rows(u ? [{ id: u.id, stripe_subscription_id: u.stripe_subscription_id }] : []);
+      }
+      if (/subscription_status = 'refunded'/.test(sql)) {
+        Object.assign(db.users.get(params[0]), {
+          subscription: null, subscription_status: 'refunded', cancel_at_period_end: false, payment_failed_at: null,
+        });
+        return rows([]);
+      }
+      if (/SET stripe_customer_id = COALESCE/.test(sql)) {
+        const u = db.users.get(params[1]);
+        u.stripe_customer_id ??= params[0];
+        return rows([]);
+      }
+      if (/SET recipes_used_this_month = 0/.test(sql)) {
+        db.users.get(params[0]).recipes_used_this_month = 0;
+        return rows([]);
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+// Rolls the fake database back when the callback throws, like a transaction
+async function withTransaction(fn) {
+  const saved = structuredClone(db);
+  try {
+    return await fn(fakeClient());
+  } catch (err) {
+    db = saved;
+    throw err;
+  }
+}
+
+async function changeCredits(client, userId, amount, reason, reference) {
+  const u = db.users.get(userId);
+  const before = u.recipe_credits;
+  u.recipe_credits = Math.max(0, before + amount);
+  db.ledger.push({ user_id: userId, amount: u.recipe_credits - before, reason, reference });
+  return u.recipe_credits;
+}
+
+const PRICES = { price_basic_month: { plan: 'basic', interval: 'month' }, price_pro_month: { plan: 'pro', interval: 'month' } };
+
+const webhook = createStripeWebhook({
+  stripe: {
+    webhooks: stripe.webhooks,
+    subscriptions: {
+      async retrieve(id) {
+        const sub = subscriptions.get(id);
+        if (sub instanceof Error) throw sub;
+        return sub;
+      },
+      async cancel(id) {
+        cancelled.push(id);
+      },
+    },
+  },
+  secret: SECRET,
+  withTransaction,
+  planForPrice: (priceId) => PRICES[priceId] || null,
+  changeCredits,
+  graceDays: 7,
+});
+
+// -----------------------------------------------------------------------------
+// Fixtures
+// -----------------------------------------------------------------------------
+let eventCount = 0;
+function stripeEvent(type, object, { id = `evt_${++eventCount}`, created = 1700000000 + eventCount } = {}) {
+  return { id, object: 'event', type, created, data: { object } };
+}
+
+function deliver(event, secret = SECRET) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return webhook.handle(Buffer.from(payload), signature);
+}
+
+const subscription = (fields = {}) => ({
+  id: 'sub_1', object: 'subscription', customer: 'cus_1', status: 'active', cancel_at_period_end: false,
+  current_period_end: 1702592000, items: { data: [{ price: { id: 'price_basic_month' } }] }, ...fields,
+});
+
+beforeEach(() => {
+  db = {
+    users: new Map([[1, {
+      id: 1, stripe_customer_id: 'cus_1', subscription: null, stripe_subscription_id: null, subscription_status: null,
+      stripe_event_at: null, payment_failed_at: null, recipe_credits: 0, recipes_used_this_month: 2,
+    }]]),
+    events: new Set(),
+    ledger: [],
+  };
+  subscriptions = new Map();
+  cancelled = [];
+});
+
+const user = () => db.users.get(1);
+
+// -----------------------------------------------------------------------------
+// Tests
+// -----------------------------------------------------------------------------
+test('rejects a payload signed with another secret', async () => {
+  const result = await deliver(stripeEvent('customer.subscription.updated', subscription()), 'whsec_wrong');
+  assert.equal(result.status, 400);
+  assert.match(result.body, /^Webhook Error/);
+  assert.equal(user().subscription, null);
+});
+
+test('acknowledges event types it does not handle', async () => {
+  const result = await deliver(stripeEvent('customer.created', { id: 'cus_2' }));
+  assert.deepEqual(result, { status: 200, body: { received: true } });
+  assert.equal(db.events.size, 0);
+});
+
+test('handles a repeated event id only once', async () => {
+  const checkout = {
+    id: 'cs_1', object: 'checkout.session', mode: 'payment', payment_status: 'paid',
+    payment_intent: 'pi_1', metadata: { userId: '1', credits: '10' },
+  };
+  const event = stripeEvent('checkout.session.completed', checkout);
+  assert.deepEqual((await deliver(event)).body, { received: true, duplicate: false });
+  assert.deepEqual((await deliver(event)).body, { received: true, duplicate: true });
+  assert.equal(user().recipe_credits, 10);
+  assert.equal(db.ledger.length, 1);
+});
+
+test('grants a credit pack once across the completed and async-succeeded events', async () => {
+  const checkout = {
+    id: 'cs_1', object: 'checkout.session', mode: 'payment', payment_status: 'paid',
+    payment_intent: 'pi_1', metadata: { userId: '1', credits: '10' },
+  };
+  await deliver(stripeEvent('checkout.session.completed', checkout));
+  await deliver(stripeEvent('checkout.session.async_payment_succeeded', checkout));
+  assert.equal(user().recipe_credits, 10);
+});
+
+test('starts a subscription from checkout with a fresh month', async () => {
+  subscriptions.set('sub_1', subscription());
+  await deliver(stripeEvent('checkout.session.completed', {
+    id: 'cs_1', object: 'checkout.session', mode: 'subscription', subscription: 'sub_1',
+    customer: 'cus_1', metadata: { userId: '1' },
+  }));
+  assert.equal(user().subscription, 'basic');
+  assert.equal(user().subscription_interval, 'month');
+  assert.equal(user().recipes_used_this_month, 0);
+});
+
+test('ignores a customer.subscription.updated older than the one already applied', async () => {
+  const upgrade = stripeEvent('customer.subscription.updated',
+    subscription({ items: { data: [{ price: { id: 'price_pro_month' } }] } }), { created: 1700000200 });
+  const stale = stripeEvent('customer.subscription.updated', subscription(), { created: 1700000100 });
+
+  await deliver(upgrade);
+  assert.equal((await deliver(stale)).status, 200);
+  assert.equal(user().subscription, 'pro');
+  assert.equal(user().stripe_event_at, 1700000200);
+});
+
+test('a deleted event for a replaced subscription leaves the current plan alone', async () => {
+  await deliver(stripeEvent('customer.subscription.updated', subscription({ id: 'sub_2' }), { created: 1700000100 }));
+  await deliver(stripeEvent('customer.subscription.deleted', subscription({ status: 'canceled' }), { created: 1700000200 }));
+  assert.equal(user().subscription, 'basic');
+  assert.equal(user().stripe_subscription_id, 'sub_2');
+});
+
+test('invoice.payment_failed starts the grace period and keeps the plan', async () => {
+  await deliver(stripeEvent('customer.subscription.updated', subscription()));
+  await deliver(stripeEvent('invoice.payment_failed', { id: 'in_1', object: 'invoice', customer: 'cus_1', subscription: 'sub_1' }));
+  assert.equal(user().subscription, 'basic');
+  assert.equal(user().subscription_status, 'past_due');
+  assert.ok(user().payment_failed_at instanceof Date);
+
+  // Paying the retried invoice ends the grace period
+  subscriptions.set('sub_1', subscription());
+  await deliver(stripeEvent('invoice.paid', { id: 'in_1', object: 'invoice', customer: 'cus_1', subscription: 'sub_1' }));
+  assert.equal(user().subscription_status, 'active');
+  assert.equal(user().payment_failed_at, null);
+});
+
+test('invoice.payment_failed for a user without a plan changes nothing', async () => {
+  await deliver(stripeEvent('invoice.payment_failed', { id: 'in_1', object: 'invoice', customer: 'cus_1', subscription: 'sub_1' }));
+  assert.equal(user().subscription_status, null);
+  assert.equal(user().payment_failed_at, null);
+});
+
+test('a full refund of a subscription payment cancels it and drops the plan', async () => {
+  await deliver(stripeEvent('customer.subscription.updated', subscription()));
+  await deliver(stripeEvent('charge.refunded', {
+    id: 'ch_1', object: 'charge', customer: 'cus_1', payment_intent: 'pi_sub', amount: 199, amount_refunded: 199,
+  }));
+  assert.deepEqual(cancelled, ['sub_1']);
+  assert.equal(user().subscription, null);
+  assert.equal(user().subscription_status, 'refunded');
+});
+
+test('a partial refund changes nothing', async () => {
+  await deliver(stripeEvent('customer.subscription.updated', subscription()));
+  await deliver(stripeEvent('charge.refunded', {
+    id: 'ch_1', object: 'charge', customer: 'cus_1', payment_intent: 'pi_sub', amount: 199, amount_refunded: 50,
+  }));
+  assert.deepEqual(cancelled, []);
+  assert.equal(user().subscription, 'basic');
+  assert.equal(user().subscription_status, 'active');
+});
+
+test('a full refund of a credit pack takes its credits back once', async () => {
+  await deliver(stripeEvent('checkout.session.completed', {
+    id: 'cs_1', object: 'checkout.session', mode: 'payment', payment_status: 'paid',
+    payment_intent: 'pi_1', metadata: { userId: '1', credits: '10' },
+  }));
+  const refund = { id: 'ch_1', object: 'charge', customer: 'cus_1', payment_intent: 'pi_1', amount: 299, amount_refunded: 299 };
+  await deliver(stripeEvent('charge.refunded', refund));
+  // Stripe can send a second refund event for the same charge
+  await deliver(stripeEvent('charge.refunded', refund));
+  assert.equal(user().recipe_credits, 0);
+  assert.deepEqual(db.ledger.map(t => t.reason), ['purchase', 'refund']);
+  assert.deepEqual(cancelled, []);
+});
+
+test('a failed handler rolls back so the retry is handled', async () => {
+  await deliver(stripeEvent('customer.subscription.updated', subscription()));
+  subscriptions.set('sub_1', new Error('Stripe is down'));
+  const event = stripeEvent('invoice.paid', { id: 'in_1', object: 'invoice', customer: 'cus_1', subscription: 'sub_1' });
+  const failed = await deliver(event);
+  assert.equal(failed.status, 500);
+  assert.ok(!db.events.has(event.id));
+
+  subscriptions.set('sub_1', subscription({ items: { data: [{ price: { id: 'price_pro_month' } }] } }));
+  assert.deepEqual((await deliver(event)).body, { received: true, duplicate: false });
+  assert.equal(user().subscription, 'pro');
+});
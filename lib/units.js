@@ -0,0 +1,504 @@
+// =============================================================================
+// UNIT CONVERSION
+// =============================================================================
+// Deterministic dual-unit conversion for ingredient lines and step text.
+// "500g flour" -> "500g / 4 cups flour", "400°F" -> "400°F / 200°C".
+// Strings that mention a unit we can't read are reported back so the caller
+// can decide whether to ask the LLM about them.
+
+// Base units: grams for mass, millilitres for volume, millimetres for length.
+// Volumes that differ between the US and UK/AU are keyed by region.
+export const UNITS = {
+  mg: { kind: 'mass', system: 'metric', base: 0.001 },
+  g: { kind: 'mass', system: 'metric', base: 1 },
+  kg: { kind: 'mass', system: 'metric', base: 1000 },
+  oz: { kind: 'mass', system: 'imperial', base: 28.35 },
+  lb: { kind: 'mass', system: 'imperial', base: 453.6 },
+
+  ml: { kind: 'volume', system: 'metric', base: 1 },
+  cl: { kind: 'volume', system: 'metric', base: 10 },
+  dl: { kind: 'volume', system: 'metric', base: 100 },
+  l: { kind: 'volume', system: 'metric', base: 1000 },
+  tsp: { kind: 'volume', system: 'imperial', base: 5 },
+  tbsp: { kind: 'volume', system: 'imperial', base: { us: 15, uk: 15, au: 20 } },
+  cup: { kind: 'volume', system: 'imperial', base: { us: 240, uk: 250, au: 250 } },
+  floz: { kind: 'volume', system: 'imperial', base: { us: 29.57, uk: 28.41, au: 28.41 } },
+  pint: { kind: 'volume', system: 'imperial', base: { us: 473, uk: 568, au: 568 } },
+  quart: { kind: 'volume', system: 'imperial', base: { us: 946, uk: 1137, au: 1137 } },
+  gallon: { kind: 'volume', system: 'imperial', base: { us: 3785, uk: 4546, au: 4546 } },
+
+  mm: { kind: 'length', system: 'metric', base: 1 },
+  cm: { kind: 'length', system: 'metric', base: 10 },
+  inch: { kind: 'length', system: 'imperial', base: 25.4 },
+};
+
+// Spellings found in the wild, mapped to keys of UNITS. Single letters are
+// case-sensitive and only trusted for small quantities (see SHORT_ALIASES).
+const UNIT_ALIASES = {
+  mg: 'mg', milligram: 'mg', milligrams: 'mg',
+  g: 'g', gr: 'g', gram: 'g', grams: 'g', gramme: 'g', grammes: 'g',
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  ml: 'ml', millilitre: 'ml', millilitres: 'ml', milliliter: 'ml', milliliters: 'ml',
+  cl: 'cl', centilitre: 'cl', centilitres: 'cl', centiliter: 'cl', centiliters: 'cl',
+  dl: 'dl', decilitre: 'dl', decilitres: 'dl', deciliter: 'dl', deciliters: 'dl',
+  l: 'l', L: 'l', litre: 'l', litres: 'l', liter: 'l', liters: 'l',
+  tsp: 'tsp', tsps: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp', t: 'tsp',
+  tbsp: 'tbsp', tbsps: 'tbsp', tbs: 'tbsp', tbl: 'tbsp', tbls: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp', T: 'tbsp',
+  cup: 'cup', cups: 'cup', c: 'cup', C: 'cup',
+  'fl oz': 'floz', 'fl. oz': 'floz', 'fl.oz': 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+  pint: 'pint', pints: 'pint', pt: 'pint', pts: 'pint',
+  quart: 'quart', quarts: 'quart', qt: 'quart', qts: 'quart',
+  gallon: 'gallon', gallons: 'gallon', gal: 'gallon',
+  mm: 'mm', millimetre: 'mm', millimetres: 'mm', millimeter: 'mm', millimeters: 'mm',
+  cm: 'cm', centimetre: 'cm', centimetres: 'cm', centimeter: 'cm', centimeters: 'cm',
+  inch: 'inch', inches: 'inch',
+};
+
+const SHORT_ALIASES = new Set(['t', 'T', 'c', 'C', 'l', 'L']);
+const CASE_SENSITIVE_ALIASES = new Set(['t', 'T', 'L', 'C']);
+
+// Grams per US cup (240ml). Only ingredients people commonly weigh; liquids
+// stay in millilitres. Longer names are matched first.
+export const DENSITIES = {
+  'all-purpose flour': 125, 'all purpose flour': 125, 'plain flour': 125,
+  'self-raising flour': 125, 'self-rising flour': 125, 'self raising flour': 125,
+  'bread flour': 130, 'strong flour': 130, 'cake flour': 115, 'pastry flour': 115,
+  'whole wheat flour': 120, 'wholemeal flour': 120, 'spelt flour': 120, 'rye flour': 100,
+  'almond flour': 96, 'almond meal': 96, 'ground almonds': 96, 'coconut flour': 112,
+  'cornstarch': 120, 'cornflour': 120, 'corn starch': 120, 'cornmeal': 150, 'polenta': 150,
+  'semolina': 165, 'flour': 125,
+  'granulated sugar': 200, 'caster sugar': 200, 'superfine sugar': 200, 'white sugar': 200,
+  'brown sugar': 213, 'light brown sugar': 213, 'dark brown sugar': 213, 'muscovado sugar': 213,
+  'powdered sugar': 120, 'icing sugar': 120, "confectioners' sugar": 120, 'confectioners sugar': 120,
+  'coconut sugar': 150, 'demerara sugar': 220, 'sugar': 200,
+  'butter': 227, 'margarine': 227, 'shortening': 190, 'lard': 205,
+  'cocoa powder': 85, 'cocoa': 85, 'chocolate chips': 170, 'chopped chocolate': 170,
+  'rolled oats': 90, 'oats': 90, 'oatmeal': 90, 'quick oats': 80,
+  'long grain rice': 185, 'basmati rice': 185, 'jasmine rice': 185, 'arborio rice': 200, 'rice': 185,
+  'quinoa': 170, 'couscous': 175, 'lentils': 190, 'dried lentils': 190, 'split peas': 200,
+  'breadcrumbs': 110, 'bread crumbs': 110, 'panko': 50,
+  'grated parmesan': 100, 'parmesan': 100, 'shredded cheese': 113, 'grated cheese': 113, 'cheddar': 113,
+  'walnuts': 120, 'pecans': 110, 'almonds': 140, 'hazelnuts': 135, 'cashews': 140, 'peanuts': 145,
+  'pine nuts': 135, 'raisins': 150, 'sultanas': 150, 'dried cranberries': 120,
+  'desiccated coconut': 85, 'shredded coconut': 85,
+  'peanut butter': 258, 'honey': 340, 'golden syrup': 340,
+  'kosher salt': 145, 'sea salt': 230, 'table salt': 288, 'salt': 288,
+  'baking powder': 230, 'baking soda': 288, 'bicarbonate of soda': 288, 'bicarb soda': 288,
+  'instant yeast': 150, 'dried yeast': 150, 'active dry yeast': 150, 'yeast': 150,
+  'ground cinnamon': 125, 'ground ginger': 90, 'ground cumin': 100, 'paprika': 110,
+};
+
+const DENSITY_KEYS = Object.keys(DENSITIES).sort((a, b) => b.length - a.length);
+
+const UNICODE_FRACTIONS = {
+  '¼': 1 / 4, '½': 1 / 2, '¾': 3 / 4, '⅓': 1 / 3, '⅔': 2 / 3, '⅕': 1 / 5, '⅖': 2 / 5,
+  '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8,
+};
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+
+// British gas mark to Celsius
+const GAS_MARKS = { '1/4': 110, '1/2': 120, 1: 140, 2: 150, 3: 160, 4: 180, 5: 190, 6: 200, 7: 220, 8: 230, 9: 240 };
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const UNI = Object.keys(UNICODE_FRACTIONS).join('');
+const NUMBER_SOURCE = `(?:\\d+\\s+\\d+\\s*\\/\\s*\\d+|\\d+\\s*[${UNI}]|\\d+\\s*\\/\\s*\\d+|[${UNI}]|\\d+(?:[.,]\\d+)?|(?:${Object.keys(WORD_NUMBERS).join('|')})(?![a-z]))`;
+// Regex sources for a quantity ("1 1/2", "2-3", "½", "a") and a unit, shared with lib/ingredients.js
+export const RANGE_SOURCE = `${NUMBER_SOURCE}(?:\\s*(?:-|–|—|to|or)\\s*${NUMBER_SOURCE})?`;
+export const UNIT_SOURCE = Object.keys(UNIT_ALIASES)
+  .sort((a, b) => b.length - a.length)
+  .map(a => escapeRegex(a).replace(/ /g, '\\s*'))
+  .join('|');
+
+// Quantity + unit, e.g. "1 1/2 cups", "500g", "2-3 tbsp", "a cup", "10 fl oz".
+// The optional US/UK prefix picks the regional cup/pint.
+const MEASURE_REGEX = new RegExp(
+  `(?<![\\w.\\/])(${RANGE_SOURCE})(\\s*-?\\s*)(?:(US|UK|imperial|metric)\\s+)?(${UNIT_SOURCE})\\.?(?![a-zA-Z])`,
+  'gi'
+);
+
+// "9x13 inch", "20 x 30cm"
+const DIMENSION_REGEX = new RegExp(
+  `(?<![\\w.])(\\d+(?:[.,]\\d+)?)\\s*[x×]\\s*(\\d+(?:[.,]\\d+)?)(\\s*-?\\s*)(${['inches', 'inch', 'cm', 'mm'].join('|')})(?![a-zA-Z])`,
+  'gi'
+);
+
+// "400°F", "200 °C", "180C", "350 degrees F", "gas mark 6"
+const TEMPERATURE_REGEX = /(?<![\w.])(\d{2,3})(?:\s*(?:°|º|˚|degrees?\s*)\s*([CF])(?:ahrenheit|elsius)?|([CF]))(?![a-zA-Z])|gas\s+mark\s+(\d|1\/[24])/gi;
+
+// Unit words that, when left unconverted, mean we failed to read a quantity
+const UNIT_MENTION_REGEX = /\b(?:cups?|tablespoons?|teaspoons?|tbsps?|tsps?|ounces?|oz|pounds?|lbs?|grams?|kilograms?|kgs?|ml|millilit(?:re|er)s?|lit(?:re|er)s?|pints?|quarts?|fl\.?\s*oz|degrees)\b/gi;
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+// "1 1/2" -> 1.5, "½" -> 0.5, "1½" -> 1.5, "1,5" -> 1.5, "1,000" -> 1000, "two" -> 2
+export function parseNumber(text) {
+  if (text == null) return null;
+  const s = String(text).trim().toLowerCase();
+  if (!s) return null;
+  if (WORD_NUMBERS[s] !== undefined) return WORD_NUMBERS[s];
+
+  let m = s.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (m) return parseInt(m[1]) + parseInt(m[2]) / parseInt(m[3]);
+
+  m = s.match(new RegExp(`^(\\d*)\\s*([${UNI}])$`));
+  if (m) return (m[1] ? parseInt(m[1]) : 0) + UNICODE_FRACTIONS[m[2]];
+
+  m = s.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (m) return parseInt(m[2]) ? parseInt(m[1]) / parseInt(m[2]) : null;
+
+  if (/^\d{1,3}(,\d{3})+$/.test(s)) return parseFloat(s.replace(/,/g, ''));
+  m = s.match(/^\d+(?:[.,]\d+)?$/);
+  if (m) return parseFloat(s.replace(',', '.'));
+
+  return null;
+}
+
+// "1-2" -> { min: 1, max: 2 }, "3" -> { min: 3, max: 3 }
+export function parseRange(text) {
+  const parts = String(text).split(/\s*(?:-|–|—|\bto\b|\bor\b)\s*/i).filter(Boolean);
+  const min = parseNumber(parts[0]);
+  if (min == null) return null;
+  const max = parts.length > 1 ? parseNumber(parts[1]) : min;
+  if (max == null) return null;
+  return { min, max: Math.max(min, max) };
+}
+
+export function normalizeUnit(text) {
+  if (!text) return null;
+  const raw = text.trim().replace(/\.$/, '').replace(/\s+/g, ' ');
+  if (CASE_SENSITIVE_ALIASES.has(raw)) return UNIT_ALIASES[raw];
+  return UNIT_ALIASES[raw.toLowerCase()] || null;
+}
+
+export function unitToBase(unit, region = 'us') {
+  const def = UNITS[unit];
+  if (!def) return null;
+  return typeof def.base === 'number' ? def.base : def.base[region] || def.base.us;
+}
+
+// Guess the cup/pint convention from the recipe's site
+export function regionForUrl(url) {
+  try {
+    const host = new URL(url).hostname;
+    if (/\.(uk|ie)$/.test(host)) return 'uk';
+    if (/\.(au|nz)$/.test(host)) return 'au';
+  } catch (e) {}
+  return 'us';
+}
+
+export function findDensity(text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  for (const key of DENSITY_KEYS) {
+    if (new RegExp(`(^|[^a-z])${escapeRegex(key)}([^a-z]|$)`).test(lower)) return DENSITIES[key];
+  }
+  return null;
+}
+
+// -----------------------------------------------------------------------------
+// Formatting
+// -----------------------------------------------------------------------------
+const FRACTION_GLYPHS = { '1/8': '1/8', '1/4': '1/4', '1/3': '1/3', '1/2': '1/2', '2/3': '2/3', '3/4': '3/4' };
+
+// Nearest kitchen fraction: 1.49 -> "1 1/2", 0.33 -> "1/3", 2.97 -> "3"
+export function formatFraction(value, denominators = [2, 3, 4]) {
+  if (!isFinite(value) || value <= 0) return '0';
+  let best = { whole: Math.round(value), num: 0, den: 1, err: Math.abs(value - Math.round(value)) };
+  const whole = Math.floor(value);
+  for (const den of denominators) {
+    for (let num = 1; num < den; num++) {
+      const err = Math.abs(value - (whole + num / den));
+      if (err < best.err - 1e-9) best = { whole, num, den, err };
+    }
+  }
+  if (!best.num) return String(best.whole || (denominators.length ? `1/${Math.max(...denominators)}` : 0));
+  const frac = FRACTION_GLYPHS[`${best.num}/${best.den}`] || `${best.num}/${best.den}`;
+  return best.whole ? `${best.whole} ${frac}` : frac;
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+function formatDecimal(value, digits = 1) {
+  return String(parseFloat(value.toFixed(digits)));
+}
+
+const plural = (word, value) => (value > 1 ? `${word}s` : word);
+
+// Pick the target unit for a value in base units and format it.
+// Returns { text, unit } or null when there's nothing sensible to say.
+export function formatMetric(kind, base) {
+  if (kind === 'mass') {
+    if (base >= 1000) return { text: `${formatDecimal(base / 1000, 2)}kg`, unit: 'kg' };
+    if (base >= 250) return { text: `${roundTo(base, 10)}g`, unit: 'g' };
+    if (base >= 100) return { text: `${roundTo(base, 5)}g`, unit: 'g' };
+    if (base >= 10) return { text: `${Math.round(base)}g`, unit: 'g' };
+    return { text: `${formatDecimal(base, 1)}g`, unit: 'g' };
+  }
+  if (kind === 'volume') {
+    if (base >= 1000) return { text: `${formatDecimal(base / 1000, 2)} L`, unit: 'l' };
+    if (base >= 250) return { text: `${roundTo(base, 10)}ml`, unit: 'ml' };
+    if (base >= 100) return { text: `${roundTo(base, 5)}ml`, unit: 'ml' };
+    if (base >= 10) return { text: `${Math.round(base)}ml`, unit: 'ml' };
+    return { text: `${formatDecimal(base, 1)}ml`, unit: 'ml' };
+  }
+  if (kind === 'length') {
+    if (base >= 50) return { text: `${Math.round(base / 10)}cm`, unit: 'cm' };
+    if (base >= 10) return { text: `${formatDecimal(base / 10, 1)}cm`, unit: 'cm' };
+    return { text: `${Math.round(base)}mm`, unit: 'mm' };
+  }
+  return null;
+}
+
+export function formatImperial(kind, base, region = 'us') {
+  if (kind === 'mass') {
+    const oz = base / UNITS.oz.base;
+    if (oz >= 16) return { text: `${formatDecimal(oz / 16, 1)} lb`, unit: 'lb' };
+    if (oz >= 4) return { text: `${Math.round(oz)} oz`, unit: 'oz' };
+    return { text: `${formatDecimal(roundTo(oz, 0.25), 2)} oz`, unit: 'oz' };
+  }
+  if (kind === 'volume') {
+    const cup = unitToBase('cup', region);
+    const tbsp = unitToBase('tbsp', region);
+    if (base >= cup / 4 - 1) {
+      const cups = base / cup;
+      return { text: `${formatFraction(cups)} ${plural('cup', roundTo(cups, 0.25))}`, unit: 'cup' };
+    }
+    if (base >= tbsp - 1) return { text: `${formatFraction(base / tbsp, [2])} tbsp`, unit: 'tbsp' };
+    const tsp = base / UNITS.tsp.base;
+    return { text: `${formatFraction(tsp, tsp < 0.5 ? [4, 8] : [2, 4])} tsp`, unit: 'tsp' };
+  }
+  if (kind === 'length') {
+    const inches = base / UNITS.inch.base;
+    return { text: `${formatFraction(inches, inches < 2 ? [2, 4, 8] : [2])} inch`, unit: 'inch' };
+  }
+  return null;
+}
+
+// Volume of a weighed dry ingredient, or weight of a measured one
+function convertWithDensity(def, base, density, region) {
+  if (def.kind === 'volume') return formatMetric('mass', base * (density / 240));
+  if (def.kind === 'mass') return formatImperial('volume', base / (density / 240), region);
+  return null;
+}
+
+function convertBase(def, base, { density, region }) {
+  if (density && def.kind !== 'length' && !(def.kind === 'volume' && def.system === 'metric')) {
+    return convertWithDensity(def, base, density, region);
+  }
+  return def.system === 'metric' ? formatImperial(def.kind, base, region) : formatMetric(def.kind, base);
+}
+
+// Format a range using the unit chosen for its upper end: "240-480ml"
+function joinRange(lower, upper) {
+  if (!upper) return null;
+  if (!lower || lower.text === upper.text) return upper.text;
+  if (lower.unit !== upper.unit) return `${lower.text}-${upper.text}`;
+  const numeric = (t) => t.match(/^[\d.\/ ]+/)?.[0].trim();
+  return `${numeric(lower.text)}-${upper.text}`;
+}
+
+function formatRange(def, min, max, options) {
+  const upper = convertBase(def, max, options);
+  if (!upper || min === max) return upper?.text || null;
+  return joinRange(convertBase(def, min, options), upper);
+}
+
+// An amount in the unit's own system, re-picking the kitchen unit:
+// 3 tsp -> "1 tbsp", 12 tbsp -> "3/4 cup", 1200g -> "1.2kg"
+export function formatAmount(unit, min, max = min, region = 'us') {
+  const def = UNITS[unit];
+  if (!def) return null;
+  const base = unitToBase(unit, region);
+  const format = def.system === 'metric' ? formatMetric : formatImperial;
+  const upper = format(def.kind, max * base, region);
+  if (min === max) return upper?.text || null;
+  return joinRange(format(def.kind, min * base, region), upper);
+}
+
+function fahrenheitToCelsius(f) {
+  const c = (f - 32) * 5 / 9;
+  return c >= 100 ? roundTo(c, 10) : Math.round(c);
+}
+
+function celsiusToFahrenheit(c) {
+  const f = c * 9 / 5 + 32;
+  if (c < 100) return Math.round(f);
+  return f >= 300 ? roundTo(f, 25) : roundTo(f, 5);
+}
+
+// -----------------------------------------------------------------------------
+// Conversion
+// -----------------------------------------------------------------------------
+
+// Find every quantity+unit in a string
+export function findMeasurements(text) {
+  const found = [];
+  const str = String(text || '');
+  for (const m of str.matchAll(DIMENSION_REGEX)) {
+    const unit = normalizeUnit(m[4]);
+    if (!unit) continue;
+    found.push({
+      index: m.index, end: m.index + m[0].length, text: m[0], unit, dimensions: true,
+      values: [parseNumber(m[1]), parseNumber(m[2])],
+    });
+  }
+  for (const m of str.matchAll(MEASURE_REGEX)) {
+    if (found.some(f => m.index < f.end && m.index + m[0].length > f.index)) continue;
+    const unit = normalizeUnit(m[4]);
+    const range = parseRange(m[1]);
+    if (!unit || !range) continue;
+    // "a C" / "180 C" / "1 L of" are too ambiguous unless the number is small
+    if (SHORT_ALIASES.has(m[4]) && (range.max >= 20 || /^[a-z]/i.test(m[1]))) continue;
+    const regional = m[3]?.toLowerCase();
+    const region = regional === 'us' ? 'us' : ['uk', 'imperial', 'metric'].includes(regional) ? 'uk' : null;
+    found.push({ index: m.index, end: m.index + m[0].length, text: m[0], unit, range, region });
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+export function findTemperatures(text) {
+  const found = [];
+  for (const m of String(text || '').matchAll(TEMPERATURE_REGEX)) {
+    if (m[4]) {
+      const c = GAS_MARKS[m[4]];
+      if (c) found.push({ index: m.index, end: m.index + m[0].length, text: m[0], scale: 'gas', value: c });
+      continue;
+    }
+    const scale = (m[2] || m[3]).toUpperCase();
+    const value = parseInt(m[1]);
+    // Bare "180C"/"350F" without a degree sign only counts at oven temperatures
+    if (m[3] && value < 100) continue;
+    found.push({ index: m.index, end: m.index + m[0].length, text: m[0], scale, value });
+  }
+  return found;
+}
+
+function convertTemperatureText(text) {
+  const temps = findTemperatures(text);
+  const scales = new Set(temps.map(t => t.scale));
+  if (!temps.length || (scales.has('C') && scales.has('F'))) return { text, count: 0 };
+
+  let out = '';
+  let last = 0;
+  for (const t of temps) {
+    let converted;
+    if (t.scale === 'F') converted = `${t.text} / ${fahrenheitToCelsius(t.value)}°C`;
+    else if (t.scale === 'C') converted = `${t.text} / ${celsiusToFahrenheit(t.value)}°F`;
+    else converted = `${t.text} / ${t.value}°C / ${celsiusToFahrenheit(t.value)}°F`;
+    out += text.slice(last, t.index) + converted;
+    last = t.end;
+  }
+  return { text: out + text.slice(last), count: temps.length };
+}
+
+// Spoons are used by both systems, so "1 tsp" next to "200g" isn't dual yet,
+// but "1 tbsp (15ml)" is
+function isAlreadyDual(text, measurements) {
+  const isSpoon = (m) => m.unit === 'tsp' || m.unit === 'tbsp';
+  const systems = new Set(measurements.filter(m => !isSpoon(m)).map(m => UNITS[m.unit].system));
+  if (systems.size > 1) return true;
+  return measurements.some((m, i) => {
+    const next = measurements[i + 1];
+    return isSpoon(m) && next && UNITS[next.unit].system === 'metric' &&
+      /^\s*[(\/=]?\s*$/.test(text.slice(m.end, next.index));
+  });
+}
+
+function convertMeasurementText(text, region) {
+  const measurements = findMeasurements(text);
+  if (!measurements.length || isAlreadyDual(text, measurements)) return { text, count: 0 };
+
+  let out = '';
+  let last = 0;
+  let count = 0;
+  for (const m of measurements) {
+    const def = UNITS[m.unit];
+    const unitRegion = m.region || region;
+    let converted = null;
+
+    if (m.dimensions) {
+      const base = unitToBase(m.unit, unitRegion);
+      const parts = m.values.map(v => (def.system === 'metric' ? formatImperial : formatMetric)('length', v * base, unitRegion));
+      const numeric = (t) => t.match(/^[\d.\/ ]+/)?.[0].trim();
+      converted = `${numeric(parts[0].text)} x ${parts[1].text}`;
+    } else {
+      const base = unitToBase(m.unit, unitRegion);
+      // Density only matters for the words right after the measurement
+      const density = findDensity(text.slice(m.end).split(/[,;(]| and | or /)[0]);
+      converted = formatRange(def, m.range.min * base, m.range.max * base, { density, region: unitRegion });
+    }
+
+    if (!converted) continue;
+    out += text.slice(last, m.end) + ` / ${converted}`;
+    last = m.end;
+    count++;
+  }
+  return { text: out + text.slice(last), count };
+}
+
+// True when the string names a unit that we didn't manage to pair with a number
+function hasUnreadUnits(original, converted) {
+  const covered = [...findMeasurements(original), ...findTemperatures(original)];
+  for (const m of original.matchAll(UNIT_MENTION_REGEX)) {
+    if (!covered.some(c => m.index >= c.index && m.index < c.end)) return true;
+  }
+  return false;
+}
+
+// Add the other unit system to every measurement and temperature in a string.
+// Returns { text, converted, unparsed }.
+export function addDualUnits(text, { region = 'us' } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return { text, converted: 0, unparsed: false };
+  const temps = convertTemperatureText(text);
+  const measures = convertMeasurementText(temps.text, region);
+  return {
+    text: measures.text,
+    converted: temps.count + measures.count,
+    unparsed: hasUnreadUnits(text, measures.text),
+  };
+}
+
+// Apply fn to every piece of recipe text (ingredients, steps, tips), keeping
+// each step's ingredient references pointing at the rewritten strings
+export function mapRecipeText(recipe, fn) {
+  const ingredientMap = new Map();
+  const ingredients = (recipe.ingredients || []).map(ing => {
+    if (typeof ing !== 'string') return ing;
+    const next = fn(ing, 'ingredient');
+    ingredientMap.set(ing, next);
+    return next;
+  });
+  const steps = (recipe.steps || []).map(step => {
+    if (typeof step === 'string') return fn(step, 'step');
+    return {
+      ...step,
+      instruction: fn(step.instruction, 'step'),
+      ingredients: (step.ingredients || []).map(i => ingredientMap.get(i) ?? (typeof i === 'string' ? fn(i, 'ingredient') : i)),
+    };
+  });
+  const tips = (recipe.tips || []).map(tip => fn(tip, 'tip'));
+  return { ...recipe, ingredients, steps, tips };
+}
+
+// Dual units for a whole recipe. `unparsed` lists the (already converted)
+// strings that still mention units we couldn't read.
+export function convertRecipeUnits(recipe, { region = 'us' } = {}) {
+  const unparsed = [];
+  const converted = mapRecipeText(recipe, (text) => {
+    const result = addDualUnits(text, { region });
+    if (result.unparsed && !unparsed.includes(result.text)) unparsed.push(result.text);
+    return result.text;
+  });
+  return { recipe: converted, unparsed };
+}
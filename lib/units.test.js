@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addDualUnits, convertRecipeUnits, normalizeUnit, parseNumber, parseRange, regionForUrl } from './units.js';
+
+const dual = (text, options) => addDualUnits(text, options).text;
+
+test('parses the ways recipes write numbers', () => {
+  assert.equal(parseNumber('1 1/2'), 1.5);
+  assert.equal(parseNumber('½'), 0.5);
+  assert.equal(parseNumber('1½'), 1.5);
+  assert.equal(parseNumber('1,5'), 1.5);
+  assert.equal(parseNumber('1,000'), 1000);
+  assert.equal(parseNumber('two'), 2);
+  assert.equal(parseNumber('1/0'), null);
+  assert.equal(parseNumber('some'), null);
+  assert.deepEqual(parseRange('2-3'), { min: 2, max: 3 });
+  assert.deepEqual(parseRange('2 to 3'), { min: 2, max: 3 });
+  assert.deepEqual(parseRange('4'), { min: 4, max: 4 });
+});
+
+test('normalizes unit spellings', () => {
+  assert.equal(normalizeUnit('Tbsp'), 'tbsp');
+  assert.equal(normalizeUnit('tablespoons'), 'tbsp');
+  assert.equal(normalizeUnit('cups'), 'cup');
+  assert.equal(normalizeUnit('furlongs'), null);
+});
+
+test('adds US measures to metric amounts, using densities for dry goods', () => {
+  assert.equal(dual('500g flour'), '500g / 4 cups flour');
+  assert.equal(dual('200 ml cream'), '200 ml / 3/4 cup cream');
+  assert.equal(dual('1 kg potatoes'), '1 kg / 2.2 lb potatoes');
+});
+
+test('adds metric to US measures', () => {
+  assert.equal(dual('1 cup flour'), '1 cup / 125g flour');
+  assert.equal(dual('1 1/2 cups milk'), '1 1/2 cups / 360ml milk');
+  assert.equal(dual('2 tbsp. oil'), '2 tbsp. / 30ml oil');
+  assert.equal(dual('1 lb beef'), '1 lb / 450g beef');
+  assert.equal(dual('8 fl oz stock'), '8 fl oz / 235ml stock');
+  assert.equal(dual('1½ tsp baking soda'), '1½ tsp / 9g baking soda');
+  assert.equal(dual('2-3 tsp salt'), '2-3 tsp / 12-18g salt');
+});
+
+test('converts measures in the middle of a sentence', () => {
+  assert.equal(dual('Add 3 cups of water'), 'Add 3 cups / 720ml of water');
+});
+
+test('uses the region\'s cups and pints', () => {
+  assert.equal(dual('1 pint milk'), '1 pint / 470ml milk');
+  assert.equal(dual('1 pint milk', { region: 'uk' }), '1 pint / 570ml milk');
+  assert.equal(dual('1 cup flour', { region: 'uk' }), '1 cup / 130g flour');
+  assert.equal(regionForUrl('https://www.example.co.uk/recipe'), 'uk');
+  assert.equal(regionForUrl('https://example.com.au/recipe'), 'au');
+  assert.equal(regionForUrl('https://example.com/recipe'), 'us');
+  assert.equal(regionForUrl('not a url'), 'us');
+});
+
+test('converts oven temperatures both ways', () => {
+  assert.equal(dual('Bake at 350°F for 20 minutes'), 'Bake at 350°F / 180°C for 20 minutes');
+  assert.equal(dual('Preheat to 180C'), 'Preheat to 180C / 350°F');
+  assert.equal(dual('Cook at 200 degrees C'), 'Cook at 200 degrees C / 400°F');
+});
+
+test('leaves text that already has both, or no units, alone', () => {
+  for (const text of ['1 cup / 120g flour', '3 eggs', 'a pinch of salt']) {
+    assert.deepEqual(addDualUnits(text), { text, converted: 0, unparsed: false });
+  }
+  assert.deepEqual(addDualUnits(''), { text: '', converted: 0, unparsed: false });
+});
+
+test('converts a whole recipe and keeps step ingredient references in step', () => {
+  const { recipe, unparsed } = convertRecipeUnits({
+    title: 'Pancakes',
+    ingredients: ['1 cup flour', 'salt to taste'],
+    steps: [{ instruction: 'Heat the oven to 350°F.', ingredients: ['1 cup flour'] }],
+    tips: ['Rest the batter for 30 minutes.'],
+  });
+  assert.deepEqual(recipe.ingredients, ['1 cup / 125g flour', 'salt to taste']);
+  assert.equal(recipe.steps[0].instruction, 'Heat the oven to 350°F / 180°C.');
+  assert.deepEqual(recipe.steps[0].ingredients, ['1 cup / 125g flour']);
+  assert.deepEqual(recipe.tips, ['Rest the batter for 30 minutes.']);
+  assert.deepEqual(unparsed, []);
+});
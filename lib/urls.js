@@ -0,0 +1,72 @@
+// =============================================================================
+// URL NORMALIZATION
+// =============================================================================
+// Canonical form of a recipe URL, so the same page shared through different
+// links (tracking params, youtu.be vs watch?v=, trailing slashes) maps to one
+// cache entry.
+
+// Query params that only identify the click, never the content
+const TRACKING_PARAMS = [
+  /^utm_/, /^mc_(cid|eid)$/, /^_hs(enc|mi)$/, /^(fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|ttclid)$/,
+  /^(ref|ref_src|ref_url|referrer|campaign|cmpid|si|feature|pp|ab_channel|_ga|_gl|epik)$/,
+];
+
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'youtu.be']);
+
+// The 11-character id from any YouTube link shape, or null
+export function youtubeVideoId(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^www\./, '');
+  if (!YOUTUBE_HOSTS.has(host)) return null;
+
+  let id = null;
+  if (host === 'youtu.be') id = parsed.pathname.split('/')[1];
+  else if (parsed.pathname === '/watch') id = parsed.searchParams.get('v');
+  else {
+    const m = parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?#]+)/);
+    id = m?.[1];
+  }
+  return id && /^[\w-]{11}$/.test(id) ? id : null;
+}
+
+// `url` if it is an absolute http(s) URL, else null. Anything stored or
+// rendered as a link or image goes through this, so javascript:, data: and
+// the like never reach an href.
+export function httpUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  try {
+    const { protocol } = new URL(url.trim());
+    return protocol === 'http:' || protocol === 'https:' ? url.trim() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function canonicalizeUrl(url) {
+  const videoId = youtubeVideoId(url);
+  if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
+
+  const parsed = new URL(url);
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+  parsed.hash = '';
+  parsed.port = '';
+
+  const kept = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(re => re.test(key.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(kept).toString();
+
+  // AMP and print variants of the same article
+  parsed.pathname = parsed.pathname
+    .replace(/\/amp\/?$/, '/')
+    .replace(/\/print\/?$/, '/')
+    .replace(/\/+$/, '') || '/';
+
+  return parsed.toString();
+}
@@ -0,0 +1,35 @@
+// =============================================================================
+// DEVICE NAMES
+// =============================================================================
+// A readable label for a User-Agent string, for the signed-in devices list:
+// "Chrome on macOS", "Safari on iPhone", "mise app on Android". Good enough to
+// recognise your own devices; not meant for analytics.
+
+const BROWSERS = [
+  ['Edge', /\bEdg(?:e|A|iOS)?\//],
+  ['Opera', /\bOPR\/|\bOpera\b/],
+  ['Samsung Internet', /\bSamsungBrowser\//],
+  ['Firefox', /\bFirefox\/|\bFxiOS\//],
+  ['Chrome', /\bChrome\/|\bCriOS\//],
+  ['Safari', /\bSafari\//],
+];
+
+const SYSTEMS = [
+  ['iPhone', /\biPhone\b/],
+  ['iPad', /\biPad\b/],
+  ['Android', /\bAndroid\b/],
+  ['ChromeOS', /\bCrOS\b/],
+  ['Windows', /\bWindows\b/],
+  ['macOS', /\bMac OS X\b|\bMacintosh\b/],
+  ['Linux', /\bLinux\b/],
+];
+
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const system = SYSTEMS.find(([, re]) => re.test(userAgent))?.[0];
+  // Our own apps send "mise/<version>"
+  const app = /\bmise\/[\d.]+/i.test(userAgent) ? 'mise app' : null;
+  const browser = app || BROWSERS.find(([, re]) => re.test(userAgent))?.[0];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
@@ -0,0 +1,265 @@
+-- Tables created on startup. Everything here must be safe to run repeatedly.
+
+-- One row per Anthropic API call, used to enforce spending limits
+CREATE TABLE IF NOT EXISTS ai_spending (
+  id SERIAL PRIMARY KEY,
+  model TEXT NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  endpoint TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS ai_spending_created_at_idx ON ai_spending (created_at);
+
+-- Parsed ingredients ({ id, quantity, unit, item, ... }) next to the display strings
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS ingredient_items JSONB;
+
+-- Cleaned recipes shared across users, keyed by canonical URL and output language
+CREATE TABLE IF NOT EXISTS recipe_cache (
+  canonical_url TEXT NOT NULL,
+  language TEXT NOT NULL,
+  recipe JSONB NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_hit_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (canonical_url, language)
+);
+
+-- Everything schema.org gives us beyond the basics. Ingredient and step
+-- sections live on the items in ingredient_items and steps.
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS recipe_yield TEXT;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS total_time TEXT;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS prep_time_minutes NUMERIC;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS cook_time_minutes NUMERIC;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS total_time_minutes NUMERIC;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS nutrition JSONB;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS category JSONB;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS cuisine JSONB;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS keywords JSONB;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS suitable_for_diet JSONB;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS video JSONB;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS aggregate_rating JSONB;
+
+-- Clean requests run in the background. Usage is counted once, when a job
+-- completes; (owner, idempotency_key) stops retries from starting a second job.
+CREATE TABLE IF NOT EXISTS recipe_jobs (
+  id UUID PRIMARY KEY,
+  owner TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key TEXT,
+  type TEXT NOT NULL,
+  language TEXT NOT NULL,
+  source_url TEXT,
+  status TEXT NOT NULL DEFAULT 'queued',
+  stage TEXT NOT NULL DEFAULT 'queued',
+  result JSONB,
+  error JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS recipe_jobs_idempotency_idx ON recipe_jobs (owner, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS recipe_jobs_updated_at_idx ON recipe_jobs (updated_at);
+-- A short-lived token that only opens this job's event stream (EventSource
+-- can't send the session token as a header)
+ALTER TABLE recipe_jobs ADD COLUMN IF NOT EXISTS stream_token_hash TEXT;
+ALTER TABLE recipe_jobs ADD COLUMN IF NOT EXISTS stream_token_expires_at TIMESTAMPTZ;
+
+-- Saved recipe edits. Each revision holds the whole recipe; revision 0 is the
+-- recipe as first saved.
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+CREATE TABLE IF NOT EXISTS saved_recipe_revisions (
+  recipe_id INTEGER NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  recipe JSONB NOT NULL,
+  changed_fields JSONB,
+  restored_from INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (recipe_id, revision)
+);
+
+-- Tags, collections and full-text search over saved recipes
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS saved_recipes_tags_idx ON saved_recipes USING GIN (tags);
+CREATE INDEX IF NOT EXISTS saved_recipes_user_saved_at_idx ON saved_recipes (user_id, saved_at DESC, id DESC);
+ALTER TABLE saved_recipes ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(ingredients::text, '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(jsonb_path_query_array(steps::jsonb, '$[*].instruction')::text, '')), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS saved_recipes_search_idx ON saved_recipes USING GIN (search_vector);
+
+CREATE TABLE IF NOT EXISTS recipe_collections (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS recipe_collections_user_name_idx ON recipe_collections (user_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS recipe_collection_items (
+  collection_id INTEGER NOT NULL REFERENCES recipe_collections(id) ON DELETE CASCADE,
+  recipe_id INTEGER NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (collection_id, recipe_id)
+);
+
+-- Meal plan: a saved recipe on a date and slot, cooked for its own number of servings
+CREATE TABLE IF NOT EXISTS meal_plan_entries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  recipe_id INTEGER NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  slot TEXT NOT NULL,
+  servings NUMERIC NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS meal_plan_entries_user_date_idx ON meal_plan_entries (user_id, date);
+
+-- Ticked-off shopping list items. The list itself is rebuilt from the plan;
+-- a tick only holds while the item's amount is the one that was ticked.
+CREATE TABLE IF NOT EXISTS shopping_list_checks (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  range_start DATE NOT NULL,
+  range_end DATE NOT NULL,
+  item_key TEXT NOT NULL,
+  checked_display TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, range_start, range_end, item_key)
+);
+
+-- Public links to a saved recipe. Anyone with the token can read the recipe
+-- until the link expires or the owner revokes it.
+CREATE TABLE IF NOT EXISTS recipe_shares (
+  token TEXT PRIMARY KEY,
+  recipe_id INTEGER NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  last_viewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS recipe_shares_recipe_idx ON recipe_shares (recipe_id);
+
+-- Email verification and password reset. Only a hash of each token is kept;
+-- a token works once, before it expires.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  token_hash TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL,
+  email TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS auth_tokens_user_purpose_idx ON auth_tokens (user_id, purpose, created_at);
+
+-- Sessions keep only a SHA-256 of the bearer token, plus what the device
+-- list shows. Tokens from before this are hashed in place and the raw
+-- column emptied.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS id SERIAL;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS token_hash TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS device_name TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+ALTER TABLE sessions ALTER COLUMN token DROP NOT NULL;
+UPDATE sessions SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex'), token = NULL
+  WHERE token IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS sessions_token_hash_idx ON sessions (token_hash);
+CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions (user_id);
+CREATE INDEX IF NOT EXISTS sessions_expires_at_idx ON sessions (expires_at);
+
+-- Rate limit counters and login lockouts (lib/rate-limit.js postgresStore)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits (reset_at);
+
+-- Stripe subscription state, kept in step by the payments webhook.
+-- payment_failed_at starts the grace period after a failed renewal;
+-- stripe_event_at is the newest event applied, so late retries of older
+-- events don't roll the state back.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_status TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS current_period_end TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_event_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS users_stripe_customer_idx ON users (stripe_customer_id);
+
+-- Webhook events already handled; Stripe retries deliveries
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- month or year, from the subscription's Stripe price
+ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_interval TEXT;
+
+-- Recipe credits bought in packs, spent once the month's allowance is used
+-- up. Every change to the balance has a ledger row.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS recipe_credits INTEGER NOT NULL DEFAULT 0;
+CREATE TABLE IF NOT EXISTS credit_transactions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  reference TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS credit_transactions_user_idx ON credit_transactions (user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS credit_transactions_reference_idx ON credit_transactions (reference) WHERE reference IS NOT NULL;
+
+-- Households: a paying owner and the members they invite. Members share the
+-- owner's plan (a Pro entitlement, or Basic's monthly quota pooled on the
+-- owner's row) and a library of recipes shared from their own.
+CREATE TABLE IF NOT EXISTS households (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- One household per user; the owner has a row too, with role 'owner'
+CREATE TABLE IF NOT EXISTS household_members (
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member',
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (household_id, user_id)
+);
+CREATE TABLE IF NOT EXISTS household_invites (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS household_invites_household_idx ON household_invites (household_id);
+-- The shared library points at members' own saved recipes
+CREATE TABLE IF NOT EXISTS household_recipes (
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  recipe_id INTEGER NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  shared_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  shared_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (household_id, recipe_id)
+);
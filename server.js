@@ -6,12 +6,33 @@ import dotenv from "dotenv";
 import pg from "pg";
 import crypto from "crypto";
 import bcrypt from "bcryptjs";
+import fs from "fs";
+import { EventEmitter, once } from "events";
+import { convertRecipeUnits, mapRecipeText, regionForUrl } from "./lib/units.js";
+import { structureRecipe } from "./lib/ingredients.js";
+import { scaleRecipe } from "./lib/scaling.js";
+import { canonicalizeUrl, httpUrl, youtubeVideoId } from "./lib/urls.js";
+import { safeFetch, FetchError } from "./lib/fetch.js";
+import { extractRecipe, ExtractorError } from "./lib/extractors/index.js";
+import { diffRecipes, changedFields } from "./lib/diff.js";
+import { buildShoppingList } from "./lib/shopping.js";
+import { EXPORT_FORMATS, PRINT_HTML_TAIL, createZipWriter, escapeHtml, printHtmlHead, slugify, toPaprika, toSharePage } from "./lib/export.js";
+import { parseExportFileInWorker, ImportError } from "./lib/importers/index.js";
+import { createMailer, transportFromEnv } from "./lib/mailer.js";
+import { createGoogleVerifier, GoogleAuthError } from "./lib/google-auth.js";
+import { describeDevice } from "./lib/user-agent.js";
+import { createRateLimiter, createLoginGuard, memoryStore, postgresStore } from "./lib/rate-limit.js";
+import { createStripeWebhook, currentPeriodEnd, PAID_STATUSES } from "./lib/stripe-webhook.js";
 
 dotenv.config();
 
 const app = express();
 const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Console transport unless MAIL_TRANSPORT says otherwise
+const mailer = createMailer({ transport: transportFromEnv(), from: process.env.MAIL_FROM || 'mise <no-reply@localhost>' });
+// GOOGLE_CLIENT_ID may list several ids (web, iOS, Android), comma-separated
+const googleVerifier = createGoogleVerifier({ clientIds: (process.env.GOOGLE_CLIENT_ID || '').split(',').map(id => id.trim()) });
 
 // PostgreSQL connection
 const pool = new pg.Pool({
@@ -25,57 +46,185 @@ pool.query('SELECT NOW()', (err) => {
   else console.log('✅ Database connected');
 });
 
+// Create any tables added since the original schema
+const schemaSql = fs.readFileSync(new URL('./schema.sql', import.meta.url), 'utf8');
+pool.query(schemaSql)
+  .then(() => console.log('✅ Schema up to date'))
+  .catch(err => console.error('❌ Schema setup failed:', err.message));
+
+// Run fn(client) inside BEGIN/COMMIT, rolling back if it throws
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 const CONFIG = {
-  COST_PER_URL_RECIPE: 0.03,
-  COST_PER_PHOTO_RECIPE: 0.06,
   DAILY_SPENDING_LIMIT: 10,
   MONTHLY_SPENDING_LIMIT: 100,
   INITIAL_FREE_RECIPES: 10,
   FREE_RECIPES_PER_MONTH: 3,
+  // A session left unused this long expires. Each use pushes expiry out again,
+  // but never past SESSION_MAX_AGE_DAYS after sign-in.
   SESSION_DURATION_DAYS: 30,
+  SESSION_MAX_AGE_DAYS: 365,
+  // How often a session's last-used time (and expiry) is written back
+  SESSION_TOUCH_INTERVAL_MINUTES: 5,
+  MIN_PASSWORD_LENGTH: 8,
+  EMAIL_VERIFICATION_TTL_HOURS: 48,
+  PASSWORD_RESET_TTL_MINUTES: 60,
+  // Minimum gap between account emails of the same kind to one user
+  AUTH_EMAIL_COOLDOWN_SECONDS: 60,
   BASIC_RECIPES_PER_MONTH: 20,
+  MIN_SCALE_MULTIPLIER: 0.1,
+  MAX_SCALE_MULTIPLIER: 20,
+  RECIPE_CACHE_TTL_DAYS: 30,
+  // Whether serving a cached recipe uses up one of the user's monthly recipes
+  CACHE_HITS_COUNT_AS_USAGE: process.env.CACHE_HITS_COUNT_AS_USAGE === 'true',
+  // Limits for fetching pages the client points us at
+  FETCH_TIMEOUT_MS: 10000,
+  FETCH_MAX_BYTES: 5 * 1024 * 1024,
+  FETCH_MAX_REDIRECTS: 5,
+  // Background clean jobs
+  JOB_POLL_INTERVAL_MS: 2000,
+  JOB_STALE_MINUTES: 10,
+  JOB_RETENTION_DAYS: 7,
+  JOB_STREAM_TOKEN_TTL_SECONDS: 120,
+  EXPORT_TOKEN_TTL_SECONDS: 60,
+  // Each URL counts against the clean:* rate limits, so keep this within clean:ip
+  BULK_IMPORT_MAX_URLS: 30,
+  BULK_IMPORT_CONCURRENCY: 3,
+  SAVED_RECIPES_PAGE_SIZE: 50,
+  SAVED_RECIPES_MAX_PAGE_SIZE: 200,
+  MAX_TAGS_PER_RECIPE: 30,
+  // Uploaded export files (Paprika, Mealie, ...)
+  IMPORT_FILE_MAX_BYTES: 25 * 1024 * 1024,
+  IMPORT_FILE_MAX_UNPACKED_BYTES: 100 * 1024 * 1024,
+  IMPORT_FILE_MAX_RECIPES: 2000,
+  SHARE_MAX_EXPIRY_DAYS: 365,
+  // Including the owner
+  HOUSEHOLD_MAX_MEMBERS: 6,
+  HOUSEHOLD_INVITE_TTL_DAYS: 7,
+  // Days a subscription keeps working after a failed renewal payment
+  PAYMENT_GRACE_DAYS: 7,
+  STRIPE_EVENT_RETENTION_DAYS: 90,
+  // Longest date range the meal plan and shopping list cover at once
+  MEAL_PLAN_MAX_DAYS: 31,
+  // Requests per window for each bucket, keyed by IP, user id or fingerprint
+  RATE_LIMITS: {
+    'login:ip': { max: 30, windowMs: 15 * 60 * 1000 },
+    'auth:ip': { max: 20, windowMs: 15 * 60 * 1000 },
+    'clean:ip': { max: 30, windowMs: 10 * 60 * 1000 },
+    'clean:user': { max: 60, windowMs: 10 * 60 * 1000 },
+    'clean:fingerprint': { max: 15, windowMs: 10 * 60 * 1000 },
+  },
+  // Failed logins per account and address: doubling delays from the 3rd, a
+  // lockout from the 10th
+  LOGIN_BACKOFF_AFTER: 3,
+  LOGIN_LOCKOUT_AFTER: 10,
+  LOGIN_LOCKOUT_MINUTES: 15,
+  // Failed logins per account from any address: doubling delays from the 20th
+  LOGIN_ACCOUNT_BACKOFF_AFTER: 20,
+  // Free anonymous cleans stop for an IP that has used this many fingerprints,
+  // or this many free recipes across them, within a day
+  ANON_MAX_FINGERPRINTS_PER_IP: 5,
+  ANON_MAX_RECIPES_PER_IP: 20,
 };
 
-// In-memory spending tracker (resets on deploy, but that's OK for cost protection)
-const spendingTracker = {
-  today: { date: new Date().toDateString(), amount: 0 },
-  month: { month: new Date().toISOString().slice(0, 7), amount: 0 },
-  paused: false,
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 },
 };
 
-function checkSpendingLimits() {
-  const today = new Date().toDateString();
-  if (spendingTracker.today.date !== today) {
-    spendingTracker.today = { date: today, amount: 0 };
-  }
-  const currentMonth = new Date().toISOString().slice(0, 7);
-  if (spendingTracker.month.month !== currentMonth) {
-    spendingTracker.month = { month: currentMonth, amount: 0 };
+// =============================================================================
+// SPENDING LEDGER
+// =============================================================================
+// Every Anthropic call is recorded in ai_spending, so limits hold across
+// restarts and across instances.
+function calculateCost(model, usage) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) {
+    console.warn(`⚠️ No pricing for model ${model}, using Sonnet rates`);
   }
-  
-  if (spendingTracker.today.amount >= CONFIG.DAILY_SPENDING_LIMIT ||
-      spendingTracker.month.amount >= CONFIG.MONTHLY_SPENDING_LIMIT) {
-    spendingTracker.paused = true;
+  const { input, output } = pricing || MODEL_PRICING['claude-sonnet-4-20250514'];
+  return ((usage?.input_tokens || 0) * input + (usage?.output_tokens || 0) * output) / 1_000_000;
+}
+
+async function checkSpendingLimits() {
+  const result = await pool.query(
+    `SELECT
+       COALESCE(SUM(cost) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) AS today,
+       COALESCE(SUM(cost), 0) AS month
+     FROM ai_spending
+     WHERE created_at >= date_trunc('month', NOW())`
+  );
+  const today = parseFloat(result.rows[0].today);
+  const month = parseFloat(result.rows[0].month);
+  return {
+    today,
+    month,
+    paused: today >= CONFIG.DAILY_SPENDING_LIMIT || month >= CONFIG.MONTHLY_SPENDING_LIMIT,
+  };
+}
+
+async function trackSpending({ model, usage, endpoint, userId }) {
+  const cost = calculateCost(model, usage);
+  try {
+    await pool.query(
+      `INSERT INTO ai_spending (model, input_tokens, output_tokens, cost, endpoint, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [model, usage?.input_tokens || 0, usage?.output_tokens || 0, cost, endpoint, userId || null]
+    );
+  } catch (err) {
+    console.error('Spending ledger error:', err);
   }
+  return cost;
 }
 
-function trackSpending(amount) {
-  spendingTracker.today.amount += amount;
-  spendingTracker.month.amount += amount;
-  checkSpendingLimits();
+// Wraps anthropic.messages.create so every call lands in the ledger
+async function callAnthropic(params, { endpoint, userId } = {}) {
+  const response = await anthropic.messages.create(params);
+  await trackSpending({ model: params.model, usage: response.usage, endpoint, userId });
+  return response;
 }
 
 // =============================================================================
 // MIDDLEWARE
 // =============================================================================
+// Behind a load balancer, req.ip is the proxy's address unless Express is told
+// how many hops to trust (TRUST_PROXY=1, or a list of proxy addresses). Rate
+// limits key on req.ip, so set this wherever there is a proxy in front.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use(cors({ 
   origin: true,
   credentials: true 
 }));
-app.use(express.json({ limit: '50mb' }));
+// The Stripe webhook checks its signature against the raw body, so it parses
+// its own
+const jsonParser = express.json({ limit: '50mb' });
+app.use((req, res, next) => (req.path === '/api/payments/webhook' ? next() : jsonParser(req, res, next)));
+
+// Row ids from the URL or body. Postgres integer columns stop at 2^31 - 1, so
+// anything past that, or not a plain positive number, is null: no such row.
+function parseId(value) {
+  const id = /^\d{1,10}$/.test(String(value ?? '')) ? Number(value) : 0;
+  return id > 0 && id <= 2147483647 ? id : null;
+}
 
 // =============================================================================
 // AUTH HELPERS
@@ -84,12 +233,21 @@ function generateToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-async function createSession(userId) {
+// Session and email tokens are stored as hashes, so a leaked database can't
+// be used to sign in as anyone
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `req` (when there is one) labels the session in the signed-in devices list.
+// Clients can name themselves with `deviceName`; otherwise the User-Agent does.
+async function createSession(userId, req = null) {
   const token = generateToken();
   const expiresAt = new Date(Date.now() + CONFIG.SESSION_DURATION_DAYS * 24 * 60 * 60 * 1000);
+  const userAgent = req?.headers['user-agent']?.slice(0, 500) || null;
+  const requested = typeof req?.body?.deviceName === 'string' ? req.body.deviceName.trim().slice(0, 100) : '';
   await pool.query(
-    'INSERT INTO sessions (user_id, token, expires_at) VALUES ($1, $2, $3)',
-    [userId, token, expiresAt]
+    `INSERT INTO sessions (user_id, token_hash, expires_at, device_name, user_agent, ip, last_used_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [userId, hashToken(token), expiresAt, requested || describeDevice(userAgent), userAgent, req?.ip || null]
   );
   return { token, expiresAt };
 }
@@ -97,12 +255,52 @@ async function createSession(userId) {
 async function validateSession(token) {
   if (!token) return null;
   const result = await pool.query(
-    `SELECT s.*, u.* FROM sessions s 
+    `SELECT s.*, u.*, s.id AS session_id, s.created_at AS session_created_at,
+     hm.household_id, hm.role AS household_role, h.owner_id AS household_owner_id,
+     o.subscription AS household_plan, o.recipes_used_this_month AS household_recipes_used,
+     o.month_started AS household_month_started
+     FROM sessions s 
      JOIN users u ON s.user_id = u.id 
-     WHERE s.token = $1 AND s.expires_at > NOW()`,
-    [token]
+     LEFT JOIN household_members hm ON hm.user_id = u.id
+     LEFT JOIN households h ON h.id = hm.household_id
+     LEFT JOIN users o ON o.id = h.owner_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+    [hashToken(token)]
   );
-  return result.rows[0] || null;
+  const session = result.rows[0] ? applyHouseholdPlan(result.rows[0]) : null;
+  
+  // Sliding expiry, written back at most every few minutes rather than on
+  // every request
+  const touchedAt = session?.last_used_at ? new Date(session.last_used_at).getTime() : 0;
+  if (session && Date.now() - touchedAt > CONFIG.SESSION_TOUCH_INTERVAL_MINUTES * 60 * 1000) {
+    pool.query(
+      `UPDATE sessions SET last_used_at = NOW(),
+       expires_at = LEAST(NOW() + make_interval(days => $2), created_at + make_interval(days => $3))
+       WHERE id = $1`,
+      [session.session_id, CONFIG.SESSION_DURATION_DAYS, CONFIG.SESSION_MAX_AGE_DAYS]
+    ).catch(err => console.error('Session touch error:', err.message));
+  }
+  return session;
+}
+
+const PLAN_RANK = { basic: 1, pro: 2 };
+
+// A household member gets the owner's plan when it beats their own. Under
+// Basic the monthly counter is the owner's, so the whole household shares one
+// quota: usage_user_id says which row to count against. own_subscription
+// keeps what the member pays for themselves.
+function applyHouseholdPlan(session) {
+  session.own_subscription = session.subscription;
+  if (!session.household_plan || session.household_owner_id === session.user_id) return session;
+  if ((PLAN_RANK[session.household_plan] || 0) <= (PLAN_RANK[session.subscription] || 0)) return session;
+  
+  session.subscription = session.household_plan;
+  if (session.household_plan === 'basic') {
+    session.usage_user_id = session.household_owner_id;
+    session.recipes_used_this_month = session.household_recipes_used;
+    session.month_started = session.household_month_started;
+  }
+  return session;
 }
 
 async function getUserByEmail(email) {
@@ -130,7 +328,7 @@ async function resetMonthlyUsageIfNeeded(user) {
   if (user.month_started !== currentMonth) {
     await pool.query(
       'UPDATE users SET recipes_used_this_month = 0, month_started = $1 WHERE id = $2',
-      [currentMonth, user.id]
+      [currentMonth, user.usage_user_id || user.id]
     );
     user.recipes_used_this_month = 0;
     user.month_started = currentMonth;
@@ -138,6 +336,153 @@ async function resetMonthlyUsageIfNeeded(user) {
   return user;
 }
 
+// -----------------------------------------------------------------------------
+// Email verification & password reset tokens
+// -----------------------------------------------------------------------------
+// The link carries the token; the table only has its hash (see hashToken).
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// A fresh token for `purpose`, or null if one was sent too recently
+async function createAuthToken(user, purpose, ttlMinutes) {
+  const recent = await pool.query(
+    `SELECT 1 FROM auth_tokens WHERE user_id = $1 AND purpose = $2
+     AND created_at > NOW() - make_interval(secs => $3)`,
+    [user.id, purpose, CONFIG.AUTH_EMAIL_COOLDOWN_SECONDS]
+  );
+  if (recent.rows[0]) return null;
+  
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    `INSERT INTO auth_tokens (token_hash, user_id, purpose, email, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [hashToken(token), user.id, purpose, user.email, ttlMinutes]
+  );
+  return token;
+}
+
+// Use up a token: the row if it was valid, otherwise null. The UPDATE makes
+// two requests with the same token race safely - only one gets the row.
+async function consumeAuthToken(token, purpose, client = pool) {
+  if (typeof token !== 'string' || !token) return null;
+  const result = await client.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] || null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user, 'verify_email', CONFIG.EMAIL_VERIFICATION_TTL_HOURS * 60);
+  if (!token) return false;
+  const link = `${process.env.FRONTEND_URL}?verifyEmail=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your email for mise',
+    text: `Welcome to mise!\n\nConfirm your email address by opening this link:\n${link}\n\nThe link works for ${CONFIG.EMAIL_VERIFICATION_TTL_HOURS} hours. If you didn't sign up, ignore this email.`,
+    html: `<p>Welcome to mise!</p><p><a href="${link}">Confirm your email address</a></p><p>The link works for ${CONFIG.EMAIL_VERIFICATION_TTL_HOURS} hours. If you didn't sign up, ignore this email.</p>`,
+  });
+  return true;
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createAuthToken(user, 'reset_password', CONFIG.PASSWORD_RESET_TTL_MINUTES);
+  if (!token) return false;
+  const link = `${process.env.FRONTEND_URL}?resetPassword=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your mise password',
+    text: `Someone asked to reset the password for your mise account.\n\nChoose a new password here:\n${link}\n\nThe link works once, for ${CONFIG.PASSWORD_RESET_TTL_MINUTES} minutes. If this wasn't you, ignore this email - your password hasn't changed.`,
+    html: `<p>Someone asked to reset the password for your mise account.</p><p><a href="${link}">Choose a new password</a></p><p>The link works once, for ${CONFIG.PASSWORD_RESET_TTL_MINUTES} minutes. If this wasn't you, ignore this email - your password hasn't changed.</p>`,
+  });
+  return true;
+}
+
+// New password for a user. Every session is signed out except `keepToken`
+// (the one making the change, if any) and outstanding reset links stop working.
+async function setPassword(client, userId, password, keepToken = null) {
+  const passwordHash = await bcrypt.hash(password, 10);
+  await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+  await client.query(
+    'DELETE FROM sessions WHERE user_id = $1 AND token_hash IS DISTINCT FROM $2',
+    [userId, keepToken ? hashToken(keepToken) : null]
+  );
+  await client.query(
+    "UPDATE auth_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = 'reset_password' AND used_at IS NULL",
+    [userId]
+  );
+}
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+// Counters live in Postgres so every instance sees the same numbers;
+// RATE_LIMIT_STORE=memory keeps them in this process instead.
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'memory' ? memoryStore() : postgresStore(pool);
+const rateLimiter = createRateLimiter({ store: rateLimitStore, rules: CONFIG.RATE_LIMITS });
+const loginGuard = createLoginGuard({
+  store: rateLimitStore,
+  backoffAfter: CONFIG.LOGIN_BACKOFF_AFTER,
+  lockoutAfter: CONFIG.LOGIN_LOCKOUT_AFTER,
+  lockoutMs: CONFIG.LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+});
+// Never a lockout, so guessing from many addresses slows down without
+// locking the owner out
+const accountLoginGuard = createLoginGuard({
+  store: rateLimitStore,
+  backoffAfter: CONFIG.LOGIN_ACCOUNT_BACKOFF_AFTER,
+  lockoutAfter: Infinity,
+});
+
+function sendTooManyRequests(res, retryAfter, message = 'Too many requests. Please try again later.', code = 'rate_limited') {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, code, retryAfter });
+}
+
+// Count the request as `cost` hits against each [rule, id] pair (pairs without
+// an id are skipped) and answer 429 at the first one over its limit. Returns
+// true when it has answered. A store failure lets the request through rather
+// than locking everyone out.
+async function rateLimited(res, checks, cost = 1) {
+  for (const [rule, id] of checks) {
+    if (!id) continue;
+    let result;
+    try {
+      result = await rateLimiter.consume(rule, id, cost);
+    } catch (err) {
+      console.error('Rate limit error:', err.message);
+      return false;
+    }
+    if (!result.allowed) {
+      console.warn(`⚠️ Rate limited ${rule}`);
+      sendTooManyRequests(res, result.retryAfter);
+      return true;
+    }
+  }
+  return false;
+}
+
+// Failed sign-ins are counted per account and address, so someone guessing
+// from one place can't lock the owner out everywhere else, and per account
+// (accountLoginGuard) for someone rotating addresses; login:ip limits how
+// many accounts one address can try
+const loginKey = (email, ip) => `${String(email).trim().toLowerCase()}|${ip}`;
+const accountLoginKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+
+// Buckets for anything that can start a clean
+const cleanRateLimits = (ip, user, fingerprint) => [
+  ['clean:ip', ip],
+  ['clean:user', user?.id],
+  ['clean:fingerprint', !user && fingerprint],
+];
+
+setInterval(() => {
+  rateLimitStore.sweep().catch(err => console.error('Rate limit sweep error:', err.message));
+}, 10 * 60 * 1000).unref();
+
 // =============================================================================
 // ANONYMOUS USAGE TRACKING
 // =============================================================================
@@ -164,6 +509,18 @@ async function getAnonymousUsage(fingerprint, ip) {
   return result.rows[0];
 }
 
+// Fingerprints are made up by the client, so one script can mint endless
+// "new visitors". Looks at everything seen from the same IP in the last day.
+async function anonymousUsageFromIp(ip) {
+  if (!ip) return { fingerprints: 0, recipes: 0 };
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS fingerprints, COALESCE(SUM(recipes_used), 0)::int AS recipes
+     FROM anonymous_usage WHERE ip_address = $1 AND last_seen > NOW() - INTERVAL '1 day'`,
+    [ip]
+  );
+  return result.rows[0];
+}
+
 async function incrementAnonymousUsage(fingerprint) {
   await pool.query(
     'UPDATE anonymous_usage SET recipes_used = recipes_used + 1 WHERE fingerprint = $1',
@@ -174,9 +531,10 @@ async function incrementAnonymousUsage(fingerprint) {
 // =============================================================================
 // RECIPE LIMITS
 // =============================================================================
-async function canCleanRecipe(user, fingerprint, ip) {
-  checkSpendingLimits();
-  if (spendingTracker.paused) {
+async function canCleanRecipe(user, fingerprint, ip, { cached = false } = {}) {
+  // Cached recipes cost nothing, so the spending pause doesn't apply
+  const spending = cached ? { paused: false } : await checkSpendingLimits();
+  if (spending.paused) {
     return { allowed: false, reason: 'system_limit' };
   }
   
@@ -185,23 +543,31 @@ async function canCleanRecipe(user, fingerprint, ip) {
     await resetMonthlyUsageIfNeeded(user);
     
     if (user.subscription === 'pro') return { allowed: true };
-    if (user.subscription === 'basic') {
-      return { 
-        allowed: user.recipes_used_this_month < CONFIG.BASIC_RECIPES_PER_MONTH,
-        remaining: CONFIG.BASIC_RECIPES_PER_MONTH - user.recipes_used_this_month
-      };
-    }
-    // Free signed-up user
+    // The month's allowance first, then any bought credits
+    const remaining = Math.max(0, monthlyAllowance(user) - user.recipes_used_this_month);
+    const credits = user.recipe_credits || 0;
     return { 
-      allowed: user.recipes_used_this_month < CONFIG.FREE_RECIPES_PER_MONTH,
-      remaining: CONFIG.FREE_RECIPES_PER_MONTH - user.recipes_used_this_month,
-      upgrade: user.recipes_used_this_month >= CONFIG.FREE_RECIPES_PER_MONTH
+      allowed: remaining > 0 || credits > 0,
+      remaining,
+      credits,
+      usesCredit: remaining === 0 && credits > 0,
+      upgrade: user.subscription !== 'basic' && remaining === 0 && credits === 0
     };
   }
   
   // Anonymous user
   if (fingerprint) {
     const usage = await getAnonymousUsage(fingerprint, ip);
+    const fromIp = await anonymousUsageFromIp(ip);
+    if (fromIp.fingerprints > CONFIG.ANON_MAX_FINGERPRINTS_PER_IP || fromIp.recipes >= CONFIG.ANON_MAX_RECIPES_PER_IP) {
+      console.warn(`⚠️ Anonymous cleans blocked for ${ip} (${fromIp.fingerprints} fingerprints, ${fromIp.recipes} recipes)`);
+      return {
+        allowed: false,
+        reason: 'suspicious_usage',
+        requiresSignup: true,
+        message: "We've seen a lot of free recipes from your network today. Sign up free to keep going."
+      };
+    }
     if (usage.recipes_used < CONFIG.INITIAL_FREE_RECIPES) {
       return { 
         allowed: true, 
@@ -220,33 +586,162 @@ async function canCleanRecipe(user, fingerprint, ip) {
   return { allowed: false, reason: 'no_tracking' };
 }
 
-async function incrementUserUsage(user) {
-  await pool.query(
-    `UPDATE users SET 
-     recipes_used_this_month = recipes_used_this_month + 1,
-     total_recipes_ever = total_recipes_ever + 1
-     WHERE id = $1`,
-    [user.id]
+function monthlyAllowance(user) {
+  if (user.subscription === 'pro') return Infinity;
+  if (user.subscription === 'basic') return CONFIG.BASIC_RECIPES_PER_MONTH;
+  return CONFIG.FREE_RECIPES_PER_MONTH;
+}
+
+// Count one recipe: against the month while it lasts, otherwise a credit.
+// Decided on locked rows so two cleans at once can't share a credit. The
+// month is counted on the household owner's row under a pooled plan; credits
+// are always the user's own. With `onlyIfLeft`, nothing is charged and null
+// is returned when both have run out.
+async function incrementUserUsage(user, { onlyIfLeft = false } = {}) {
+  const counterId = user.usage_user_id || user.id;
+  return withTransaction(async (client) => {
+    const counter = await client.query('SELECT recipes_used_this_month FROM users WHERE id = $1 FOR UPDATE', [counterId]);
+    const own = await client.query('SELECT recipe_credits FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+    const used = counter.rows[0]?.recipes_used_this_month ?? 0;
+    const overAllowance = used >= monthlyAllowance(user);
+    const useCredit = overAllowance && (own.rows[0]?.recipe_credits || 0) > 0;
+    if (onlyIfLeft && overAllowance && !useCredit) return null;
+    if (useCredit) {
+      await changeCredits(client, user.id, -1, 'recipe');
+    } else {
+      await client.query('UPDATE users SET recipes_used_this_month = recipes_used_this_month + 1 WHERE id = $1', [counterId]);
+    }
+    await client.query('UPDATE users SET total_recipes_ever = total_recipes_ever + 1 WHERE id = $1', [user.id]);
+    return { usedCredit: useCredit };
+  });
+}
+
+// Take one recipe before the work is done, for jobs that finish later. The
+// allowance is rechecked on the locked rows, so jobs started together can't
+// all pass canCleanRecipe on the last recipe. Null when none is left;
+// otherwise the charge to hand back to refundRecipe if the job fails.
+async function reserveRecipe(user, fingerprint) {
+  if (user) {
+    const charged = await incrementUserUsage(user, { onlyIfLeft: true });
+    return charged && { user, usedCredit: charged.usedCredit };
+  }
+  const result = await pool.query(
+    'UPDATE anonymous_usage SET recipes_used = recipes_used + 1 WHERE fingerprint = $1 AND recipes_used < $2 RETURNING recipes_used',
+    [fingerprint, CONFIG.INITIAL_FREE_RECIPES]
   );
+  return result.rows[0] ? { fingerprint } : null;
+}
+
+async function refundRecipe({ user, fingerprint, usedCredit }, reference = null) {
+  if (!user) {
+    await pool.query('UPDATE anonymous_usage SET recipes_used = GREATEST(0, recipes_used - 1) WHERE fingerprint = $1', [fingerprint]);
+    return;
+  }
+  await withTransaction(async (client) => {
+    if (usedCredit) {
+      await changeCredits(client, user.id, 1, 'recipe_refund', reference);
+    } else {
+      await client.query(
+        'UPDATE users SET recipes_used_this_month = GREATEST(0, recipes_used_this_month - 1) WHERE id = $1',
+        [user.usage_user_id || user.id]
+      );
+    }
+    await client.query('UPDATE users SET total_recipes_ever = GREATEST(0, total_recipes_ever - 1) WHERE id = $1', [user.id]);
+  });
 }
 
 function getRemainingRecipes(user) {
   if (!user) return 0;
-  if (user.subscription === 'pro') return Infinity;
-  if (user.subscription === 'basic') {
-    return Math.max(0, CONFIG.BASIC_RECIPES_PER_MONTH - user.recipes_used_this_month);
+  return Math.max(0, monthlyAllowance(user) - user.recipes_used_this_month);
+}
+
+// Add (or with a negative amount, take) recipe credits, recording it in the
+// ledger. The balance never goes below zero; the ledger has what actually moved.
+async function changeCredits(client, userId, amount, reason, reference = null) {
+  const result = await client.query('SELECT recipe_credits FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (!result.rows[0]) return null;
+  const before = result.rows[0].recipe_credits;
+  const after = Math.max(0, before + amount);
+  await client.query('UPDATE users SET recipe_credits = $2 WHERE id = $1', [userId, after]);
+  await client.query(
+    `INSERT INTO credit_transactions (user_id, amount, balance_after, reason, reference)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, after - before, after, reason, reference]
+  );
+  return after;
+}
+
+// =============================================================================
+// RECIPE CACHE
+// =============================================================================
+// Cleaned recipes shared across users, keyed by canonical URL and language
+async function getCachedRecipe(canonicalUrl, language) {
+  const result = await pool.query(
+    `UPDATE recipe_cache SET hit_count = hit_count + 1, last_hit_at = NOW()
+     WHERE canonical_url = $1 AND language = $2 AND expires_at > NOW()
+     RETURNING recipe`,
+    [canonicalUrl, language]
+  );
+  return result.rows[0]?.recipe || null;
+}
+
+async function cacheRecipe(canonicalUrl, language, recipe) {
+  try {
+    await pool.query(
+      `INSERT INTO recipe_cache (canonical_url, language, recipe, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+       ON CONFLICT (canonical_url, language) DO UPDATE
+       SET recipe = $3, created_at = NOW(), expires_at = NOW() + make_interval(days => $4), hit_count = 0`,
+      [canonicalUrl, language, JSON.stringify(recipe), CONFIG.RECIPE_CACHE_TTL_DAYS]
+    );
+  } catch (err) {
+    console.error('Cache write error:', err);
+  }
+}
+
+// Build the response for a cache hit. No Anthropic call, so no trackSpending.
+// The quota still has to allow a recipe; with CACHE_HITS_COUNT_AS_USAGE off
+// the hit just isn't counted against it.
+async function serveCachedRecipe(recipe, { user, fingerprint, ip }) {
+  const canClean = await canCleanRecipe(user, fingerprint, ip, { cached: true });
+  if (!canClean.allowed) {
+    return {
+      status: 402,
+      body: { 
+        error: canClean.reason, 
+        requiresSignup: canClean.requiresSignup,
+        upgrade: canClean.upgrade,
+        message: canClean.message || 'Upgrade for more recipes!'
+      }
+    };
+  }
+  
+  if (!CONFIG.CACHE_HITS_COUNT_AS_USAGE) {
+    const remaining = user ? getRemainingRecipes(user) : canClean.remaining;
+    return { status: 200, body: { recipe, recipesRemaining: remaining, cached: true } };
   }
-  return Math.max(0, CONFIG.FREE_RECIPES_PER_MONTH - user.recipes_used_this_month);
+  
+  if (user) await incrementUserUsage(user);
+  else if (fingerprint) await incrementAnonymousUsage(fingerprint);
+  
+  const remaining = user ? getRemainingRecipes({ ...user, recipes_used_this_month: user.recipes_used_this_month + 1 }) 
+                        : Math.max(0, (canClean.remaining || 0) - 1);
+  return { status: 200, body: { recipe, recipesRemaining: remaining, cached: true } };
 }
 
 // =============================================================================
 // STATUS
 // =============================================================================
-app.get('/api/status', (req, res) => {
-  checkSpendingLimits();
-  res.json({
-    status: spendingTracker.paused ? 'limited' : 'operational',
-  });
+app.get('/api/status', async (req, res) => {
+  try {
+    const spending = await checkSpendingLimits();
+    res.json({
+      status: spending.paused ? 'limited' : 'operational',
+    });
+  } catch (err) {
+    console.error('Status error:', err);
+    res.status(500).json({ error: 'Status check failed' });
+  }
 });
 
 // =============================================================================
@@ -254,10 +749,20 @@ app.get('/api/status', (req, res) => {
 // =============================================================================
 app.post('/api/auth/register', async (req, res) => {
   try {
+    if (await rateLimited(res, [['auth:ip', req.ip]])) return;
     const { email, password } = req.body;
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
     }
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password must be text' });
+    }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Enter a valid email address' });
+    }
+    if (password.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters` });
+    }
     
     const existing = await getUserByEmail(email);
     if (existing) {
@@ -266,12 +771,15 @@ app.post('/api/auth/register', async (req, res) => {
     
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await createUser({ email, passwordHash, googleId: null });
-    const session = await createSession(user.id);
+    const session = await createSession(user.id, req);
+    // The account works straight away; a mail failure shouldn't undo the signup
+    sendVerificationEmail(user).catch(err => console.error('Verification email error:', err));
     
     res.json({ 
       user: { 
         id: user.id,
         email: user.email, 
+        emailVerified: false,
         subscription: user.subscription, 
         recipesRemaining: CONFIG.FREE_RECIPES_PER_MONTH 
       },
@@ -290,24 +798,39 @@ app.post('/api/auth/login', async (req, res) => {
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
     }
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password must be text' });
+    }
+    if (await rateLimited(res, [['login:ip', req.ip]])) return;
     
-    const user = await getUserByEmail(email);
-    if (!user || !user.password_hash) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Unknown emails back off the same way, so the delay doesn't reveal who
+    // has an account
+    const key = loginKey(email, req.ip);
+    const accountKey = accountLoginKey(email);
+    const blockedFor = Math.max(await loginGuard.blockedFor(key), await accountLoginGuard.blockedFor(accountKey));
+    if (blockedFor) {
+      return sendTooManyRequests(res, blockedFor, 'Too many failed sign-in attempts. Please wait and try again.', 'login_locked');
     }
     
-    const valid = await bcrypt.compare(password, user.password_hash);
+    const user = await getUserByEmail(email);
+    const valid = !!user?.password_hash && await bcrypt.compare(password, user.password_hash);
     if (!valid) {
+      const { locked } = await loginGuard.failed(key);
+      await accountLoginGuard.failed(accountKey);
+      if (locked) console.warn('⚠️ Login locked after repeated failures');
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    await loginGuard.succeeded(key);
+    await accountLoginGuard.succeeded(accountKey);
     
     await resetMonthlyUsageIfNeeded(user);
-    const session = await createSession(user.id);
+    const session = await createSession(user.id, req);
     
     res.json({ 
       user: { 
         id: user.id,
         email: user.email, 
+        emailVerified: !!user.email_verified_at,
         subscription: user.subscription, 
         recipesRemaining: getRemainingRecipes(user)
       },
@@ -322,18 +845,31 @@ app.post('/api/auth/login', async (req, res) => {
 
 app.post('/api/auth/google', async (req, res) => {
   try {
+    if (await rateLimited(res, [['auth:ip', req.ip]])) return;
     const { credential } = req.body;
     
-    // Decode the JWT from Google (in production, verify signature!)
-    const payload = JSON.parse(Buffer.from(credential.split('.')[1], 'base64').toString());
-    const { sub: googleId, email, name } = payload;
+    const payload = await googleVerifier.verify(credential);
+    const { sub: googleId, email, name, email_verified: emailVerified } = payload;
     
     let user = await getUserByGoogleId(googleId);
     
     if (!user) {
       // Check if email exists (user signed up with password before)
-      const existingByEmail = await getUserByEmail(email);
+      const existingByEmail = email ? await getUserByEmail(email) : null;
       if (existingByEmail) {
+        // Only link when Google vouches for the address
+        if (!emailVerified) {
+          return res.status(409).json({ 
+            error: 'An account with this email already exists. Sign in with your password instead.',
+            code: 'email_not_verified'
+          });
+        }
+        // Someone may have signed up with this address without owning it. Google
+        // says it belongs to this person, so that unverified password stops working.
+        if (!existingByEmail.email_verified_at) {
+          await pool.query('UPDATE users SET password_hash = NULL WHERE id = $1', [existingByEmail.id]);
+          await pool.query('DELETE FROM sessions WHERE user_id = $1', [existingByEmail.id]);
+        }
         // Link Google account to existing user
         await pool.query('UPDATE users SET google_id = $1 WHERE id = $2', [googleId, existingByEmail.id]);
         user = existingByEmail;
@@ -344,13 +880,20 @@ app.post('/api/auth/google', async (req, res) => {
       }
     }
     
+    // Google has checked the address already
+    if (emailVerified && !user.email_verified_at && user.email === email) {
+      await pool.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [user.id]);
+      user.email_verified_at = new Date();
+    }
+    
     await resetMonthlyUsageIfNeeded(user);
-    const session = await createSession(user.id);
+    const session = await createSession(user.id, req);
     
     res.json({ 
       user: { 
         id: user.id,
         email: user.email, 
+        emailVerified: !!user.email_verified_at,
         subscription: user.subscription, 
         recipesRemaining: getRemainingRecipes(user)
       },
@@ -358,6 +901,10 @@ app.post('/api/auth/google', async (req, res) => {
       expiresAt: session.expiresAt
     });
   } catch (err) {
+    if (err instanceof GoogleAuthError) {
+      console.warn(`⚠️ Google sign-in rejected (${err.code})`);
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
     console.error('Google auth error:', err);
     res.status(500).json({ error: 'Google sign-in failed' });
   }
@@ -378,8 +925,25 @@ app.get('/api/auth/me', async (req, res) => {
       user: { 
         id: user.id,
         email: user.email, 
-        subscription: user.subscription, 
-        recipesRemaining: getRemainingRecipes(user)
+        emailVerified: !!user.email_verified_at,
+        subscription: user.subscription,
+        recipesRemaining: getRemainingRecipes(user),
+        recipeCredits: user.recipe_credits || 0,
+        household: user.household_id ? {
+          id: user.household_id,
+          role: user.household_role,
+          plan: user.household_plan || null,
+        } : null,
+        billing: user.stripe_subscription_id ? {
+          status: user.subscription_status,
+          interval: user.subscription_interval,
+          currentPeriodEnd: user.current_period_end,
+          cancelAtPeriodEnd: user.cancel_at_period_end,
+          // Set while a renewal payment has failed: the plan stops then
+          graceEndsAt: user.payment_failed_at
+            ? new Date(new Date(user.payment_failed_at).getTime() + CONFIG.PAYMENT_GRACE_DAYS * 24 * 60 * 60 * 1000)
+            : null,
+        } : null
       }
     });
   } catch (err) {
@@ -392,7 +956,7 @@ app.post('/api/auth/logout', async (req, res) => {
   try {
     const token = req.headers['authorization']?.replace('Bearer ', '');
     if (token) {
-      await pool.query('DELETE FROM sessions WHERE token = $1', [token]);
+      await pool.query('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
     }
     res.json({ success: true });
   } catch (err) {
@@ -400,171 +964,363 @@ app.post('/api/auth/logout', async (req, res) => {
   }
 });
 
-// =============================================================================
-// RECIPE HELPERS (same as before)
-// =============================================================================
-async function fetchWebpage(url) {
+// Send the verification email again
+app.post('/api/auth/verify-email/send', async (req, res) => {
   try {
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-    });
-    return await response.text();
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    if (session.email_verified_at) return res.json({ success: true, alreadyVerified: true });
+    
+    const sent = await sendVerificationEmail({ id: session.user_id, email: session.email });
+    if (!sent) return res.status(429).json({ error: 'We just sent you an email. Check your inbox, or try again in a minute.' });
+    res.json({ success: true });
   } catch (err) {
-    console.error('Fetch error:', err);
-    return null;
+    console.error('Verification email error:', err);
+    res.status(500).json({ error: 'Could not send verification email' });
   }
-}
+});
 
-function extractRecipeSchema(html) {
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
-    const jsonLdRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-    let match;
-    while ((match = jsonLdRegex.exec(html)) !== null) {
-      try {
-        let data = JSON.parse(match[1]);
-        if (data['@graph']) {
-          data = data['@graph'].find(item => item['@type'] === 'Recipe' || item['@type']?.includes('Recipe'));
-        }
-        if (Array.isArray(data)) {
-          data = data.find(item => item['@type'] === 'Recipe' || item['@type']?.includes('Recipe'));
-        }
-        if (data && (data['@type'] === 'Recipe' || data['@type']?.includes('Recipe'))) {
-          return data;
-        }
-      } catch (e) {}
-    }
-    return null;
+    if (await rateLimited(res, [['auth:ip', req.ip]])) return;
+    const row = await consumeAuthToken(req.body.token, 'verify_email');
+    if (!row) return res.status(400).json({ error: 'This link is invalid or has expired', code: 'invalid_token' });
+    
+    // The link only verifies the address it was sent to
+    const result = await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1 AND email = $2 RETURNING id',
+      [row.user_id, row.email]
+    );
+    if (!result.rows[0]) return res.status(400).json({ error: 'This link is invalid or has expired', code: 'invalid_token' });
+    res.json({ success: true });
   } catch (err) {
-    return null;
+    console.error('Verify email error:', err);
+    res.status(500).json({ error: 'Email verification failed' });
   }
-}
-
-function convertSchemaToRecipe(schema, sourceUrl) {
-  const ingredients = schema.recipeIngredient || [];
-  let steps = [];
-  const instructions = schema.recipeInstructions || [];
-  
-  if (typeof instructions === 'string') {
-    steps = instructions.split(/\.|\n/).filter(s => s.trim()).map(s => ({
-      instruction: s.trim() + '.', ingredients: []
-    }));
-  } else if (Array.isArray(instructions)) {
-    steps = instructions.map(step => {
-      if (typeof step === 'string') return { instruction: step, ingredients: [] };
-      if (step['@type'] === 'HowToStep') return { instruction: step.text || step.name || '', ingredients: [] };
-      if (step['@type'] === 'HowToSection') {
-        return (step.itemListElement || []).map(item => ({ instruction: item.text || item.name || '', ingredients: [] }));
-      }
-      return { instruction: String(step), ingredients: [] };
-    }).flat();
-  }
-  
-  const parseDuration = (d) => {
-    if (!d) return null;
-    const m = d.match(/PT(?:(\d+)H)?(?:(\d+)M)?/);
-    if (!m) return d;
-    const h = parseInt(m[1] || 0), min = parseInt(m[2] || 0);
-    if (h && min) return `${h}h ${min}min`;
-    if (h) return `${h}h`;
-    if (min) return `${min} min`;
-    return null;
-  };
-  
-  let imageUrl = typeof schema.image === 'string' ? schema.image : schema.image?.url || schema.image?.[0]?.url || schema.image?.[0] || null;
-  let author = typeof schema.author === 'string' ? schema.author : schema.author?.name || schema.author?.[0]?.name || null;
-  
-  return {
-    title: schema.name || 'Recipe',
-    servings: parseInt(schema.recipeYield?.[0] || schema.recipeYield) || 4,
-    prepTime: parseDuration(schema.prepTime),
-    cookTime: parseDuration(schema.cookTime),
-    imageUrl, ingredients, steps, tips: [],
-    source: new URL(sourceUrl).hostname.replace('www.', ''),
-    sourceUrl, author, _needsDualUnits: true,
-  };
-}
+});
 
-function validateAndFixRecipe(recipe) {
-  const issues = [];
-  if (!recipe.title) recipe.title = 'Recipe';
-  if (!recipe.servings) recipe.servings = 4;
-  if (!recipe.ingredients || !Array.isArray(recipe.ingredients)) recipe.ingredients = [];
-  if (!recipe.steps || !Array.isArray(recipe.steps)) recipe.steps = [];
-  
-  const MAX_STEP_LENGTH = 400;
-  if (recipe.steps.some(s => (typeof s === 'string' ? s : s.instruction)?.length > MAX_STEP_LENGTH)) {
-    issues.push('steps_too_long');
-  }
-  if (recipe.ingredients.length > 5 && recipe.steps.length < 3) {
-    issues.push('too_few_steps');
+// Always answers the same way, so it can't be used to find out who has an account
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    if (await rateLimited(res, [['auth:ip', req.ip]])) return;
+    const { email } = req.body;
+    if (!isValidEmail(email)) return res.status(400).json({ error: 'Enter a valid email address' });
+    
+    const user = await getUserByEmail(email);
+    if (user) {
+      sendPasswordResetEmail(user).catch(err => console.error('Password reset email error:', err));
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Could not start password reset' });
   }
-  
-  recipe.steps = recipe.steps.map(s => typeof s === 'string' ? { instruction: s, ingredients: [] } : { ...s, ingredients: s.ingredients || [] });
-  recipe.steps = recipe.steps.filter(s => s.instruction?.trim().length > 10);
-  
-  return { recipe, issues };
-}
+});
 
-async function enhanceRecipeWithDualUnits(recipe, targetLanguage = 'en') {
-  const langInstr = {
-    en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.',
-    pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.',
-    hi: 'Output in Hindi.', ar: 'Output in Arabic. Keep JSON keys in English.',
-  };
-  
+// Set a new password from a reset link. Signs out every other device and
+// signs this one in.
+app.post('/api/auth/reset-password', async (req, res) => {
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 2500,
-      messages: [{
-        role: 'user',
-        content: `Convert this recipe to have dual units. Return ONLY valid JSON.\n\nINPUT:\n${JSON.stringify(recipe)}\n\nRULES:\n- Dual units: "500g / 1.1 lb", "1 cup / 240ml", "400°F / 200°C"\n- Each step needs "ingredients" array with EXACT strings from main ingredients\n- ${langInstr[targetLanguage] || langInstr.en}\n- Return complete recipe JSON`
-      }]
+    if (await rateLimited(res, [['auth:ip', req.ip]])) return;
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    const user = await withTransaction(async (client) => {
+      const row = await consumeAuthToken(token, 'reset_password', client);
+      if (!row) return null;
+      // An email change since the link was sent makes it stale
+      const result = await client.query('SELECT * FROM users WHERE id = $1 AND email = $2', [row.user_id, row.email]);
+      if (!result.rows[0]) return null;
+      await setPassword(client, row.user_id, password);
+      // Getting the link proves the address
+      await client.query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1', [row.user_id]);
+      return result.rows[0];
     });
+    if (!user) return res.status(400).json({ error: 'This link is invalid or has expired', code: 'invalid_token' });
     
-    let text = response.content?.map(c => c.text || '').join('') || '';
-    text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const match = text.match(/\{[\s\S]*\}/);
-    if (!match) return recipe;
+    await resetMonthlyUsageIfNeeded(user);
+    const session = await createSession(user.id, req);
+    res.json({ 
+      user: { 
+        id: user.id,
+        email: user.email, 
+        emailVerified: true,
+        subscription: user.subscription, 
+        recipesRemaining: getRemainingRecipes(user)
+      },
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Change password while signed in. Other devices are signed out.
+app.post('/api/auth/change-password', async (req, res) => {
+  try {
+    if (await rateLimited(res, [['auth:ip', req.ip]])) return;
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
     
-    const enhanced = JSON.parse(match[0]);
-    delete enhanced._needsDualUnits;
-    return enhanced;
+    const { currentPassword, newPassword } = req.body;
+    if (typeof newPassword !== 'string' || newPassword.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters` });
+    }
+    // Google-only accounts have no current password to check
+    if (session.password_hash && !(await bcrypt.compare(currentPassword || '', session.password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    await withTransaction(client => setPassword(client, session.user_id, newPassword, token));
+    res.json({ success: true });
   } catch (err) {
-    console.error('Enhance error:', err);
-    return recipe;
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Password change failed' });
   }
+});
+
+// -----------------------------------------------------------------------------
+// Signed-in devices
+// -----------------------------------------------------------------------------
+function sessionFromRow(row, currentId) {
+  return {
+    id: row.id,
+    deviceName: row.device_name || 'Unknown device',
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at || row.created_at,
+    expiresAt: row.expires_at,
+    current: row.id === currentId,
+  };
 }
 
-async function fixRecipeIssues(recipe, issues, targetLanguage = 'en') {
-  if (!issues.length) return recipe;
-  
-  const langInstr = {
+app.get('/api/auth/sessions', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+
+    const result = await pool.query(
+      `SELECT id, device_name, user_agent, ip, created_at, last_used_at, expires_at FROM sessions
+       WHERE user_id = $1 AND expires_at > NOW()
+       ORDER BY COALESCE(last_used_at, created_at) DESC, id DESC`,
+      [session.user_id]
+    );
+    res.json({ sessions: result.rows.map(row => sessionFromRow(row, session.session_id)) });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+// Sign out one device. Revoking the current session is the same as logging out.
+app.delete('/api/auth/sessions/:id', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: 'Session not found' });
+    const result = await pool.query('DELETE FROM sessions WHERE id = $1 AND user_id = $2', [id, session.user_id]);
+    if (!result.rowCount) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, current: id === session.session_id });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Failed to sign out device' });
+  }
+});
+
+// Sign out everywhere except here
+app.post('/api/auth/sessions/revoke-others', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+
+    const result = await pool.query(
+      'DELETE FROM sessions WHERE user_id = $1 AND id <> $2',
+      [session.user_id, session.session_id]
+    );
+    res.json({ success: true, revoked: result.rowCount });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    res.status(500).json({ error: 'Failed to sign out other devices' });
+  }
+});
+
+// Drop expired sessions, email links and household invites
+async function sweepSessions() {
+  try {
+    await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+    await pool.query("DELETE FROM auth_tokens WHERE expires_at < NOW() - INTERVAL '1 day'");
+    await pool.query("DELETE FROM household_invites WHERE expires_at < NOW() - INTERVAL '1 day'");
+  } catch (err) {
+    console.error('Session sweep error:', err.message);
+  }
+}
+setInterval(sweepSessions, 60 * 60 * 1000).unref();
+
+// =============================================================================
+// RECIPE HELPERS (same as before)
+// =============================================================================
+// Fetch a page through the SSRF-safe fetcher. Throws FetchError, which the
+// routes turn into a 4xx via sendSourceError.
+async function fetchWebpage(url, options = {}) {
+  const page = await safeFetch(url, {
+    timeoutMs: CONFIG.FETCH_TIMEOUT_MS,
+    maxBytes: CONFIG.FETCH_MAX_BYTES,
+    maxRedirects: CONFIG.FETCH_MAX_REDIRECTS,
+    ...options,
+  });
+  return page.text;
+}
+
+// FetchError and ExtractorError both carry the status to answer with
+function sendSourceError(res, err) {
+  console.warn(`⚠️ Could not read source (${err.code}): ${err.message}`);
+  return res.status(err.status).json({ error: err.message, code: err.code });
+}
+
+function validateAndFixRecipe(recipe) {
+  const issues = [];
+  if (!recipe.title) recipe.title = 'Recipe';
+  if (!recipe.servings) recipe.servings = 4;
+  if (!recipe.ingredients || !Array.isArray(recipe.ingredients)) recipe.ingredients = [];
+  if (!recipe.steps || !Array.isArray(recipe.steps)) recipe.steps = [];
+  
+  const MAX_STEP_LENGTH = 400;
+  if (recipe.steps.some(s => (typeof s === 'string' ? s : s.instruction)?.length > MAX_STEP_LENGTH)) {
+    issues.push('steps_too_long');
+  }
+  if (recipe.ingredients.length > 5 && recipe.steps.length < 3) {
+    issues.push('too_few_steps');
+  }
+  
+  recipe.steps = recipe.steps.map(s => typeof s === 'string' ? { instruction: s, ingredients: [] } : { ...s, ingredients: s.ingredients || [] });
+  recipe.steps = recipe.steps.filter(s => s.instruction?.trim().length > 10);
+  
+  return { recipe: structureRecipe(recipe), issues };
+}
+
+// Publisher data the LLM has no business rewriting. Kept out of prompts and
+// copied back onto whatever the model returns.
+const RECIPE_DATA_FIELDS = [
+  'prepTimeMinutes', 'cookTimeMinutes', 'totalTimeMinutes', 'nutrition', 'suitableForDiet', 'video',
+  'aggregateRating', 'ingredientSections', 'stepSections',
+];
+
+// What the LLM sees of a structured recipe: ingredients as { id, text } and
+// steps pointing at them by id
+function recipeForPrompt(recipe) {
+  const { ingredientItems, ...rest } = recipe;
+  for (const field of RECIPE_DATA_FIELDS) delete rest[field];
+  return {
+    ...rest,
+    ingredients: (ingredientItems || []).map(i => (i.section ? { id: i.id, text: i.text, section: i.section } : { id: i.id, text: i.text })),
+    steps: (rest.steps || []).map(({ ingredients, ...step }) => step),
+  };
+}
+
+function withRecipeData(recipe, original) {
+  const merged = { ...recipe };
+  for (const field of RECIPE_DATA_FIELDS) {
+    if (original[field] !== undefined) merged[field] = original[field];
+  }
+  return structureRecipe(merged);
+}
+
+// Ask Haiku about the few strings the local converter couldn't read
+async function convertUnitsWithLLM(recipe, strings, spendContext = {}) {
+  try {
+    const response = await callAnthropic({
+      model: 'claude-haiku-4-5-20251001',
+      max_tokens: 1500,
+      messages: [{
+        role: 'user',
+        content: `Add dual units to each string. Return ONLY a JSON array of strings, same length and order as the input.\n\nRULES:\n- Dual units: "500g / 1.1 lb", "1 cup / 240ml", "400°F / 200°C"\n- Only add the converted amounts, keep all other text exactly as is\n\nINPUT:\n${JSON.stringify(strings)}`
+      }]
+    }, spendContext);
+    
+    let text = response.content?.map(c => c.text || '').join('') || '';
+    text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    const match = text.match(/\[[\s\S]*\]/);
+    if (!match) return recipe;
+    
+    const converted = JSON.parse(match[0]);
+    if (!Array.isArray(converted) || converted.length !== strings.length || converted.some(c => typeof c !== 'string')) {
+      console.error('Unit conversion: unexpected LLM output shape');
+      return recipe;
+    }
+    const lookup = new Map(strings.map((s, i) => [s, converted[i]]));
+    return mapRecipeText(recipe, t => lookup.get(t) ?? t);
+  } catch (err) {
+    console.error('Unit conversion error:', err);
+    return recipe;
+  }
+}
+
+// Dual units are added locally; the LLM only sees strings we couldn't parse,
+// plus a translation pass for non-English output.
+async function enhanceRecipeWithDualUnits(recipe, targetLanguage = 'en', spendContext = {}) {
+  let { recipe: enhanced, unparsed } = convertRecipeUnits(recipe, { region: regionForUrl(recipe.sourceUrl) });
+  if (unparsed.length) {
+    console.log(`🔁 ${unparsed.length} strings need LLM unit conversion`);
+    enhanced = await convertUnitsWithLLM(enhanced, unparsed, spendContext);
+  }
+  if (targetLanguage !== 'en') {
+    try {
+      enhanced = await translateRecipe(enhanced, targetLanguage, spendContext);
+    } catch (err) {
+      console.error('Enhance translation error:', err);
+    }
+  }
+  delete enhanced._needsDualUnits;
+  return structureRecipe(enhanced);
+}
+
+async function fixRecipeIssues(recipe, issues, targetLanguage = 'en', spendContext = {}) {
+  if (!issues.length) return recipe;
+  
+  const langInstr = {
     en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.',
     pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.',
     hi: 'Output in Hindi.', ar: 'Output in Arabic. Keep JSON keys in English.',
   };
   
   try {
-    const response = await anthropic.messages.create({
+    const response = await callAnthropic({
       model: 'claude-haiku-4-5-20251001',
       max_tokens: 3000,
       messages: [{
         role: 'user',
-        content: `Fix this recipe. Issues: ${issues.join(', ')}\n\nRECIPE:\n${JSON.stringify(recipe)}\n\nFIXES:\n${issues.includes('steps_too_long') ? '- Split long steps (max 300 chars each)' : ''}\n${issues.includes('too_few_steps') ? '- Break into more steps' : ''}\n\nRULES:\n- One action per step\n- Each step needs "ingredients" array\n- Dual units\n- ${langInstr[targetLanguage] || langInstr.en}\n- Return ONLY valid JSON`
+        content: `Fix this recipe. Issues: ${issues.join(', ')}\n\nRECIPE:\n${JSON.stringify(recipeForPrompt(recipe))}\n\nFIXES:\n${issues.includes('steps_too_long') ? '- Split long steps (max 300 chars each)' : ''}\n${issues.includes('too_few_steps') ? '- Break into more steps' : ''}\n\nRULES:\n- One action per step\n- Keep ingredient ids; each step needs an "ingredientIds" array of the ids it uses\n- Dual units\n- ${langInstr[targetLanguage] || langInstr.en}\n- Return ONLY valid JSON`
       }]
-    });
+    }, spendContext);
     
     let text = response.content?.map(c => c.text || '').join('') || '';
     text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
     const match = text.match(/\{[\s\S]*\}/);
-    return match ? JSON.parse(match[0]) : recipe;
+    return match ? withRecipeData(JSON.parse(match[0]), recipe) : recipe;
   } catch (err) {
     console.error('Fix error:', err);
     return recipe;
   }
 }
 
+// Prompt rule for how extracted steps point at ingredients
+const INGREDIENT_ID_RULE = 'Ingredient ids are "i" plus the position in the ingredients list, not counting group headings (i1, i2, ...). Each step lists the ids of the ingredients it uses in "ingredientIds"';
+
+// Prompt rule for grouped recipes ("For the sauce")
+const SECTION_RULE = 'If the recipe is split into parts, put each ingredient group heading in "ingredients" as its own line ending in ":" (e.g. "For the sauce:") and set each step\'s "section" to its part name; otherwise leave "section" null';
+
 function stripHtml(html) {
   return html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
     .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
@@ -574,8 +1330,66 @@ function stripHtml(html) {
 // =============================================================================
 // RECIPE ENDPOINTS
 // =============================================================================
-app.post('/api/recipe/clean-url', async (req, res) => {
-  const { url, language, fingerprint } = req.body;
+// Ask Sonnet to read a recipe out of page HTML or a video transcript
+async function extractRecipeWithLLM({ kind, text, source = '' }, url, targetLanguage, spendContext) {
+  const langInstr = { en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.', pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.', hi: 'Output in Hindi.', ar: 'Output in Arabic.' };
+  const template = `{"title":"","description":null,"servings":4,"prepTime":"","cookTime":"","totalTime":"","imageUrl":null,"ingredients":["500g / 1.1 lb item"],"steps":[{"instruction":"","section":null,"ingredientIds":["i1"]}],"tips":[],"source":"${source}","sourceUrl":"${url}","author":null}`;
+  const content = kind === 'transcript'
+    ? `Extract recipe from this cooking video transcript. Return ONLY valid JSON:\n${template}\n\nRULES:\n- Estimate amounts if not stated\n- Dual units\n- ${INGREDIENT_ID_RULE}\n- ${SECTION_RULE}\n- ${langInstr[targetLanguage] || langInstr.en}\n\nTRANSCRIPT:\n${text.slice(0, 12000)}`
+    : `Extract recipe from this webpage. Return ONLY valid JSON:\n${template}\n\nRULES:\n- Dual units always\n- ${INGREDIENT_ID_RULE}\n- ${SECTION_RULE}\n- ${langInstr[targetLanguage] || langInstr.en}\n\nWEBPAGE:\n${stripHtml(text)}`;
+  
+  const response = await callAnthropic({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: kind === 'transcript' ? 3000 : 2500,
+    messages: [{ role: 'user', content }]
+  }, spendContext);
+  
+  let responseText = response.content?.map(c => c.text || '').join('') || '';
+  responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const match = responseText.match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('No JSON');
+  
+  const recipe = JSON.parse(match[0]);
+  recipe.sourceUrl = url;
+  return recipe;
+}
+
+// Run the extractors for a URL and clean up what they return
+// `onStage` hears about each step as it starts (see RECIPE JOBS)
+async function cleanRecipeFromUrl(url, targetLanguage, spendContext, onStage = () => {}) {
+  let html = null;
+  const ctx = {
+    fetchPage: (pageUrl, options) => {
+      onStage('fetching');
+      return fetchWebpage(pageUrl, options);
+    },
+    page: async () => (html ??= await ctx.fetchPage(url)),
+    extractWithLLM: (input) => {
+      onStage('extracting');
+      return extractRecipeWithLLM(input, url, targetLanguage, spendContext);
+    },
+  };
+  
+  const { recipe: raw, extractor } = await extractRecipe(url, ctx);
+  console.log(`🔎 Extracted with ${extractor}`);
+  
+  const { recipe: validated, issues } = validateAndFixRecipe(raw);
+  let recipe = validated;
+  if (issues.length) {
+    onStage('fixing');
+    recipe = await fixRecipeIssues(recipe, issues, targetLanguage, spendContext);
+  }
+  // Structured data comes straight from the publisher, in their units and language
+  if (raw._needsDualUnits) {
+    onStage('converting_units');
+    recipe = await enhanceRecipeWithDualUnits(recipe, targetLanguage, spendContext);
+  }
+  return recipe;
+}
+
+// clean-url and the older clean-youtube route share everything but the name
+async function handleCleanUrl(req, res, endpoint) {
+  const { url, language, fingerprint, refresh } = req.body;
   const targetLanguage = ['en', 'es', 'fr', 'pt', 'zh', 'hi', 'ar'].includes(language) ? language : 'en';
   const token = req.headers['authorization']?.replace('Bearer ', '');
   const ip = req.ip || req.headers['x-forwarded-for'];
@@ -583,6 +1397,22 @@ app.post('/api/recipe/clean-url', async (req, res) => {
   try {
     const session = await validateSession(token);
     const user = session ? await resetMonthlyUsageIfNeeded(session) : null;
+    if (await rateLimited(res, cleanRateLimits(ip, user, fingerprint))) return;
+    
+    let cacheKey;
+    try {
+      cacheKey = canonicalizeUrl(url);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid URL.' });
+    }
+    if (!refresh) {
+      const cached = await getCachedRecipe(cacheKey, targetLanguage);
+      if (cached) {
+        console.log(`💾 Cache hit: ${cacheKey}`);
+        const hit = await serveCachedRecipe(cached, { user, fingerprint, ip });
+        return res.status(hit.status).json(hit.body);
+      }
+    }
     
     const canClean = await canCleanRecipe(user, fingerprint, ip);
     if (!canClean.allowed) {
@@ -595,45 +1425,9 @@ app.post('/api/recipe/clean-url', async (req, res) => {
     }
     
     console.log(`📥 Recipe request for: ${url}`);
-    const html = await fetchWebpage(url);
-    if (!html) return res.status(400).json({ error: 'Could not fetch recipe page.' });
-    
-    const schema = extractRecipeSchema(html);
-    let recipe;
-    
-    if (schema) {
-      console.log('⚡ Fast path');
-      recipe = convertSchemaToRecipe(schema, url);
-      const { recipe: validated, issues } = validateAndFixRecipe(recipe);
-      recipe = validated;
-      if (issues.length) recipe = await fixRecipeIssues(recipe, issues, targetLanguage);
-      recipe = await enhanceRecipeWithDualUnits(recipe, targetLanguage);
-      trackSpending(CONFIG.COST_PER_URL_RECIPE * 0.5);
-    } else {
-      console.log('🐢 Slow path');
-      const langInstr = { en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.', pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.', hi: 'Output in Hindi.', ar: 'Output in Arabic.' };
-      
-      const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2500,
-        messages: [{
-          role: 'user',
-          content: `Extract recipe from this webpage. Return ONLY valid JSON:\n{"title":"","servings":4,"prepTime":"","cookTime":"","imageUrl":null,"ingredients":["500g / 1.1 lb item"],"steps":[{"instruction":"","ingredients":[]}],"tips":[],"source":"","sourceUrl":"${url}","author":null}\n\nRULES:\n- Dual units always\n- Each step has ingredients array with EXACT strings from main ingredients\n- ${langInstr[targetLanguage] || langInstr.en}\n\nWEBPAGE:\n${stripHtml(html)}`
-        }]
-      });
-      
-      let text = response.content?.map(c => c.text || '').join('') || '';
-      text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      const match = text.match(/\{[\s\S]*\}/);
-      if (!match) throw new Error('No JSON');
-      
-      recipe = JSON.parse(match[0]);
-      recipe.sourceUrl = url;
-      const { recipe: validated, issues } = validateAndFixRecipe(recipe);
-      recipe = validated;
-      if (issues.length) recipe = await fixRecipeIssues(recipe, issues, targetLanguage);
-      trackSpending(CONFIG.COST_PER_URL_RECIPE);
-    }
+    const recipe = await cleanRecipeFromUrl(url, targetLanguage, { endpoint, userId: user?.id });
+    
+    await cacheRecipe(cacheKey, targetLanguage, recipe);
     
     // Track usage
     if (user) {
@@ -648,42 +1442,29 @@ app.post('/api/recipe/clean-url', async (req, res) => {
     console.log(`✅ Recipe: ${recipe.title}`);
     res.json({ recipe, recipesRemaining: remaining });
   } catch (err) {
+    if (err instanceof FetchError || err instanceof ExtractorError) return sendSourceError(res, err);
     console.error('Recipe error:', err);
     res.status(500).json({ error: 'Failed to clean recipe.' });
   }
-});
+}
 
-app.post('/api/recipe/clean-photo', async (req, res) => {
-  const { photos, language, fingerprint } = req.body;
-  const targetLanguage = ['en', 'es', 'fr', 'pt', 'zh', 'hi', 'ar'].includes(language) ? language : 'en';
-  const token = req.headers['authorization']?.replace('Bearer ', '');
-  const ip = req.ip || req.headers['x-forwarded-for'];
+// Any recipe page or video link
+app.post('/api/recipe/clean-url', (req, res) => handleCleanUrl(req, res, '/api/recipe/clean-url'));
+
+// Read a recipe from up to four photos (data: URLs)
+async function cleanRecipeFromPhotos(photos, targetLanguage, spendContext, onStage = () => {}) {
+  const langInstr = { en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.', pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.', hi: 'Output in Hindi.', ar: 'Output in Arabic.' };
   
-  try {
-    const session = await validateSession(token);
-    const user = session ? await resetMonthlyUsageIfNeeded(session) : null;
-    
-    const canClean = await canCleanRecipe(user, fingerprint, ip);
-    if (!canClean.allowed) {
-      return res.status(402).json({ 
-        error: canClean.reason, 
-        requiresSignup: canClean.requiresSignup,
-        upgrade: canClean.upgrade,
-        message: canClean.message || 'Upgrade for more recipes!'
-      });
-    }
-    
-    const langInstr = { en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.', pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.', hi: 'Output in Hindi.', ar: 'Output in Arabic.' };
-    
-    const photosToProcess = photos.slice(0, 4);
-    const content = photosToProcess.map(p => {
-      const m = p.match(/^data:(.+);base64,(.+)$/);
-      return m ? { type: 'image', source: { type: 'base64', media_type: m[1], data: m[2] } } : null;
-    }).filter(Boolean);
-    
-    content.push({
-      type: 'text',
-      text: `Extract the recipe from these photos. The images may contain:
+  onStage('extracting');
+  const photosToProcess = photos.slice(0, 4);
+  const content = photosToProcess.map(p => {
+    const m = p.match(/^data:(.+);base64,(.+)$/);
+    return m ? { type: 'image', source: { type: 'base64', media_type: m[1], data: m[2] } } : null;
+  }).filter(Boolean);
+  
+  content.push({
+    type: 'text',
+    text: `Extract the recipe from these photos. The images may contain:
 - Printed cookbook pages
 - Handwritten recipes (cursive or print)
 - Recipe cards with notes
@@ -693,50 +1474,41 @@ app.post('/api/recipe/clean-photo', async (req, res) => {
 CAREFULLY READ ALL TEXT including handwritten notes, annotations, and margin scribbles. Handwriting may be messy - do your best to interpret it.
 
 Return ONLY valid JSON:
-{"title":"Recipe name","servings":4,"prepTime":"15 min","cookTime":"30 min","imageUrl":null,"ingredients":["500g / 1.1 lb ingredient"],"steps":[{"instruction":"Step description","ingredients":["500g / 1.1 lb ingredient"]}],"tips":[],"source":"Cookbook","sourceUrl":null,"author":null}
+{"title":"Recipe name","description":null,"servings":4,"prepTime":"15 min","cookTime":"30 min","totalTime":"45 min","imageUrl":null,"ingredients":["500g / 1.1 lb ingredient"],"steps":[{"instruction":"Step description","section":null,"ingredientIds":["i1"]}],"tips":[],"source":"Cookbook","sourceUrl":null,"author":null}
 
 RULES:
 - If handwriting is unclear, make your best guess based on context (e.g. "1 tsp s___" is probably "1 tsp salt" or "1 tsp sugar")
 - Convert vague amounts to standard measurements ("a handful" → "1/2 cup / 60g", "some" → "2 tbsp / 30ml")
 - Dual units on ALL measurements: "500g / 1.1 lb", "1 cup / 240ml", "400°F / 200°C"
-- Each step needs an "ingredients" array with EXACT strings from main ingredients
+- ${INGREDIENT_ID_RULE}
+- ${SECTION_RULE}
 - Include any handwritten tips or notes in the "tips" array
 - ${langInstr[targetLanguage] || langInstr.en}`
-    });
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{ role: 'user', content }]
-    });
-    
-    let text = response.content?.map(c => c.text || '').join('') || '';
-    text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const match = text.match(/\{[\s\S]*\}/);
-    if (!match) throw new Error('No JSON');
-    
-    let recipe = JSON.parse(match[0]);
-    const { recipe: validated, issues } = validateAndFixRecipe(recipe);
-    recipe = validated;
-    if (issues.length) recipe = await fixRecipeIssues(recipe, issues, targetLanguage);
-    
-    trackSpending(CONFIG.COST_PER_PHOTO_RECIPE);
-    
-    if (user) await incrementUserUsage(user);
-    else if (fingerprint) await incrementAnonymousUsage(fingerprint);
-    
-    const remaining = user ? getRemainingRecipes({ ...user, recipes_used_this_month: user.recipes_used_this_month + 1 }) 
-                          : Math.max(0, (canClean.remaining || 0) - 1);
-    
-    res.json({ recipe, recipesRemaining: remaining });
-  } catch (err) {
-    console.error('Photo error:', err);
-    res.status(500).json({ error: 'Failed to read recipe from photos.' });
+  });
+  
+  const response = await callAnthropic({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 4000,
+    messages: [{ role: 'user', content }]
+  }, spendContext);
+  
+  let text = response.content?.map(c => c.text || '').join('') || '';
+  text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('No JSON');
+  
+  let recipe = JSON.parse(match[0]);
+  const { recipe: validated, issues } = validateAndFixRecipe(recipe);
+  recipe = validated;
+  if (issues.length) {
+    onStage('fixing');
+    recipe = await fixRecipeIssues(recipe, issues, targetLanguage, spendContext);
   }
-});
+  return recipe;
+}
 
-app.post('/api/recipe/clean-youtube', async (req, res) => {
-  const { url, language, fingerprint } = req.body;
+app.post('/api/recipe/clean-photo', async (req, res) => {
+  const { photos, language, fingerprint } = req.body;
   const targetLanguage = ['en', 'es', 'fr', 'pt', 'zh', 'hi', 'ar'].includes(language) ? language : 'en';
   const token = req.headers['authorization']?.replace('Bearer ', '');
   const ip = req.ip || req.headers['x-forwarded-for'];
@@ -744,6 +1516,7 @@ app.post('/api/recipe/clean-youtube', async (req, res) => {
   try {
     const session = await validateSession(token);
     const user = session ? await resetMonthlyUsageIfNeeded(session) : null;
+    if (await rateLimited(res, cleanRateLimits(ip, user, fingerprint))) return;
     
     const canClean = await canCleanRecipe(user, fingerprint, ip);
     if (!canClean.allowed) {
@@ -755,62 +1528,7 @@ app.post('/api/recipe/clean-youtube', async (req, res) => {
       });
     }
     
-    // Extract video ID
-    const videoIdMatch = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([^&\n?#]+)/);
-    if (!videoIdMatch) return res.status(400).json({ error: 'Invalid YouTube URL.' });
-    const videoId = videoIdMatch[1];
-    
-    // Get transcript (simplified - in production use youtube-transcript API)
-    const videoPage = await fetch(`https://www.youtube.com/watch?v=${videoId}`, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    const html = await videoPage.text();
-    
-    // Try to extract captions URL
-    let transcript = '';
-    const baseUrlMatch = html.match(/"baseUrl":\s*"([^"]+timedtext[^"]+)"/);
-    if (baseUrlMatch) {
-      const captionUrl = baseUrlMatch[1].replace(/\\u0026/g, '&');
-      const captionRes = await fetch(captionUrl);
-      const captionData = await captionRes.text();
-      const textMatches = captionData.matchAll(/<text[^>]*>([^<]+)<\/text>/g);
-      transcript = [...textMatches].map(m => m[1]).join(' ');
-    }
-    
-    // Fallback to description
-    if (!transcript || transcript.length < 100) {
-      const descMatch = html.match(/"description":\s*\{"simpleText":\s*"([^"]+)"/);
-      const titleMatch = html.match(/<title>([^<]+)<\/title>/);
-      transcript = `Title: ${titleMatch?.[1] || ''}\nDescription: ${descMatch?.[1]?.replace(/\\n/g, '\n') || ''}`;
-    }
-    
-    if (!transcript || transcript.length < 50) {
-      return res.status(400).json({ error: 'Could not extract transcript. Video may not have captions.' });
-    }
-    
-    const langInstr = { en: 'Output in English.', es: 'Output in Spanish.', fr: 'Output in French.', pt: 'Output in Portuguese.', zh: 'Output in Simplified Chinese.', hi: 'Output in Hindi.', ar: 'Output in Arabic.' };
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 3000,
-      messages: [{
-        role: 'user',
-        content: `Extract recipe from this cooking video transcript. Return ONLY valid JSON:\n{"title":"","servings":4,"prepTime":"","cookTime":"","imageUrl":null,"ingredients":["500g / 1.1 lb item"],"steps":[{"instruction":"","ingredients":[]}],"tips":[],"source":"YouTube","sourceUrl":"${url}","author":null}\n\nRULES:\n- Estimate amounts if not stated\n- Dual units\n- Each step has ingredients array\n- ${langInstr[targetLanguage] || langInstr.en}\n\nTRANSCRIPT:\n${transcript.slice(0, 12000)}`
-      }]
-    });
-    
-    let text = response.content?.map(c => c.text || '').join('') || '';
-    text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const match = text.match(/\{[\s\S]*\}/);
-    if (!match) throw new Error('No JSON');
-    
-    let recipe = JSON.parse(match[0]);
-    recipe.sourceUrl = url;
-    const { recipe: validated, issues } = validateAndFixRecipe(recipe);
-    recipe = validated;
-    if (issues.length) recipe = await fixRecipeIssues(recipe, issues, targetLanguage);
-    
-    trackSpending(CONFIG.COST_PER_URL_RECIPE * 1.5);
+    const recipe = await cleanRecipeFromPhotos(photos, targetLanguage, { endpoint: '/api/recipe/clean-photo', userId: user?.id });
     
     if (user) await incrementUserUsage(user);
     else if (fingerprint) await incrementAnonymousUsage(fingerprint);
@@ -820,221 +1538,2693 @@ app.post('/api/recipe/clean-youtube', async (req, res) => {
     
     res.json({ recipe, recipesRemaining: remaining });
   } catch (err) {
-    console.error('YouTube error:', err);
-    res.status(500).json({ error: 'Failed to extract recipe from video.' });
+    console.error('Photo error:', err);
+    res.status(500).json({ error: 'Failed to read recipe from photos.' });
   }
 });
 
-// =============================================================================
-// RECIPE TRANSLATION (Paid users only)
-// =============================================================================
-app.post('/api/recipe/translate', async (req, res) => {
-  const { recipe, targetLanguage } = req.body;
-  const token = req.headers['authorization']?.replace('Bearer ', '');
+// Kept for older clients; clean-url handles YouTube links too
+app.post('/api/recipe/clean-youtube', (req, res) => {
+  if (!youtubeVideoId(String(req.body.url || ''))) return res.status(400).json({ error: 'Invalid YouTube URL.' });
+  return handleCleanUrl(req, res, '/api/recipe/clean-youtube');
+});
+
+// Drop a URL from the shared cache, e.g. after the publisher fixes the recipe
+app.delete('/api/recipe/cache', async (req, res) => {
+  const { url, language } = req.body;
+  if (!process.env.ADMIN_API_KEY || req.headers['x-admin-key'] !== process.env.ADMIN_API_KEY) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
   
   try {
-    const session = await validateSession(token);
-    
-    // Check if user is paid
-    if (!session || !['basic', 'pro'].includes(session.subscription)) {
-      return res.status(402).json({ 
-        error: 'upgrade_required', 
-        message: 'Upgrade to translate recipes into any language' 
-      });
-    }
-    
-    const langNames = {
-      en: 'English',
-      es: 'Spanish (Español)',
-      fr: 'French (Français)',
-      pt: 'Portuguese (Português)',
-      zh: 'Simplified Chinese (简体中文)',
-      hi: 'Hindi (हिन्दी)',
-      ar: 'Arabic (العربية)',
-    };
-    
-    const targetLangName = langNames[targetLanguage] || 'English';
-    
-    console.log(`🌍 Translating recipe to ${targetLangName}`);
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001', // Haiku is cheap and fast for translation
-      max_tokens: 3000,
-      messages: [{
-        role: 'user',
-        content: `Translate this recipe to ${targetLangName}. Keep the same JSON structure, translate ALL text values (title, ingredients, instructions, tips). Keep JSON keys in English. Keep measurements with dual units. Return ONLY valid JSON, no explanation.
-
-RECIPE:
-${JSON.stringify(recipe)}
-
-IMPORTANT:
-- Translate title, all ingredients, all step instructions, all tips
-- Keep source, sourceUrl, author unchanged
-- Keep imageUrl unchanged
-- Keep numeric values (servings, etc) unchanged
-- Return complete valid JSON`
-      }]
-    });
-    
-    let text = response.content?.map(c => c.text || '').join('') || '';
-    text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const match = text.match(/\{[\s\S]*\}/);
-    
-    if (!match) {
-      throw new Error('No valid JSON in response');
-    }
-    
-    const translatedRecipe = JSON.parse(match[0]);
-    
-    // Preserve fields that shouldn't change
-    translatedRecipe.source = recipe.source;
-    translatedRecipe.sourceUrl = recipe.sourceUrl;
-    translatedRecipe.imageUrl = recipe.imageUrl;
-    
-    // Track minimal cost (~$0.01)
-    trackSpending(0.01);
-    
-    console.log(`✅ Recipe translated to ${targetLangName}`);
-    res.json({ recipe: translatedRecipe });
-    
+    const result = await pool.query(
+      'DELETE FROM recipe_cache WHERE canonical_url = $1 AND ($2::text IS NULL OR language = $2)',
+      [canonicalizeUrl(url), language || null]
+    );
+    res.json({ success: true, removed: result.rowCount });
   } catch (err) {
-    console.error('Translation error:', err);
-    res.status(500).json({ error: 'Failed to translate recipe' });
+    console.error('Cache invalidation error:', err);
+    res.status(400).json({ error: 'Could not invalidate cache entry' });
   }
 });
 
 // =============================================================================
-// SAVED RECIPES
+// RECIPE JOBS
 // =============================================================================
-app.get('/api/recipes/saved', async (req, res) => {
-  const token = req.headers['authorization']?.replace('Bearer ', '');
-  const session = await validateSession(token);
-  if (!session) return res.status(401).json({ error: 'Not authenticated' });
-  
-  const result = await pool.query(
-    'SELECT * FROM saved_recipes WHERE user_id = $1 ORDER BY saved_at DESC',
-    [session.user_id]
-  );
-  
-  const recipes = result.rows.map(r => ({
-    id: r.id,
-    title: r.title,
+// POST /api/recipe/jobs answers straight away with a job id; the clean runs in
+// the background and reports its stage to GET /api/recipe/jobs/:id and to the
+// Server-Sent Events stream at /api/recipe/jobs/:id/events. A recipe is
+// reserved when a job is created and refunded if the job fails, never charged
+// on retries: a repeated Idempotency-Key returns the job that key already
+// started.
+
+// Stages: queued -> fetching -> extracting -> fixing -> converting_units ->
+// done | failed. Stages that don't apply to a recipe are skipped.
+
+// Job updates for SSE listeners in this process, keyed by job id
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function jobView(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    stage: row.stage,
+    result: row.result,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+  };
+}
+
+function publishJob(row) {
+  if (row) jobEvents.emit(row.id, jobView(row));
+  return row;
+}
+
+async function setJobStage(id, stage) {
+  const result = await pool.query(
+    `UPDATE recipe_jobs SET status = 'running', stage = $2, updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'running') RETURNING *`,
+    [id, stage]
+  );
+  return publishJob(result.rows[0]);
+}
+
+async function finishJob(id, status, { result = null, error = null }) {
+  const updated = await pool.query(
+    `UPDATE recipe_jobs SET status = $2, stage = $2, result = $3, error = $4, updated_at = NOW(), completed_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, status, result && JSON.stringify(result), error && JSON.stringify(error)]
+  );
+  return publishJob(updated.rows[0]);
+}
+
+async function runJob(jobId, { type, url, photos, targetLanguage, user, canClean, charge }) {
+  const spendContext = { endpoint: '/api/recipe/jobs', userId: user?.id };
+  const onStage = (stage) => {
+    setJobStage(jobId, stage).catch(err => console.error('Job stage error:', err));
+  };
+  
+  try {
+    const recipe = type === 'photo'
+      ? await cleanRecipeFromPhotos(photos, targetLanguage, spendContext, onStage)
+      : await cleanRecipeFromUrl(url, targetLanguage, spendContext, onStage);
+    if (type === 'url') await cacheRecipe(canonicalizeUrl(url), targetLanguage, recipe);
+    
+    const remaining = user ? getRemainingRecipes({ ...user, recipes_used_this_month: user.recipes_used_this_month + 1 }) 
+                          : Math.max(0, (canClean.remaining || 0) - 1);
+    
+    console.log(`✅ Job ${jobId}: ${recipe.title}`);
+    await finishJob(jobId, 'done', { result: { recipe, recipesRemaining: remaining } });
+  } catch (err) {
+    let error;
+    if (err instanceof FetchError || err instanceof ExtractorError) {
+      error = { status: err.status, error: err.message, code: err.code };
+    } else {
+      console.error('Job error:', err);
+      error = { status: 500, error: 'Failed to clean recipe.' };
+    }
+    await refundRecipe(charge, `job:${jobId}`).catch(e => console.error('Job refund error:', e));
+    await finishJob(jobId, 'failed', { error }).catch(e => console.error('Job update error:', e));
+  }
+}
+
+// Jobs are tied to a user, or to the anonymous fingerprint (or IP) that made them
+function jobOwner(user, fingerprint, ip) {
+  return user ? `user:${user.id}` : `anon:${fingerprint || ip}`;
+}
+
+// EventSource can't send headers, so the events stream takes a stream token
+// in the URL instead of the session token: it only opens that one job's
+// stream, and only for JOB_STREAM_TOKEN_TTL_SECONDS.
+function streamTokenValid(job, token) {
+  return Boolean(token && job.stream_token_hash && hashToken(String(token)) === job.stream_token_hash
+    && new Date(job.stream_token_expires_at) > new Date());
+}
+
+// Load a job, checking that a user's job is read by that user
+async function loadJobForRequest(req, { streamToken = false } = {}) {
+  const { id } = req.params;
+  if (!/^[0-9a-f-]{36}$/i.test(id)) return { status: 404 };
+  const result = await pool.query('SELECT * FROM recipe_jobs WHERE id = $1', [id]);
+  const job = result.rows[0];
+  if (!job) return { status: 404 };
+  if (job.user_id) {
+    if (streamToken && streamTokenValid(job, req.query.streamToken)) return { job };
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return { status: 401 };
+    if (session.user_id !== job.user_id) return { status: 404 };
+  }
+  return { job };
+}
+
+app.post('/api/recipe/jobs', async (req, res) => {
+  const { url, photos, language, fingerprint, refresh } = req.body;
+  const type = req.body.type || (photos ? 'photo' : 'url');
+  const targetLanguage = ['en', 'es', 'fr', 'pt', 'zh', 'hi', 'ar'].includes(language) ? language : 'en';
+  const idempotencyKey = (req.headers['idempotency-key'] || req.body.idempotencyKey || '').toString().slice(0, 200) || null;
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const ip = req.ip || req.headers['x-forwarded-for'];
+  
+  if (!['url', 'photo'].includes(type)) return res.status(400).json({ error: 'Unknown job type.' });
+  if (type === 'photo' && (!Array.isArray(photos) || !photos.length)) {
+    return res.status(400).json({ error: 'No photos provided.' });
+  }
+  let cacheKey = null;
+  if (type === 'url') {
+    try {
+      cacheKey = canonicalizeUrl(url);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid URL.' });
+    }
+  }
+  
+  try {
+    const session = await validateSession(token);
+    const user = session ? await resetMonthlyUsageIfNeeded(session) : null;
+    const owner = jobOwner(user, fingerprint, ip);
+    
+    // A retry of a request we've already seen gets the same job back
+    if (idempotencyKey) {
+      const existing = await pool.query(
+        'SELECT * FROM recipe_jobs WHERE owner = $1 AND idempotency_key = $2',
+        [owner, idempotencyKey]
+      );
+      if (existing.rows[0]) return res.json({ job: jobView(existing.rows[0]) });
+    }
+    // Retries above don't count; a new job does
+    if (await rateLimited(res, cleanRateLimits(ip, user, fingerprint))) return;
+    
+    const createJob = (fields = {}) => pool.query(
+      `INSERT INTO recipe_jobs (id, owner, user_id, idempotency_key, type, language, source_url, status, stage, result, completed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10)
+       ON CONFLICT (owner, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [crypto.randomUUID(), owner, user?.id || null, idempotencyKey, type, targetLanguage, url || null,
+       fields.status || 'queued', fields.result ? JSON.stringify(fields.result) : null, fields.status ? new Date() : null]
+    );
+    // Lost a race with a retry carrying the same key
+    const sameKeyJob = async () => {
+      const existing = await pool.query('SELECT * FROM recipe_jobs WHERE owner = $1 AND idempotency_key = $2', [owner, idempotencyKey]);
+      return res.json({ job: jobView(existing.rows[0]) });
+    };
+    
+    if (cacheKey && !refresh) {
+      const cached = await getCachedRecipe(cacheKey, targetLanguage);
+      if (cached) {
+        console.log(`💾 Cache hit: ${cacheKey}`);
+        const hit = await serveCachedRecipe(cached, { user, fingerprint, ip });
+        if (hit.status !== 200) return res.status(hit.status).json(hit.body);
+        const created = await createJob({ status: 'done', result: hit.body });
+        if (!created.rows[0]) return sameKeyJob();
+        return res.status(201).json({ job: jobView(created.rows[0]) });
+      }
+    }
+    
+    const canClean = await canCleanRecipe(user, fingerprint, ip);
+    const charge = canClean.allowed ? await reserveRecipe(user, fingerprint) : null;
+    if (!charge) {
+      return res.status(402).json({ 
+        error: canClean.reason, 
+        requiresSignup: canClean.requiresSignup,
+        upgrade: canClean.upgrade,
+        message: canClean.message || 'Upgrade for more recipes!'
+      });
+    }
+    
+    let created;
+    try {
+      created = await createJob();
+    } catch (err) {
+      await refundRecipe(charge);
+      throw err;
+    }
+    if (!created.rows[0]) {
+      await refundRecipe(charge);
+      return sameKeyJob();
+    }
+    const job = created.rows[0];
+    
+    console.log(`📋 Job ${job.id} (${type}) queued`);
+    runJob(job.id, { type, url, photos, targetLanguage, user, canClean, charge });
+    res.status(202).json({ job: jobView(job) });
+  } catch (err) {
+    console.error('Job create error:', err);
+    res.status(500).json({ error: 'Failed to start job.' });
+  }
+});
+
+app.get('/api/recipe/jobs/:id', async (req, res) => {
+  try {
+    const { job, status } = await loadJobForRequest(req);
+    if (!job) return res.status(status).json({ error: status === 401 ? 'Not authenticated' : 'Job not found' });
+    res.json({ job: jobView(job) });
+  } catch (err) {
+    console.error('Job fetch error:', err);
+    res.status(500).json({ error: 'Failed to load job.' });
+  }
+});
+
+// A token for opening a user's job stream with EventSource, as ?streamToken=
+app.post('/api/recipe/jobs/:id/stream-token', async (req, res) => {
+  try {
+    const { job, status } = await loadJobForRequest(req);
+    if (!job) return res.status(status).json({ error: status === 401 ? 'Not authenticated' : 'Job not found' });
+    if (!job.user_id) return res.json({ streamToken: null });
+    const streamToken = crypto.randomBytes(24).toString('base64url');
+    await pool.query(
+      `UPDATE recipe_jobs SET stream_token_hash = $2, stream_token_expires_at = NOW() + make_interval(secs => $3)
+       WHERE id = $1`,
+      [job.id, hashToken(streamToken), CONFIG.JOB_STREAM_TOKEN_TTL_SECONDS]
+    );
+    res.json({ streamToken, expiresIn: CONFIG.JOB_STREAM_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    console.error('Job stream token error:', err);
+    res.status(500).json({ error: 'Failed to create stream token.' });
+  }
+});
+
+// SSE: a "stage" event per stage, then one "done" or "failed" event and the
+// stream ends
+app.get('/api/recipe/jobs/:id/events', async (req, res) => {
+  let job;
+  try {
+    const loaded = await loadJobForRequest(req, { streamToken: true });
+    if (!loaded.job) return res.status(loaded.status).json({ error: loaded.status === 401 ? 'Not authenticated' : 'Job not found' });
+    job = loaded.job;
+  } catch (err) {
+    console.error('Job fetch error:', err);
+    return res.status(500).json({ error: 'Failed to load job.' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  
+  let lastSent = null;
+  let closed = false;
+  const send = (view) => {
+    const key = `${view.status}:${view.stage}`;
+    if (closed || key === lastSent) return;
+    lastSent = key;
+    const finished = view.status === 'done' || view.status === 'failed';
+    res.write(`event: ${finished ? view.status : 'stage'}\ndata: ${JSON.stringify(view)}\n\n`);
+    if (finished) close();
+  };
+  
+  // Jobs running on another instance only show up in the database
+  const poll = setInterval(async () => {
+    try {
+      const result = await pool.query('SELECT * FROM recipe_jobs WHERE id = $1', [job.id]);
+      if (result.rows[0]) send(jobView(result.rows[0]));
+    } catch (err) {
+      console.error('Job poll error:', err);
+    }
+  }, CONFIG.JOB_POLL_INTERVAL_MS);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, send);
+    res.end();
+  }
+  
+  jobEvents.on(job.id, send);
+  req.on('close', close);
+  send(jobView(job));
+});
+
+// Fail jobs whose process went away mid-run, and forget old ones
+async function sweepJobs() {
+  try {
+    await pool.query(
+      `UPDATE recipe_jobs SET status = 'failed', stage = 'failed', error = $2, updated_at = NOW(), completed_at = NOW()
+       WHERE status IN ('queued', 'running') AND updated_at < NOW() - make_interval(mins => $1)`,
+      [CONFIG.JOB_STALE_MINUTES, JSON.stringify({ status: 500, error: 'The job was interrupted. Please try again.', code: 'INTERRUPTED' })]
+    );
+    await pool.query(
+      'DELETE FROM recipe_jobs WHERE created_at < NOW() - make_interval(days => $1)',
+      [CONFIG.JOB_RETENTION_DAYS]
+    );
+  } catch (err) {
+    console.error('Job sweep error:', err.message);
+  }
+}
+setInterval(sweepJobs, 5 * 60 * 1000).unref();
+
+// =============================================================================
+// RECIPE TRANSLATION (Paid users only)
+// =============================================================================
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish (Español)',
+  fr: 'French (Français)',
+  pt: 'Portuguese (Português)',
+  zh: 'Simplified Chinese (简体中文)',
+  hi: 'Hindi (हिन्दी)',
+  ar: 'Arabic (العربية)',
+};
+
+async function translateRecipe(recipe, targetLanguage, spendContext = {}) {
+  const targetLangName = LANGUAGE_NAMES[targetLanguage] || 'English';
+  
+  console.log(`🌍 Translating recipe to ${targetLangName}`);
+  
+  const response = await callAnthropic({
+    model: 'claude-haiku-4-5-20251001', // Haiku is cheap and fast for translation
+    max_tokens: 3000,
+    messages: [{
+      role: 'user',
+      content: `Translate this recipe to ${targetLangName}. Keep the same JSON structure, translate ALL text values (title, description, ingredients, section names, instructions, tips, category, cuisine, keywords). Keep JSON keys in English. Keep measurements with dual units. Return ONLY valid JSON, no explanation.
+
+RECIPE:
+${JSON.stringify(recipeForPrompt(structureRecipe(recipe)))}
+
+IMPORTANT:
+- Translate title, description, all ingredients, section names, all step instructions, all tips
+- Keep ingredient ids and each step's ingredientIds unchanged
+- Keep source, sourceUrl, author unchanged
+- Keep imageUrl unchanged
+- Keep numeric values (servings, etc) unchanged
+- Return complete valid JSON`
+    }]
+  }, spendContext);
+  
+  let text = response.content?.map(c => c.text || '').join('') || '';
+  text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const match = text.match(/\{[\s\S]*\}/);
+  
+  if (!match) {
+    throw new Error('No valid JSON in response');
+  }
+  
+  const translatedRecipe = JSON.parse(match[0]);
+  
+  // Preserve fields that shouldn't change
+  translatedRecipe.source = recipe.source;
+  translatedRecipe.sourceUrl = recipe.sourceUrl;
+  translatedRecipe.imageUrl = recipe.imageUrl;
+  
+  console.log(`✅ Recipe translated to ${targetLangName}`);
+  return withRecipeData(translatedRecipe, recipe);
+}
+
+app.post('/api/recipe/translate', async (req, res) => {
+  const { recipe, targetLanguage } = req.body;
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  
+  try {
+    const session = await validateSession(token);
+    
+    // Check if user is paid
+    if (!session || !['basic', 'pro'].includes(session.subscription)) {
+      return res.status(402).json({ 
+        error: 'upgrade_required', 
+        message: 'Upgrade to translate recipes into any language' 
+      });
+    }
+    
+    const translatedRecipe = await translateRecipe(recipe, targetLanguage, { endpoint: '/api/recipe/translate', userId: session.user_id });
+    res.json({ recipe: translatedRecipe });
+    
+  } catch (err) {
+    console.error('Translation error:', err);
+    res.status(500).json({ error: 'Failed to translate recipe' });
+  }
+});
+
+// =============================================================================
+// RECIPE SCALING
+// =============================================================================
+app.post('/api/recipe/scale', async (req, res) => {
+  const { recipeId, servings, multiplier } = req.body;
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  
+  try {
+    let recipe = req.body.recipe;
+    if (recipeId) {
+      const session = await validateSession(token);
+      if (!session) return res.status(401).json({ error: 'Not authenticated' });
+      
+      const id = parseId(recipeId);
+      if (!id) return res.status(404).json({ error: 'Recipe not found' });
+      const result = await pool.query(
+        'SELECT * FROM saved_recipes WHERE id = $1 AND user_id = $2',
+        [id, session.user_id]
+      );
+      if (!result.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+      recipe = savedRecipeFromRow(result.rows[0]);
+    }
+    if (!recipe) return res.status(400).json({ error: 'Recipe or recipeId required' });
+    
+    const baseServings = parseFloat(recipe.servings) || 4;
+    const factor = multiplier != null ? parseFloat(multiplier) : parseFloat(servings) / baseServings;
+    if (!isFinite(factor) || factor < CONFIG.MIN_SCALE_MULTIPLIER || factor > CONFIG.MAX_SCALE_MULTIPLIER) {
+      return res.status(400).json({ 
+        error: `Provide servings or a multiplier between ${CONFIG.MIN_SCALE_MULTIPLIER} and ${CONFIG.MAX_SCALE_MULTIPLIER}` 
+      });
+    }
+    
+    const scaled = scaleRecipe(recipe, factor, { region: regionForUrl(recipe.sourceUrl) });
+    if (multiplier == null) scaled.servings = Math.max(1, Math.round(parseFloat(servings)));
+    
+    res.json({ recipe: scaled, multiplier: factor });
+  } catch (err) {
+    console.error('Scale error:', err);
+    res.status(500).json({ error: 'Failed to scale recipe' });
+  }
+});
+
+// =============================================================================
+// SAVED RECIPES
+// =============================================================================
+function savedRecipeFromRow(r) {
+  const recipe = {
+    id: r.id,
+    title: r.title,
+    description: r.description,
     servings: r.servings,
+    yield: r.recipe_yield,
     prepTime: r.prep_time,
     cookTime: r.cook_time,
+    totalTime: r.total_time,
+    // NUMERIC comes back from pg as a string
+    prepTimeMinutes: r.prep_time_minutes == null ? null : Number(r.prep_time_minutes),
+    cookTimeMinutes: r.cook_time_minutes == null ? null : Number(r.cook_time_minutes),
+    totalTimeMinutes: r.total_time_minutes == null ? null : Number(r.total_time_minutes),
     imageUrl: r.image_url,
     ingredients: r.ingredients,
+    ingredientItems: r.ingredient_items,
     steps: r.steps,
     tips: r.tips,
     source: r.source,
     sourceUrl: r.source_url,
     author: r.author,
-    savedAt: r.saved_at
-  }));
+    category: r.category || [],
+    cuisine: r.cuisine || [],
+    keywords: r.keywords || [],
+    suitableForDiet: r.suitable_for_diet || [],
+    nutrition: r.nutrition,
+    video: r.video,
+    aggregateRating: r.aggregate_rating,
+    notes: r.notes,
+    tags: r.tags || [],
+    revision: r.revision ?? 0,
+    savedAt: r.saved_at,
+    updatedAt: r.updated_at
+  };
+  // Recipes saved before ingredients were structured get parsed on the way out
+  return structureRecipe(recipe);
+}
+
+// Column values for a recipe, shared by insert and update
+function savedRecipeColumns(recipe) {
+  const json = (value) => (value == null ? null : JSON.stringify(value));
+  return {
+    title: recipe.title,
+    servings: recipe.servings,
+    prep_time: recipe.prepTime,
+    cook_time: recipe.cookTime,
+    image_url: recipe.imageUrl,
+    ingredients: JSON.stringify(recipe.ingredients),
+    ingredient_items: JSON.stringify(recipe.ingredientItems),
+    steps: JSON.stringify(recipe.steps),
+    tips: JSON.stringify(recipe.tips),
+    source: recipe.source,
+    source_url: recipe.sourceUrl,
+    author: recipe.author,
+    description: recipe.description || null,
+    recipe_yield: recipe.yield || null,
+    total_time: recipe.totalTime || null,
+    prep_time_minutes: recipe.prepTimeMinutes ?? null,
+    cook_time_minutes: recipe.cookTimeMinutes ?? null,
+    total_time_minutes: recipe.totalTimeMinutes ?? null,
+    nutrition: json(recipe.nutrition),
+    category: json(recipe.category),
+    cuisine: json(recipe.cuisine),
+    keywords: json(recipe.keywords),
+    suitable_for_diet: json(recipe.suitableForDiet),
+    video: json(recipe.video),
+    aggregate_rating: json(recipe.aggregateRating),
+    notes: recipe.notes || null,
+  };
+}
+
+// The recipe as stored in a revision: no row ids or timestamps
+function recipeSnapshot(recipe) {
+  const { id, savedAt, updatedAt, revision, tags, ...snapshot } = recipe;
+  return snapshot;
+}
+
+async function insertRevision(client, recipeId, revision, recipe, { changedFields = null, restoredFrom = null } = {}) {
+  await client.query(
+    `INSERT INTO saved_recipe_revisions (recipe_id, revision, recipe, changed_fields, restored_from)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [recipeId, revision, JSON.stringify(recipeSnapshot(recipe)), changedFields && JSON.stringify(changedFields), restoredFrom]
+  );
+}
+
+// Insert a structured recipe into saved_recipes, returning the new row id. The
+// recipe as saved becomes revision 0. Source and image URLs that aren't
+// http(s) are dropped: they end up as links on the public share page.
+async function insertSavedRecipe(userId, recipe) {
+  recipe = { ...recipe, sourceUrl: httpUrl(recipe.sourceUrl), imageUrl: httpUrl(recipe.imageUrl) };
+  const columns = savedRecipeColumns(recipe);
+  const names = Object.keys(columns);
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO saved_recipes (user_id, ${names.join(', ')})
+       VALUES ($1, ${names.map((_, i) => `$${i + 2}`).join(', ')})
+       RETURNING id`,
+      [userId, ...Object.values(columns)]
+    );
+    const id = result.rows[0].id;
+    await insertRevision(client, id, 0, recipe);
+    return id;
+  });
+}
+
+app.get('/api/recipes/saved', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    // Older clients don't page and get everything
+    if (req.query.limit === undefined && req.query.cursor === undefined) {
+      const result = await pool.query(
+        'SELECT * FROM saved_recipes WHERE user_id = $1 ORDER BY saved_at DESC',
+        [session.user_id]
+      );
+      
+      const recipes = result.rows.map(savedRecipeFromRow);
+      
+      return res.json({ recipes });
+    }
+    
+    if (req.query.cursor && !decodeCursor(req.query.cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+    const { q, ...filters } = req.query;
+    const page = await findSavedRecipes(session.user_id, { ...filters, limit: pageSize(req.query.limit) });
+    res.json(page);
+  } catch (err) {
+    console.error('Saved recipes error:', err);
+    res.status(500).json({ error: 'Failed to load saved recipes.' });
+  }
+});
+
+app.post('/api/recipes/save', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const { recipe } = req.body;
+  if (!recipe || typeof recipe !== 'object' || typeof recipe.title !== 'string' || !recipe.title.trim() || !Array.isArray(recipe.ingredients)) {
+    return res.status(400).json({ error: 'A recipe with a title and ingredients is required.' });
+  }
+  
+  try {
+    const id = await insertSavedRecipe(session.user_id, structureRecipe(recipe));
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Save recipe error:', err);
+    res.status(500).json({ error: 'Failed to save recipe.' });
+  }
+});
+
+app.delete('/api/recipes/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  await pool.query('DELETE FROM saved_recipes WHERE id = $1 AND user_id = $2', [req.params.id, session.user_id]);
+  res.json({ success: true });
+});
+
+// =============================================================================
+// FINDING SAVED RECIPES
+// =============================================================================
+// Listing and search share one query builder. Pages are keyed by a cursor
+// (the last row's sort key and id) rather than an offset, so recipes saved
+// while paging don't shift the results.
+
+const encodeCursor = (key, id) => Buffer.from(JSON.stringify([key, id])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return typeof key === 'string' && Number.isInteger(id) ? { key, id } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 50);
+
+// Filters: q (full-text), source, maxTime (minutes), tag, collection
+async function findSavedRecipes(userId, { q, source, maxTime, tag, collection, cursor, limit }) {
+  const params = [userId];
+  const param = (value) => `$${params.push(value)}`;
+  const where = ['s.user_id = $1'];
+  
+  const query = typeof q === 'string' && q.trim() ? q.trim().slice(0, 200) : null;
+  const rank = query ? `ts_rank(s.search_vector, websearch_to_tsquery('english', ${param(query)}))` : null;
+  if (query) where.push(`s.search_vector @@ websearch_to_tsquery('english', $${params.length})`);
+  if (source) where.push(`s.source = ${param(String(source).replace(/^www\./, ''))}`);
+  if (parseFloat(maxTime) > 0) {
+    where.push(`COALESCE(s.total_time_minutes, s.prep_time_minutes + s.cook_time_minutes) <= ${param(parseFloat(maxTime))}`);
+  }
+  if (tag) where.push(`${param(normalizeTag(tag))} = ANY(s.tags)`);
+  if (collection) {
+    where.push(`EXISTS (SELECT 1 FROM recipe_collection_items ci WHERE ci.recipe_id = s.id AND ci.collection_id = ${param(parseId(collection) || 0)})`);
+  }
+  
+  // Search pages by relevance, listing by newest first
+  const sortKey = rank ? `(${rank})::real` : 's.saved_at';
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (after) {
+    where.push(`(${sortKey}, s.id) < (${param(after.key)}::${rank ? 'real' : 'timestamptz'}, ${param(after.id)})`);
+  }
+  
+  const result = await pool.query(
+    `SELECT s.*, (${sortKey})::text AS sort_key FROM saved_recipes s
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${sortKey} DESC, s.id DESC
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+  
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    recipes: rows.map(savedRecipeFromRow),
+    nextCursor: result.rows.length > limit ? encodeCursor(last.sort_key, last.id) : null,
+  };
+}
+
+function pageSize(limit) {
+  const n = parseInt(limit);
+  return Math.min(CONFIG.SAVED_RECIPES_MAX_PAGE_SIZE, n > 0 ? n : CONFIG.SAVED_RECIPES_PAGE_SIZE);
+}
+
+app.get('/api/recipes/search', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  if (req.query.cursor && !decodeCursor(req.query.cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+  
+  try {
+    const page = await findSavedRecipes(session.user_id, { ...req.query, limit: pageSize(req.query.limit) });
+    res.json(page);
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({ error: 'Search failed.' });
+  }
+});
+
+// Every tag the user has used, most used first
+app.get('/api/recipes/tags', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const result = await pool.query(
+      `SELECT tag, COUNT(*)::int AS count FROM saved_recipes, unnest(tags) AS tag
+       WHERE user_id = $1 GROUP BY tag ORDER BY count DESC, tag`,
+      [session.user_id]
+    );
+    res.json({ tags: result.rows });
+  } catch (err) {
+    console.error('Tag error:', err);
+    res.status(500).json({ error: 'Failed to load tags.' });
+  }
+});
+
+// Replace a recipe's tags. Tags aren't part of the recipe, so no new revision.
+app.put('/api/recipes/:id/tags', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const { tags } = req.body;
+  if (!Array.isArray(tags) || tags.length > CONFIG.MAX_TAGS_PER_RECIPE) {
+    return res.status(400).json({ error: `Tags must be a list of at most ${CONFIG.MAX_TAGS_PER_RECIPE}.` });
+  }
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Recipe not found' });
+  
+  try {
+    const result = await pool.query(
+      'UPDATE saved_recipes SET tags = $3 WHERE id = $1 AND user_id = $2 RETURNING tags',
+      [id, session.user_id, normalized]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    res.json({ tags: result.rows[0].tags });
+  } catch (err) {
+    console.error('Tag error:', err);
+    res.status(500).json({ error: 'Failed to update tags.' });
+  }
+});
+
+// =============================================================================
+// COLLECTIONS
+// =============================================================================
+function collectionFromRow(r) {
+  return {
+    id: r.id,
+    name: r.name,
+    description: r.description,
+    recipeCount: r.recipe_count ?? 0,
+    createdAt: r.created_at,
+  };
+}
+
+app.get('/api/collections', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const result = await pool.query(
+      `SELECT c.*, COUNT(ci.recipe_id)::int AS recipe_count FROM recipe_collections c
+       LEFT JOIN recipe_collection_items ci ON ci.collection_id = c.id
+       WHERE c.user_id = $1 GROUP BY c.id ORDER BY c.name`,
+      [session.user_id]
+    );
+    res.json({ collections: result.rows.map(collectionFromRow) });
+  } catch (err) {
+    console.error('Collection error:', err);
+    res.status(500).json({ error: 'Failed to load collections.' });
+  }
+});
+
+app.post('/api/collections', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const name = String(req.body.name || '').trim().slice(0, 100);
+  if (!name) return res.status(400).json({ error: 'Collection name required' });
+  
+  try {
+    const result = await pool.query(
+      'INSERT INTO recipe_collections (user_id, name, description) VALUES ($1, $2, $3) RETURNING *',
+      [session.user_id, name, req.body.description || null]
+    );
+    res.json({ collection: collectionFromRow(result.rows[0]) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'You already have a collection with that name' });
+    console.error('Collection error:', err);
+    res.status(500).json({ error: 'Failed to create collection.' });
+  }
+});
+
+app.patch('/api/collections/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const name = req.body.name !== undefined ? String(req.body.name).trim().slice(0, 100) : null;
+  if (name === '') return res.status(400).json({ error: 'Collection name required' });
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Collection not found' });
+  
+  try {
+    const result = await pool.query(
+      `UPDATE recipe_collections SET name = COALESCE($3, name),
+         description = CASE WHEN $4 THEN $5 ELSE description END
+       WHERE id = $1 AND user_id = $2 RETURNING *`,
+      [id, session.user_id, name, req.body.description !== undefined, req.body.description || null]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ collection: collectionFromRow(result.rows[0]) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'You already have a collection with that name' });
+    console.error('Collection error:', err);
+    res.status(500).json({ error: 'Failed to update collection.' });
+  }
+});
+
+// Deleting a collection leaves its recipes saved
+app.delete('/api/collections/:id', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const id = parseId(req.params.id);
+    const result = id && await pool.query('DELETE FROM recipe_collections WHERE id = $1 AND user_id = $2', [id, session.user_id]);
+    if (!result?.rowCount) return res.status(404).json({ error: 'Collection not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Collection error:', err);
+    res.status(500).json({ error: 'Failed to delete collection.' });
+  }
+});
+
+app.post('/api/collections/:id/recipes', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const id = parseId(req.params.id);
+  const recipeId = parseId(req.body.recipeId);
+  if (!recipeId) return res.status(400).json({ error: 'recipeId must be a recipe id' });
+  if (!id) return res.status(404).json({ error: 'Collection or recipe not found' });
+  
+  try {
+    // Both the collection and the recipe have to be the user's
+    const result = await pool.query(
+      `INSERT INTO recipe_collection_items (collection_id, recipe_id)
+       SELECT c.id, s.id FROM recipe_collections c, saved_recipes s
+       WHERE c.id = $1 AND c.user_id = $3 AND s.id = $2 AND s.user_id = $3
+       ON CONFLICT DO NOTHING
+       RETURNING recipe_id`,
+      [id, recipeId, session.user_id]
+    );
+    if (!result.rows[0]) {
+      const exists = await pool.query(
+        'SELECT 1 FROM recipe_collection_items ci JOIN recipe_collections c ON c.id = ci.collection_id WHERE ci.collection_id = $1 AND ci.recipe_id = $2 AND c.user_id = $3',
+        [id, recipeId, session.user_id]
+      );
+      if (!exists.rows[0]) return res.status(404).json({ error: 'Collection or recipe not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Collection error:', err);
+    res.status(500).json({ error: 'Failed to add recipe to collection.' });
+  }
+});
+
+app.delete('/api/collections/:id/recipes/:recipeId', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const id = parseId(req.params.id);
+    const recipeId = parseId(req.params.recipeId);
+    const result = id && recipeId && await pool.query(
+      `DELETE FROM recipe_collection_items ci USING recipe_collections c
+       WHERE c.id = ci.collection_id AND ci.collection_id = $1 AND ci.recipe_id = $2 AND c.user_id = $3`,
+      [id, recipeId, session.user_id]
+    );
+    if (!result?.rowCount) return res.status(404).json({ error: 'Collection or recipe not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Collection error:', err);
+    res.status(500).json({ error: 'Failed to remove recipe from collection.' });
+  }
+});
+
+// =============================================================================
+// RECIPE EDITS & REVISIONS
+// =============================================================================
+// Every edit to a saved recipe stores the whole recipe as a new revision.
+// Revision 0 is the recipe as it was first saved; saved_recipes.revision is
+// the number of the current one.
+
+// Fields a PATCH may change, with the type each must have
+const EDITABLE_FIELDS = {
+  title: 'string', description: 'string', servings: 'number', yield: 'string',
+  prepTime: 'string', cookTime: 'string', totalTime: 'string',
+  prepTimeMinutes: 'number', cookTimeMinutes: 'number', totalTimeMinutes: 'number',
+  imageUrl: 'string', source: 'string', sourceUrl: 'string', author: 'string', notes: 'string',
+  ingredients: 'array', ingredientItems: 'array', steps: 'array', tips: 'array',
+  category: 'array', cuisine: 'array', keywords: 'array', suitableForDiet: 'array', nutrition: 'object',
+};
+
+function validateEdits(edits) {
+  if (!edits || typeof edits !== 'object' || Array.isArray(edits)) return 'Expected an object of fields to change.';
+  for (const [key, value] of Object.entries(edits)) {
+    const type = EDITABLE_FIELDS[key];
+    if (!type) return `Field "${key}" cannot be edited.`;
+    if (value === null && !['title', 'ingredients', 'steps'].includes(key)) continue;
+    const ok = type === 'array' ? Array.isArray(value)
+      : type === 'object' ? typeof value === 'object' && !Array.isArray(value)
+      : typeof value === type;
+    if (!ok) return `Field "${key}" must be ${type === 'array' ? 'an array' : `a ${type}`}.`;
+  }
+  if (edits.servings !== undefined && edits.servings !== null && !(edits.servings > 0)) return 'Servings must be positive.';
+  if (typeof edits.title === 'string' && !edits.title.trim()) return 'Title cannot be empty.';
+  for (const key of ['sourceUrl', 'imageUrl']) {
+    if (typeof edits[key] === 'string' && edits[key].trim() && !httpUrl(edits[key])) return `Field "${key}" must be an http(s) URL.`;
+  }
+  return null;
+}
+
+// Recipes saved before revisions existed get their current state as revision 0
+async function ensureRevisionZero(client, row) {
+  await client.query(
+    `INSERT INTO saved_recipe_revisions (recipe_id, revision, recipe)
+     SELECT $1, 0, $2 WHERE NOT EXISTS (SELECT 1 FROM saved_recipe_revisions WHERE recipe_id = $1)`,
+    [row.id, JSON.stringify(recipeSnapshot(savedRecipeFromRow(row)))]
+  );
+}
+
+// Apply `edits` to the user's recipe and record the result as a new revision.
+// Returns null when the recipe doesn't exist or isn't theirs.
+async function editSavedRecipe(userId, recipeId, edits, { restoredFrom = null } = {}) {
+  return withTransaction(async (client) => {
+    const found = await client.query(
+      'SELECT * FROM saved_recipes WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [recipeId, userId]
+    );
+    const row = found.rows[0];
+    if (!row) return null;
+    await ensureRevisionZero(client, row);
+    
+    const current = savedRecipeFromRow(row);
+    const updated = structureRecipe({ ...current, ...edits });
+    const changed = changedFields(recipeSnapshot(current), recipeSnapshot(updated));
+    if (!changed.length) return { recipe: current, revision: row.revision, changed };
+    
+    const revision = row.revision + 1;
+    const columns = savedRecipeColumns(updated);
+    const names = Object.keys(columns);
+    const result = await client.query(
+      `UPDATE saved_recipes SET ${names.map((name, i) => `${name} = $${i + 2}`).join(', ')},
+         revision = $${names.length + 2}, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [recipeId, ...Object.values(columns), revision]
+    );
+    await insertRevision(client, recipeId, revision, updated, { changedFields: changed, restoredFrom });
+    return { recipe: savedRecipeFromRow(result.rows[0]), revision, changed };
+  });
+}
+
+// Revision numbers start at 0, so parseId won't do
+function parseRevision(value) {
+  const revision = /^\d{1,10}$/.test(String(value ?? '')) ? Number(value) : -1;
+  return revision >= 0 && revision <= 2147483647 ? revision : null;
+}
+
+async function getRevision(userId, recipeId, revision) {
+  if (!Number.isInteger(revision)) return null;
+  const result = await pool.query(
+    `SELECT r.* FROM saved_recipe_revisions r
+     JOIN saved_recipes s ON s.id = r.recipe_id
+     WHERE r.recipe_id = $1 AND s.user_id = $2 AND r.revision = $3`,
+    [recipeId, userId, revision]
+  );
+  return result.rows[0] || null;
+}
+
+const editRecipeHandler = async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  const edits = req.body.recipe || req.body;
+  const invalid = validateEdits(edits);
+  if (invalid) return res.status(400).json({ error: invalid });
+  
+  try {
+    const edited = await editSavedRecipe(session.user_id, recipeId, edits);
+    if (!edited) return res.status(404).json({ error: 'Recipe not found' });
+    res.json(edited);
+  } catch (err) {
+    console.error('Recipe edit error:', err);
+    res.status(500).json({ error: 'Failed to update recipe.' });
+  }
+};
+
+// Both take partial updates: only the fields sent change
+app.patch('/api/recipes/:id', editRecipeHandler);
+app.put('/api/recipes/:id', editRecipeHandler);
+
+app.get('/api/recipes/:id/revisions', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  try {
+    const owned = await pool.query('SELECT * FROM saved_recipes WHERE id = $1 AND user_id = $2', [recipeId, session.user_id]);
+    if (!owned.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    await ensureRevisionZero(pool, owned.rows[0]);
+    
+    const result = await pool.query(
+      `SELECT revision, changed_fields, restored_from, created_at FROM saved_recipe_revisions
+       WHERE recipe_id = $1 ORDER BY revision DESC`,
+      [recipeId]
+    );
+    res.json({
+      current: owned.rows[0].revision,
+      revisions: result.rows.map(r => ({
+        revision: r.revision,
+        changedFields: r.changed_fields || [],
+        restoredFrom: r.restored_from,
+        createdAt: r.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error('Revisions error:', err);
+    res.status(500).json({ error: 'Failed to load revisions.' });
+  }
+});
+
+app.get('/api/recipes/:id/revisions/:revision', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  try {
+    const revision = await getRevision(session.user_id, recipeId, parseRevision(req.params.revision));
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json({ revision: revision.revision, createdAt: revision.created_at, recipe: revision.recipe });
+  } catch (err) {
+    console.error('Revision error:', err);
+    res.status(500).json({ error: 'Failed to load revision.' });
+  }
+});
+
+// ?from=0&to=3; `to` defaults to the current revision, `from` to the one before it
+app.get('/api/recipes/:id/diff', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  try {
+    const owned = await pool.query('SELECT * FROM saved_recipes WHERE id = $1 AND user_id = $2', [recipeId, session.user_id]);
+    if (!owned.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    await ensureRevisionZero(pool, owned.rows[0]);
+    
+    const to = req.query.to !== undefined ? parseRevision(req.query.to) : owned.rows[0].revision;
+    const from = req.query.from !== undefined ? parseRevision(req.query.from) : Math.max(0, to - 1);
+    if (to === null || from === null) return res.status(404).json({ error: 'Revision not found' });
+    const [a, b] = await Promise.all([
+      getRevision(session.user_id, recipeId, from),
+      getRevision(session.user_id, recipeId, to),
+    ]);
+    if (!a || !b) return res.status(404).json({ error: 'Revision not found' });
+    res.json({ from, to, diff: diffRecipes(a.recipe, b.recipe) });
+  } catch (err) {
+    console.error('Diff error:', err);
+    res.status(500).json({ error: 'Failed to diff revisions.' });
+  }
+});
+
+// Restoring doesn't rewrite history: the old version comes back as a new revision
+app.post('/api/recipes/:id/revisions/:revision/restore', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  try {
+    const target = await getRevision(session.user_id, recipeId, parseRevision(req.params.revision));
+    if (!target) return res.status(404).json({ error: 'Revision not found' });
+    
+    // Fields added after the old revision was taken are cleared, not kept
+    const cleared = Object.fromEntries(Object.keys(EDITABLE_FIELDS).map(key => [key, null]));
+    const edited = await editSavedRecipe(session.user_id, recipeId, { ...cleared, ...target.recipe }, { restoredFrom: target.revision });
+    if (!edited) return res.status(404).json({ error: 'Recipe not found' });
+    res.json(edited);
+  } catch (err) {
+    console.error('Restore error:', err);
+    res.status(500).json({ error: 'Failed to restore revision.' });
+  }
+});
+
+// =============================================================================
+// RECIPE EXPORT
+// =============================================================================
+// One recipe or the whole library as JSON-LD, Markdown, text, printable HTML
+// or a Paprika archive. Library exports are written a page of rows at a time,
+// so big libraries start downloading straight away. Browsers follow download
+// links without headers, so a link can carry ?exportToken= instead: it is
+// used up by the one download and lasts EXPORT_TOKEN_TTL_SECONDS, so the
+// session token never ends up in a URL.
+const EXPORT_PAGE_SIZE = 100;
+
+// The user behind the Authorization header or an export token
+async function exportUserId(req) {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  if (token) return (await validateSession(token))?.user_id ?? null;
+  return (await consumeAuthToken(req.query.exportToken, 'export'))?.user_id ?? null;
+}
+
+// ?format=, with "pdf" meaning the print layout
+function exportFormat(value) {
+  const name = value === 'pdf' ? 'html' : value || 'jsonld';
+  return EXPORT_FORMATS[name] ? { name, ...EXPORT_FORMATS[name] } : null;
+}
+
+function sendDownloadHeaders(res, format, filename) {
+  res.setHeader('Content-Type', format.contentType);
+  // Printable pages open in the browser; everything else downloads
+  const disposition = format.name === 'html' ? 'inline' : 'attachment';
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename}.${format.extension}"`);
+}
+
+// Write and wait for the socket to drain, so a slow client doesn't buffer the library in memory
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+app.post('/api/recipes/export-token', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  try {
+    const exportToken = crypto.randomBytes(32).toString('base64url');
+    await pool.query(
+      `INSERT INTO auth_tokens (token_hash, user_id, purpose, email, expires_at)
+       VALUES ($1, $2, 'export', $3, NOW() + make_interval(secs => $4))`,
+      [hashToken(exportToken), session.user_id, session.email, CONFIG.EXPORT_TOKEN_TTL_SECONDS]
+    );
+    res.json({ exportToken, expiresIn: CONFIG.EXPORT_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    console.error('Export token error:', err);
+    res.status(500).json({ error: 'Failed to create export token.' });
+  }
+});
+
+app.get('/api/recipes/export', async (req, res) => {
+  const userId = await exportUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const format = exportFormat(req.query.format);
+  if (!format) return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}, pdf` });
+  
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  try {
+    sendDownloadHeaders(res, format, `mise-recipes-${new Date().toISOString().slice(0, 10)}`);
+    const zip = format.archive ? createZipWriter(chunk => res.write(chunk)) : null;
+    const names = new Set();
+    let count = 0;
+    if (!zip) await writeChunk(res, format.start);
+    
+    // Keyset pages by id; OFFSET would rescan the library for every page
+    for (let lastId = 0; !closed;) {
+      const result = await pool.query(
+        'SELECT * FROM saved_recipes WHERE user_id = $1 AND id > $2 ORDER BY id LIMIT $3',
+        [userId, lastId, EXPORT_PAGE_SIZE]
+      );
+      for (const row of result.rows) {
+        const recipe = savedRecipeFromRow(row);
+        if (zip) {
+          // Names must be unique inside the archive
+          let name = slugify(recipe.title);
+          if (names.has(name)) name = `${name}-${recipe.id}`;
+          names.add(name);
+          zip.add(`${name}.paprikarecipe`, toPaprika(recipe));
+          if (res.writableNeedDrain) await once(res, 'drain');
+        } else {
+          await writeChunk(res, (count ? format.separator : '') + format.item(recipe));
+        }
+        count++;
+      }
+      if (result.rows.length < EXPORT_PAGE_SIZE) break;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+    
+    if (closed) return;
+    if (zip) zip.finish();
+    else res.write(format.end);
+    res.end();
+  } catch (err) {
+    console.error('Export error:', err);
+    // Once the body has started the status can't change, so cut the download short
+    if (res.headersSent) return res.destroy(err);
+    res.removeHeader('Content-Disposition');
+    res.status(500).type('json').json({ error: 'Failed to export recipes.' });
+  }
+});
+
+app.get('/api/recipes/:id/export', async (req, res) => {
+  const userId = await exportUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  const format = exportFormat(req.query.format);
+  if (!format) return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}, pdf` });
+  
+  try {
+    const result = await pool.query(
+      'SELECT * FROM saved_recipes WHERE id = $1 AND user_id = $2',
+      [recipeId, userId]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    const recipe = savedRecipeFromRow(result.rows[0]);
+    
+    sendDownloadHeaders(res, format, slugify(recipe.title));
+    if (format.archive) {
+      const chunks = [];
+      const zip = createZipWriter(chunk => chunks.push(chunk));
+      zip.add(`${slugify(recipe.title)}.paprikarecipe`, toPaprika(recipe));
+      zip.finish();
+      return res.send(Buffer.concat(chunks));
+    }
+    res.send(format.render(recipe));
+  } catch (err) {
+    console.error('Export error:', err);
+    res.status(500).json({ error: 'Failed to export recipe.' });
+  }
+});
+
+// =============================================================================
+// SHARE LINKS
+// =============================================================================
+// Owners create links to a saved recipe that work without an account. The
+// public routes never show the owner's notes or tags. Expired and revoked
+// links answer 410 so the client can say why.
+function shareFromRow(r, req) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    token: r.token,
+    url: `${base}/share/${r.token}`,
+    recipeId: r.recipe_id,
+    expiresAt: r.expires_at,
+    revokedAt: r.revoked_at,
+    viewCount: r.view_count ?? 0,
+    createdAt: r.created_at,
+  };
+}
+
+// The recipe as a stranger sees it
+function publicRecipe(recipe) {
+  const { notes, ...rest } = recipeSnapshot(recipe);
+  return rest;
+}
+
+// Load the shared recipe behind a token: { recipe, share } or { status, error }
+async function loadSharedRecipe(token) {
+  if (typeof token !== 'string' || !/^[\w-]{16,64}$/.test(token)) return { status: 404, error: 'Share link not found' };
+  const result = await pool.query(
+    `SELECT s.*, sh.token AS share_token, sh.expires_at AS share_expires_at, sh.revoked_at AS share_revoked_at
+     FROM recipe_shares sh JOIN saved_recipes s ON s.id = sh.recipe_id WHERE sh.token = $1`,
+    [token]
+  );
+  const row = result.rows[0];
+  if (!row) return { status: 404, error: 'Share link not found' };
+  if (row.share_revoked_at) return { status: 410, error: 'This recipe is no longer shared' };
+  if (row.share_expires_at && new Date(row.share_expires_at) <= new Date()) return { status: 410, error: 'This share link has expired' };
+  return { recipe: savedRecipeFromRow(row), ownerId: row.user_id };
+}
+
+app.post('/api/recipes/:id/shares', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  // Expiry as a number of days or an absolute time; none means it never expires
+  let expiresAt = null;
+  if (req.body.expiresInDays != null) {
+    const days = parseFloat(req.body.expiresInDays);
+    if (!(days > 0 && days <= CONFIG.SHARE_MAX_EXPIRY_DAYS)) {
+      return res.status(400).json({ error: `expiresInDays must be between 0 and ${CONFIG.SHARE_MAX_EXPIRY_DAYS}` });
+    }
+    expiresAt = new Date(Date.now() + days * 86400000);
+  } else if (req.body.expiresAt != null) {
+    expiresAt = new Date(req.body.expiresAt);
+    if (isNaN(expiresAt) || expiresAt <= new Date()) return res.status(400).json({ error: 'expiresAt must be a future date' });
+  }
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  
+  try {
+    const result = await pool.query(
+      `INSERT INTO recipe_shares (token, recipe_id, user_id, expires_at)
+       SELECT $1, id, user_id, $4 FROM saved_recipes WHERE id = $2 AND user_id = $3
+       RETURNING *`,
+      [crypto.randomBytes(18).toString('base64url'), recipeId, session.user_id, expiresAt]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    res.json({ share: shareFromRow(result.rows[0], req) });
+  } catch (err) {
+    console.error('Share error:', err);
+    res.status(500).json({ error: 'Failed to create share link.' });
+  }
+});
+
+app.get('/api/recipes/:id/shares', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) return res.json({ shares: [] });
+    const result = await pool.query(
+      `SELECT * FROM recipe_shares WHERE recipe_id = $1 AND user_id = $2 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY created_at DESC`,
+      [recipeId, session.user_id]
+    );
+    res.json({ shares: result.rows.map(r => shareFromRow(r, req)) });
+  } catch (err) {
+    console.error('Share error:', err);
+    res.status(500).json({ error: 'Failed to load share links.' });
+  }
+});
+
+// Revoking keeps the row, so the public route can answer 410 rather than 404
+app.delete('/api/recipes/:id/shares/:token', async (req, res) => {
+  try {
+    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const recipeId = parseId(req.params.id);
+    const result = recipeId && await pool.query(
+      `UPDATE recipe_shares SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE token = $1 AND recipe_id = $2 AND user_id = $3 RETURNING token`,
+      [req.params.token, recipeId, session.user_id]
+    );
+    if (!result?.rows[0]) return res.status(404).json({ error: 'Share link not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Share error:', err);
+    res.status(500).json({ error: 'Failed to revoke share link.' });
+  }
+});
+
+// Public. HTML for browsers and link previews, JSON when asked for
+// (Accept: application/json or ?format=json).
+app.get('/share/:token', async (req, res) => {
+  try {
+    const shared = await loadSharedRecipe(req.params.token);
+    const wantsJson = req.query.format === 'json' || req.accepts(['html', 'json']) === 'json';
+    if (!shared.recipe) {
+      if (wantsJson) return res.status(shared.status).json({ error: shared.error });
+      return res.status(shared.status).type('html').send(printHtmlHead(shared.error) + `<p>${shared.error}.</p>` + PRINT_HTML_TAIL);
+    }
+    
+    pool.query('UPDATE recipe_shares SET view_count = view_count + 1, last_viewed_at = NOW() WHERE token = $1', [req.params.token])
+      .catch(err => console.error('Share view count error:', err));
+    const recipe = publicRecipe(shared.recipe);
+    // Not cached, so revoking takes effect straight away
+    res.setHeader('Cache-Control', 'no-cache');
+    res.vary('Accept');
+    if (wantsJson) return res.json({ recipe });
+    const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    res.type('html').send(toSharePage(recipe, { url: `${base}/share/${req.params.token}` }));
+  } catch (err) {
+    console.error('Shared recipe error:', err);
+    res.status(500).json({ error: 'Failed to load shared recipe.' });
+  }
+});
+
+app.get('/api/shared/:token', async (req, res) => {
+  try {
+    const shared = await loadSharedRecipe(req.params.token);
+    if (!shared.recipe) return res.status(shared.status).json({ error: shared.error });
+    res.json({ recipe: publicRecipe(shared.recipe) });
+  } catch (err) {
+    console.error('Shared recipe error:', err);
+    res.status(500).json({ error: 'Failed to load shared recipe.' });
+  }
+});
+
+// Copy a shared recipe into the signed-in user's library
+app.post('/api/shared/:token/save', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  try {
+    const shared = await loadSharedRecipe(req.params.token);
+    if (!shared.recipe) return res.status(shared.status).json({ error: shared.error });
+    if (shared.ownerId === session.user_id) {
+      return res.status(409).json({ error: 'This recipe is already in your library', id: shared.recipe.id });
+    }
+    const id = await insertSavedRecipe(session.user_id, publicRecipe(shared.recipe));
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Shared recipe save error:', err);
+    res.status(500).json({ error: 'Failed to save recipe.' });
+  }
+});
+
+// =============================================================================
+// HOUSEHOLDS
+// =============================================================================
+// A Basic or Pro owner invites members by link. Members share the owner's plan
+// (see applyHouseholdPlan) and a library of recipes they've shared from their
+// own; billing stays on the owner's Stripe customer. Leaving or being removed
+// takes a member's shared recipes out of the library with them.
+
+async function householdView(session) {
+  if (!session.household_id) return null;
+  const household = await pool.query('SELECT * FROM households WHERE id = $1', [session.household_id]);
+  const members = await pool.query(
+    `SELECT m.user_id, m.role, m.joined_at, u.email FROM household_members m
+     JOIN users u ON u.id = m.user_id WHERE m.household_id = $1 ORDER BY m.role = 'owner' DESC, m.joined_at`,
+    [session.household_id]
+  );
+  const row = household.rows[0];
+  const plan = session.household_plan || null;
+  const pooled = plan === 'basic' ? {
+    used: session.household_month_started === new Date().toISOString().slice(0, 7) ? session.household_recipes_used : 0,
+    limit: CONFIG.BASIC_RECIPES_PER_MONTH,
+  } : null;
+  return {
+    id: row.id,
+    name: row.name,
+    role: session.household_role,
+    plan,
+    pooledQuota: pooled,
+    members: members.rows.map(m => ({ userId: m.user_id, email: m.email, role: m.role, joinedAt: m.joined_at })),
+    createdAt: row.created_at,
+  };
+}
+
+function inviteFromRow(r) {
+  return {
+    id: r.id,
+    email: r.email,
+    expiresAt: r.expires_at,
+    createdAt: r.created_at,
+  };
+}
+
+// Creating a household, inviting and joining all need the owner's own plan to
+// be a Basic or Pro subscription that's still paid up
+const canHostHousehold = (user) => ['basic', 'pro'].includes(user.own_subscription ?? user.subscription) &&
+  hasActiveSubscription(user);
+
+// Owner-only routes answer 403 for members and 404 outside a household
+function requireHouseholdOwner(session, res) {
+  if (!session.household_id) {
+    res.status(404).json({ error: 'You are not in a household' });
+    return false;
+  }
+  if (session.household_role !== 'owner') {
+    res.status(403).json({ error: 'Only the household owner can do that' });
+    return false;
+  }
+  return true;
+}
+
+app.get('/api/household', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  try {
+    res.json({ household: await householdView(session) });
+  } catch (err) {
+    console.error('Household error:', err);
+    res.status(500).json({ error: 'Failed to load household' });
+  }
+});
+
+app.post('/api/household', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  if (session.household_id) return res.status(409).json({ error: 'You are already in a household', code: 'already_in_household' });
+  if (!canHostHousehold(session)) {
+    return res.status(402).json({ error: 'Households need a Basic or Pro subscription', upgrade: true });
+  }
+  const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim().slice(0, 100) : 'My household';
+  
+  try {
+    const householdId = await withTransaction(async (client) => {
+      const created = await client.query(
+        'INSERT INTO households (owner_id, name) VALUES ($1, $2) RETURNING id',
+        [session.user_id, name]
+      );
+      const id = created.rows[0].id;
+      await client.query(
+        "INSERT INTO household_members (household_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [id, session.user_id]
+      );
+      return id;
+    });
+    Object.assign(session, {
+      household_id: householdId,
+      household_role: 'owner',
+      household_owner_id: session.user_id,
+      household_plan: session.own_subscription,
+      household_recipes_used: session.recipes_used_this_month,
+      household_month_started: session.month_started,
+    });
+    res.status(201).json({ household: await householdView(session) });
+  } catch (err) {
+    // Lost a race with another create or an accepted invite
+    if (err.code === '23505') return res.status(409).json({ error: 'You are already in a household', code: 'already_in_household' });
+    console.error('Create household error:', err);
+    res.status(500).json({ error: 'Failed to create household' });
+  }
+});
+
+app.patch('/api/household', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!requireHouseholdOwner(session, res)) return;
+  
+  const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+  if (!name) return res.status(400).json({ error: 'Name required' });
+  try {
+    await pool.query('UPDATE households SET name = $1 WHERE id = $2', [name, session.household_id]);
+    res.json({ household: await householdView(session) });
+  } catch (err) {
+    console.error('Rename household error:', err);
+    res.status(500).json({ error: 'Failed to update household' });
+  }
+});
+
+// Dissolve the household. Everyone keeps their own recipes.
+app.delete('/api/household', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!requireHouseholdOwner(session, res)) return;
+  
+  try {
+    await pool.query('DELETE FROM households WHERE id = $1', [session.household_id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete household error:', err);
+    res.status(500).json({ error: 'Failed to delete household' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Invites
+// -----------------------------------------------------------------------------
+// The link carries the token; only its hash is stored. An invite made out to
+// an email can only be accepted by the account with that email.
+app.post('/api/household/invites', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!requireHouseholdOwner(session, res)) return;
+  if (!canHostHousehold(session)) {
+    return res.status(402).json({ error: 'Households need a Basic or Pro subscription', upgrade: true });
+  }
+  
+  const email = req.body.email ? String(req.body.email).trim() : null;
+  if (email && !isValidEmail(email)) return res.status(400).json({ error: 'Enter a valid email address' });
+  
+  try {
+    const count = await pool.query('SELECT COUNT(*)::int AS n FROM household_members WHERE household_id = $1', [session.household_id]);
+    if (count.rows[0].n >= CONFIG.HOUSEHOLD_MAX_MEMBERS) {
+      return res.status(409).json({ error: `A household can have at most ${CONFIG.HOUSEHOLD_MAX_MEMBERS} members`, code: 'household_full' });
+    }
+    
+    const inviteToken = crypto.randomBytes(24).toString('base64url');
+    const result = await pool.query(
+      `INSERT INTO household_invites (token_hash, household_id, created_by, email, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5)) RETURNING *`,
+      [hashToken(inviteToken), session.household_id, session.user_id, email, CONFIG.HOUSEHOLD_INVITE_TTL_DAYS]
+    );
+    const url = `${process.env.FRONTEND_URL}?householdInvite=${inviteToken}`;
+    if (email) {
+      mailer.send({
+        to: email,
+        subject: `${session.email} invited you to their mise household`,
+        text: `${session.email} invited you to share recipes and their mise plan.\n\nJoin here:\n${url}\n\nThe invite works for ${CONFIG.HOUSEHOLD_INVITE_TTL_DAYS} days.`,
+        html: `<p>${escapeHtml(session.email)} invited you to share recipes and their mise plan.</p><p><a href="${url}">Join the household</a></p><p>The invite works for ${CONFIG.HOUSEHOLD_INVITE_TTL_DAYS} days.</p>`,
+      }).catch(err => console.error('Household invite email error:', err));
+    }
+    res.status(201).json({ invite: { ...inviteFromRow(result.rows[0]), token: inviteToken, url } });
+  } catch (err) {
+    console.error('Household invite error:', err);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+app.get('/api/household/invites', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!requireHouseholdOwner(session, res)) return;
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM household_invites WHERE household_id = $1
+       AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW() ORDER BY created_at DESC`,
+      [session.household_id]
+    );
+    res.json({ invites: result.rows.map(inviteFromRow) });
+  } catch (err) {
+    console.error('Household invites error:', err);
+    res.status(500).json({ error: 'Failed to load invites' });
+  }
+});
+
+app.delete('/api/household/invites/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!requireHouseholdOwner(session, res)) return;
+  
+  const inviteId = parseId(req.params.id);
+  if (!inviteId) return res.status(404).json({ error: 'Invite not found' });
+  try {
+    const result = await pool.query(
+      'UPDATE household_invites SET revoked_at = NOW() WHERE id = $1 AND household_id = $2 AND accepted_at IS NULL',
+      [inviteId, session.household_id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: 'Invite not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke invite error:', err);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+app.post('/api/household/invites/accept', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (session.household_id) return res.status(409).json({ error: 'Leave your current household first', code: 'already_in_household' });
+  if (typeof req.body.token !== 'string' || !req.body.token) return res.status(400).json({ error: 'Invite token required' });
+  
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const invite = await client.query(
+        `SELECT * FROM household_invites WHERE token_hash = $1
+         AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+        [hashToken(req.body.token)]
+      );
+      const row = invite.rows[0];
+      if (!row) return { status: 400, error: 'This invite is invalid or has expired', code: 'invalid_token' };
+      if (row.email && row.email.toLowerCase() !== session.email.toLowerCase()) {
+        return { status: 403, error: 'This invite is for a different email address', code: 'wrong_email' };
+      }
+      // Lock the household so two accepts can't both take the last place
+      const owner = await client.query(
+        `SELECT u.subscription, u.subscription_status FROM households h
+         JOIN users u ON u.id = h.owner_id WHERE h.id = $1 FOR UPDATE OF h`,
+        [row.household_id]
+      );
+      if (!owner.rows[0] || !canHostHousehold(owner.rows[0])) {
+        return { status: 402, error: 'The household owner no longer has a Basic or Pro subscription', code: 'household_inactive' };
+      }
+      const count = await client.query('SELECT COUNT(*)::int AS n FROM household_members WHERE household_id = $1', [row.household_id]);
+      if (count.rows[0].n >= CONFIG.HOUSEHOLD_MAX_MEMBERS) {
+        return { status: 409, error: 'This household is full', code: 'household_full' };
+      }
+      await client.query('INSERT INTO household_members (household_id, user_id) VALUES ($1, $2)', [row.household_id, session.user_id]);
+      await client.query(
+        'UPDATE household_invites SET accepted_at = NOW(), accepted_by = $2 WHERE id = $1',
+        [row.id, session.user_id]
+      );
+      return { householdId: row.household_id };
+    });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error, code: outcome.code });
+    
+    const refreshed = await validateSession(token);
+    res.json({ household: await householdView(refreshed) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Leave your current household first', code: 'already_in_household' });
+    console.error('Accept invite error:', err);
+    res.status(500).json({ error: 'Failed to join household' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Members
+// -----------------------------------------------------------------------------
+// The owner removes a member; a member can remove themselves to leave. The
+// owner leaves by deleting the household.
+app.delete('/api/household/members/:userId', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!session.household_id) return res.status(404).json({ error: 'You are not in a household' });
+  
+  const userId = parseId(req.params.userId);
+  if (!userId) return res.status(404).json({ error: 'Member not found' });
+  if (userId === session.household_owner_id) {
+    return res.status(400).json({ error: 'The owner can delete the household instead' });
+  }
+  if (userId !== session.user_id && session.household_role !== 'owner') {
+    return res.status(403).json({ error: 'Only the household owner can do that' });
+  }
+  
+  try {
+    const removed = await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM household_members WHERE household_id = $1 AND user_id = $2',
+        [session.household_id, userId]
+      );
+      if (!result.rowCount) return false;
+      await client.query('DELETE FROM household_recipes WHERE household_id = $1 AND shared_by = $2', [session.household_id, userId]);
+      return true;
+    });
+    if (!removed) return res.status(404).json({ error: 'Member not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Remove member error:', err);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Shared library
+// -----------------------------------------------------------------------------
+// Recipes stay in their owner's library and are edited there; the household
+// sees them read-only, without personal notes, and can copy them.
+function householdRecipeFromRow(r) {
+  return {
+    ...publicRecipe(savedRecipeFromRow(r)),
+    id: r.id,
+    sharedBy: { userId: r.shared_by, email: r.shared_by_email },
+    sharedAt: r.shared_at,
+  };
+}
+
+const HOUSEHOLD_RECIPES_SQL = `SELECT s.*, hr.shared_by, hr.shared_at, u.email AS shared_by_email
+  FROM household_recipes hr
+  JOIN saved_recipes s ON s.id = hr.recipe_id
+  JOIN users u ON u.id = hr.shared_by
+  WHERE hr.household_id = $1`;
+
+app.get('/api/household/recipes', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!session.household_id) return res.status(404).json({ error: 'You are not in a household' });
+  
+  try {
+    const result = await pool.query(`${HOUSEHOLD_RECIPES_SQL} ORDER BY hr.shared_at DESC`, [session.household_id]);
+    res.json({ recipes: result.rows.map(householdRecipeFromRow) });
+  } catch (err) {
+    console.error('Household recipes error:', err);
+    res.status(500).json({ error: 'Failed to load household recipes' });
+  }
+});
+
+app.get('/api/household/recipes/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!session.household_id) return res.status(404).json({ error: 'You are not in a household' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  try {
+    const result = await pool.query(`${HOUSEHOLD_RECIPES_SQL} AND hr.recipe_id = $2`, [session.household_id, recipeId]);
+    if (!result.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    res.json({ recipe: householdRecipeFromRow(result.rows[0]) });
+  } catch (err) {
+    console.error('Household recipe error:', err);
+    res.status(500).json({ error: 'Failed to load household recipe' });
+  }
+});
+
+// Share one of your saved recipes with the household
+app.post('/api/household/recipes', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!session.household_id) return res.status(404).json({ error: 'You are not in a household' });
+  const recipeId = parseId(req.body.recipeId);
+  if (!recipeId) return res.status(400).json({ error: 'recipeId must be a recipe id' });
+  
+  try {
+    const result = await pool.query(
+      `INSERT INTO household_recipes (household_id, recipe_id, shared_by)
+       SELECT $1, id, user_id FROM saved_recipes WHERE id = $2 AND user_id = $3
+       ON CONFLICT (household_id, recipe_id) DO NOTHING
+       RETURNING recipe_id`,
+      [session.household_id, recipeId, session.user_id]
+    );
+    if (!result.rows[0]) {
+      const owned = await pool.query('SELECT 1 FROM saved_recipes WHERE id = $1 AND user_id = $2', [recipeId, session.user_id]);
+      if (!owned.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Share with household error:', err);
+    res.status(500).json({ error: 'Failed to share recipe' });
+  }
+});
+
+// Unshare: whoever shared it, or the owner
+app.delete('/api/household/recipes/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!session.household_id) return res.status(404).json({ error: 'You are not in a household' });
+  
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
+  try {
+    const result = await pool.query(
+      `DELETE FROM household_recipes WHERE household_id = $1 AND recipe_id = $2
+       AND (shared_by = $3 OR $4)`,
+      [session.household_id, recipeId, session.user_id, session.household_role === 'owner']
+    );
+    if (!result.rowCount) return res.status(404).json({ error: 'Recipe not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Unshare household recipe error:', err);
+    res.status(500).json({ error: 'Failed to unshare recipe' });
+  }
+});
+
+// Copy a household recipe into your own library
+app.post('/api/household/recipes/:id/save', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  if (!session.household_id) return res.status(404).json({ error: 'You are not in a household' });
+  const recipeId = parseId(req.params.id);
+  if (!recipeId) return res.status(404).json({ error: 'Recipe not found' });
   
-  res.json({ recipes });
+  try {
+    const result = await pool.query(`${HOUSEHOLD_RECIPES_SQL} AND hr.recipe_id = $2`, [session.household_id, recipeId]);
+    const row = result.rows[0];
+    if (!row) return res.status(404).json({ error: 'Recipe not found' });
+    if (row.user_id === session.user_id) {
+      return res.status(409).json({ error: 'This recipe is already in your library', id: row.id });
+    }
+    const id = await insertSavedRecipe(session.user_id, publicRecipe(savedRecipeFromRow(row)));
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Household recipe save error:', err);
+    res.status(500).json({ error: 'Failed to save recipe.' });
+  }
 });
 
-app.post('/api/recipes/save', async (req, res) => {
+// =============================================================================
+// MEAL PLANNER
+// =============================================================================
+// Saved recipes placed on a date and meal slot. Each entry has its own
+// servings, which the shopping list scales the recipe to.
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+function mealPlanEntryFromRow(r) {
+  return {
+    id: r.id,
+    recipeId: r.recipe_id,
+    date: r.date,
+    slot: r.slot,
+    servings: Number(r.servings),
+    recipe: r.title === undefined ? undefined : {
+      id: r.recipe_id, title: r.title, imageUrl: r.image_url, servings: r.recipe_servings,
+    },
+    createdAt: r.created_at,
+  };
+}
+
+// YYYY-MM-DD, or null if it isn't a real date
+function parsePlanDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== value ? null : value;
+}
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// ?from&to, defaulting to this Monday-Sunday week. Returns { error } when bad.
+function planRange(query) {
+  let from = query.from ? parsePlanDate(query.from) : null;
+  let to = query.to ? parsePlanDate(query.to) : null;
+  if ((query.from && !from) || (query.to && !to)) return { error: 'Dates must be YYYY-MM-DD' };
+  if (!from) {
+    const today = new Date().toISOString().slice(0, 10);
+    from = to ? addDays(to, -6) : addDays(today, -((new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7));
+  }
+  if (!to) to = addDays(from, 6);
+  if (to < from) return { error: '"to" must not be before "from"' };
+  if (addDays(from, CONFIG.MEAL_PLAN_MAX_DAYS - 1) < to) {
+    return { error: `Plans cover at most ${CONFIG.MEAL_PLAN_MAX_DAYS} days at a time` };
+  }
+  return { from, to };
+}
+
+function parseServings(value) {
+  const servings = parseFloat(value);
+  return isFinite(servings) && servings > 0 && servings <= 100 ? servings : null;
+}
+
+app.get('/api/meal-plan', async (req, res) => {
   const token = req.headers['authorization']?.replace('Bearer ', '');
   const session = await validateSession(token);
   if (!session) return res.status(401).json({ error: 'Not authenticated' });
   
-  const { recipe } = req.body;
+  const range = planRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
   
-  await pool.query(
-    `INSERT INTO saved_recipes (user_id, title, servings, prep_time, cook_time, image_url, ingredients, steps, tips, source, source_url, author)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
-    [session.user_id, recipe.title, recipe.servings, recipe.prepTime, recipe.cookTime, recipe.imageUrl, 
-     JSON.stringify(recipe.ingredients), JSON.stringify(recipe.steps), JSON.stringify(recipe.tips),
-     recipe.source, recipe.sourceUrl, recipe.author]
+  try {
+    const result = await pool.query(
+      `SELECT m.*, to_char(m.date, 'YYYY-MM-DD') AS date, s.title, s.image_url, s.servings AS recipe_servings
+       FROM meal_plan_entries m JOIN saved_recipes s ON s.id = m.recipe_id
+       WHERE m.user_id = $1 AND m.date BETWEEN $2 AND $3
+       ORDER BY m.date, array_position($4::text[], m.slot), m.id`,
+      [session.user_id, range.from, range.to, MEAL_SLOTS]
+    );
+    res.json({ from: range.from, to: range.to, entries: result.rows.map(mealPlanEntryFromRow) });
+  } catch (err) {
+    console.error('Meal plan error:', err);
+    res.status(500).json({ error: 'Failed to load meal plan.' });
+  }
+});
+
+app.post('/api/meal-plan', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const { recipeId, slot } = req.body;
+  const date = parsePlanDate(req.body.date);
+  if (!date) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  if (!MEAL_SLOTS.includes(slot)) return res.status(400).json({ error: `slot must be one of ${MEAL_SLOTS.join(', ')}` });
+  const servings = req.body.servings == null ? null : parseServings(req.body.servings);
+  if (req.body.servings != null && !servings) return res.status(400).json({ error: 'servings must be a positive number' });
+  if (!parseId(recipeId)) return res.status(404).json({ error: 'Recipe not found' });
+  
+  try {
+    // Servings default to the recipe's own
+    const result = await pool.query(
+      `INSERT INTO meal_plan_entries (user_id, recipe_id, date, slot, servings)
+       SELECT $1, s.id, $3, $4, COALESCE($5, NULLIF(substring(s.servings::text FROM '\\d+(?:\\.\\d+)?'), '')::numeric, 1)
+       FROM saved_recipes s WHERE s.id = $2 AND s.user_id = $1
+       RETURNING *, to_char(date, 'YYYY-MM-DD') AS date`,
+      [session.user_id, parseId(recipeId), date, slot, servings]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Recipe not found' });
+    res.json({ entry: mealPlanEntryFromRow(result.rows[0]) });
+  } catch (err) {
+    console.error('Meal plan error:', err);
+    res.status(500).json({ error: 'Failed to add to meal plan.' });
+  }
+});
+
+app.patch('/api/meal-plan/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const date = req.body.date === undefined ? null : parsePlanDate(req.body.date);
+  if (req.body.date !== undefined && !date) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  const slot = req.body.slot === undefined ? null : req.body.slot;
+  if (slot !== null && !MEAL_SLOTS.includes(slot)) return res.status(400).json({ error: `slot must be one of ${MEAL_SLOTS.join(', ')}` });
+  const servings = req.body.servings === undefined ? null : parseServings(req.body.servings);
+  if (req.body.servings !== undefined && !servings) return res.status(400).json({ error: 'servings must be a positive number' });
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Meal plan entry not found' });
+  
+  try {
+    const result = await pool.query(
+      `UPDATE meal_plan_entries SET date = COALESCE($3, date), slot = COALESCE($4, slot), servings = COALESCE($5, servings)
+       WHERE id = $1 AND user_id = $2 RETURNING *, to_char(date, 'YYYY-MM-DD') AS date`,
+      [id, session.user_id, date, slot, servings]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Meal plan entry not found' });
+    res.json({ entry: mealPlanEntryFromRow(result.rows[0]) });
+  } catch (err) {
+    console.error('Meal plan error:', err);
+    res.status(500).json({ error: 'Failed to update meal plan.' });
+  }
+});
+
+app.delete('/api/meal-plan/:id', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const id = parseId(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Meal plan entry not found' });
+  try {
+    const result = await pool.query('DELETE FROM meal_plan_entries WHERE id = $1 AND user_id = $2', [id, session.user_id]);
+    if (!result.rowCount) return res.status(404).json({ error: 'Meal plan entry not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Meal plan error:', err);
+    res.status(500).json({ error: 'Failed to remove from meal plan.' });
+  }
+});
+
+// =============================================================================
+// SHOPPING LIST
+// =============================================================================
+// Built from the meal plan on every request, so adding, moving or resizing a
+// meal is reflected straight away. Ticks are stored per item and date range
+// along with the amount that was ticked: if a plan change alters the amount,
+// the item comes back unticked.
+const SHOPPING_UNITS = ['metric', 'imperial'];
+const SHOPPING_REGIONS = ['us', 'uk', 'au'];
+
+async function loadShoppingList(userId, { from, to }, { system, region }) {
+  const entries = await pool.query(
+    'SELECT recipe_id, servings FROM meal_plan_entries WHERE user_id = $1 AND date BETWEEN $2 AND $3',
+    [userId, from, to]
   );
+  const recipeIds = [...new Set(entries.rows.map(e => e.recipe_id))];
+  const recipes = recipeIds.length
+    ? await pool.query('SELECT * FROM saved_recipes WHERE id = ANY($1) AND user_id = $2', [recipeIds, userId])
+    : { rows: [] };
+  const byId = new Map(recipes.rows.map(r => [r.id, savedRecipeFromRow(r)]));
   
-  res.json({ success: true });
+  const aisles = buildShoppingList(
+    entries.rows.filter(e => byId.has(e.recipe_id)).map(e => {
+      const recipe = byId.get(e.recipe_id);
+      return { recipe, recipeId: recipe.id, servings: Number(e.servings), region: regionForUrl(recipe.sourceUrl) };
+    }),
+    { system, region }
+  );
+  
+  const checks = await pool.query(
+    'SELECT item_key, checked_display FROM shopping_list_checks WHERE user_id = $1 AND range_start = $2 AND range_end = $3',
+    [userId, from, to]
+  );
+  const checked = new Map(checks.rows.map(c => [c.item_key, c.checked_display]));
+  for (const group of aisles) {
+    for (const item of group.items) {
+      item.checked = checked.has(item.key) && checked.get(item.key) === (item.display || null);
+    }
+  }
+  return aisles;
+}
+
+// ?units=metric|imperial&region=us|uk|au
+function shoppingOptions(query) {
+  const system = SHOPPING_UNITS.includes(query.units) ? query.units : 'metric';
+  const region = SHOPPING_REGIONS.includes(query.region) ? query.region : 'us';
+  return { system, region };
+}
+
+app.get('/api/shopping-list', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const range = planRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const options = shoppingOptions(req.query);
+  
+  try {
+    const aisles = await loadShoppingList(session.user_id, range, options);
+    const items = aisles.flatMap(group => group.items);
+    res.json({
+      from: range.from,
+      to: range.to,
+      units: options.system,
+      aisles,
+      itemCount: items.length,
+      checkedCount: items.filter(i => i.checked).length,
+    });
+  } catch (err) {
+    console.error('Shopping list error:', err);
+    res.status(500).json({ error: 'Failed to build shopping list.' });
+  }
 });
 
-app.delete('/api/recipes/:id', async (req, res) => {
+// Tick or untick one item. Body: { from, to, checked, units, region }, with
+// from/to/units/region matching the list the client is showing.
+app.put('/api/shopping-list/items/:key', async (req, res) => {
   const token = req.headers['authorization']?.replace('Bearer ', '');
   const session = await validateSession(token);
   if (!session) return res.status(401).json({ error: 'Not authenticated' });
   
-  await pool.query('DELETE FROM saved_recipes WHERE id = $1 AND user_id = $2', [req.params.id, session.user_id]);
-  res.json({ success: true });
+  const range = planRange(req.body);
+  if (range.error) return res.status(400).json({ error: range.error });
+  
+  try {
+    if (!req.body.checked) {
+      await pool.query(
+        'DELETE FROM shopping_list_checks WHERE user_id = $1 AND range_start = $2 AND range_end = $3 AND item_key = $4',
+        [session.user_id, range.from, range.to, req.params.key]
+      );
+      return res.json({ key: req.params.key, checked: false });
+    }
+    
+    const aisles = await loadShoppingList(session.user_id, range, shoppingOptions(req.body));
+    const item = aisles.flatMap(group => group.items).find(i => i.key === req.params.key);
+    if (!item) return res.status(404).json({ error: 'Item is not on this shopping list' });
+    
+    await pool.query(
+      `INSERT INTO shopping_list_checks (user_id, range_start, range_end, item_key, checked_display)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, range_start, range_end, item_key) DO UPDATE SET checked_display = $5, updated_at = NOW()`,
+      [session.user_id, range.from, range.to, item.key, item.display || null]
+    );
+    res.json({ key: item.key, checked: true });
+  } catch (err) {
+    console.error('Shopping list error:', err);
+    res.status(500).json({ error: 'Failed to update shopping list.' });
+  }
+});
+
+// =============================================================================
+// BULK IMPORT
+// =============================================================================
+// Clean a list of URLs in one request. The quota is checked once for the whole
+// batch, then each URL takes its recipe as it starts and gets it back if it
+// fails. URLs run a few at a time and the batch stops starting new ones if the
+// spending pause kicks in. Each URL gets its own result:
+//   { url, status: 'ok' | 'failed' | 'skipped', recipe | savedId, cached, error, code }
+
+// Run fn over items with at most `limit` in flight, keeping result order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+app.post('/api/recipes/import', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const { urls, language, save, refresh } = req.body;
+  const targetLanguage = ['en', 'es', 'fr', 'pt', 'zh', 'hi', 'ar'].includes(language) ? language : 'en';
+  const ip = req.ip || req.headers['x-forwarded-for'];
+  
+  if (!Array.isArray(urls) || !urls.length) return res.status(400).json({ error: 'No URLs provided.' });
+  if (urls.length > CONFIG.BULK_IMPORT_MAX_URLS) {
+    return res.status(400).json({ error: `At most ${CONFIG.BULK_IMPORT_MAX_URLS} URLs per import.` });
+  }
+  
+  try {
+    const session = await validateSession(token);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+    const user = await resetMonthlyUsageIfNeeded(session);
+    // Each URL is a clean, so a batch costs what the same URLs would one by one
+    if (await rateLimited(res, cleanRateLimits(ip, user, null), urls.length)) return;
+    
+    // One entry per distinct page; repeats share its result
+    const entries = new Map();
+    const keys = urls.map(url => {
+      let key;
+      try {
+        key = canonicalizeUrl(String(url));
+      } catch (e) {
+        return null;
+      }
+      if (!entries.has(key)) entries.set(key, { url: String(url), key, cached: null });
+      return key;
+    });
+    
+    if (!refresh) {
+      for (const entry of entries.values()) entry.cached = await getCachedRecipe(entry.key, targetLanguage);
+    }
+    const charged = [...entries.values()].filter(e => !e.cached || CONFIG.CACHE_HITS_COUNT_AS_USAGE).length;
+    const needsCleaning = [...entries.values()].some(e => !e.cached);
+    
+    // Quota for the whole batch, up front. Like single cache hits, a batch of
+    // uncounted cache hits still needs a recipe left
+    const canClean = await canCleanRecipe(user, null, ip, { cached: !needsCleaning });
+    const available = canClean.remaining === undefined ? Infinity : canClean.remaining + (canClean.credits || 0);
+    if (!canClean.allowed || charged > available) {
+      return res.status(402).json({
+        error: canClean.allowed ? 'batch_over_limit' : canClean.reason,
+        upgrade: canClean.upgrade,
+        requested: charged,
+        remaining: canClean.remaining,
+        credits: canClean.credits,
+        message: canClean.allowed
+          ? `This import needs ${charged} recipes but you have ${available} left${canClean.credits ? ' including credits' : ' this month'}.`
+          : canClean.message || 'Upgrade for more recipes!'
+      });
+    }
+    
+    console.log(`📦 Import of ${entries.size} URLs for user ${user.id}`);
+    const spendContext = { endpoint: '/api/recipes/import', userId: user.id };
+    let paused = false;
+    
+    const pages = [...entries.values()];
+    const results = await mapWithConcurrency(pages, CONFIG.BULK_IMPORT_CONCURRENCY, async (entry) => {
+      const base = { url: entry.url, cached: !!entry.cached };
+      let charge = null;
+      try {
+        // Re-check before every LLM-backed clean so a long batch stops at the limit
+        if (!entry.cached && (paused || (await checkSpendingLimits()).paused)) {
+          paused = true;
+          return { ...base, status: 'skipped', error: 'Recipe cleaning is paused. Try again later.', code: 'system_limit' };
+        }
+        // Charged before the work, like jobs, so imports and cleans running
+        // at the same time can't overrun the allowance the check above saw
+        if (!entry.cached || CONFIG.CACHE_HITS_COUNT_AS_USAGE) {
+          charge = await reserveRecipe(user, null);
+          if (!charge) return { ...base, status: 'skipped', error: 'You have no recipes left.', code: 'quota' };
+        }
+        
+        let recipe = entry.cached;
+        if (!recipe) {
+          recipe = await cleanRecipeFromUrl(entry.url, targetLanguage, spendContext);
+          await cacheRecipe(entry.key, targetLanguage, recipe);
+        }
+        if (save) {
+          const savedId = await insertSavedRecipe(user.id, structureRecipe(recipe));
+          return { ...base, status: 'ok', savedId, title: recipe.title };
+        }
+        return { ...base, status: 'ok', recipe };
+      } catch (err) {
+        if (charge) await refundRecipe(charge, `import:${entry.key}`).catch(e => console.error('Import refund error:', e));
+        if (err instanceof FetchError || err instanceof ExtractorError) {
+          return { ...base, status: 'failed', error: err.message, code: err.code };
+        }
+        console.error(`Import error for ${entry.url}:`, err);
+        return { ...base, status: 'failed', error: 'Failed to clean recipe.' };
+      }
+    });
+    
+    const byKey = new Map(results.map((r, i) => [pages[i].key, r]));
+    const report = urls.map((url, i) => (keys[i]
+      ? { ...byKey.get(keys[i]), url }
+      : { url, status: 'failed', error: 'Invalid URL.', code: 'INVALID_URL' }));
+    
+    const used = results.filter(r => r.status === 'ok' && (!r.cached || CONFIG.CACHE_HITS_COUNT_AS_USAGE)).length;
+    res.json({
+      results: report,
+      imported: results.filter(r => r.status === 'ok').length,
+      failed: report.filter(r => r.status === 'failed').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      paused,
+      recipesRemaining: getRemainingRecipes({ ...user, recipes_used_this_month: user.recipes_used_this_month + used }),
+    });
+  } catch (err) {
+    console.error('Import error:', err);
+    res.status(500).json({ error: 'Import failed.' });
+  }
+});
+
+// =============================================================================
+// FILE IMPORT
+// =============================================================================
+// Libraries exported from other apps (Paprika, Mealie, Tandoor, Nextcloud
+// Cookbook, MealMaster, schema.org JSON-LD). Recipes are read locally and
+// tidied by validateAndFixRecipe; nothing goes to the LLM unless the user asks
+// for the dual-unit upgrade. Send { dryRun: true } first to preview what would
+// be saved and skipped.
+//
+// Body: { file: data URL or base64, filename, format?, dryRun?, dualUnits?, skipDuplicates? }
+
+// Local dual units for everyone; strings the converter can't read go to the
+// LLM for paid users while spending isn't paused
+async function importWithDualUnits(recipe, session, spendContext) {
+  if (['basic', 'pro'].includes(session.subscription) && !(await checkSpendingLimits()).paused) {
+    return enhanceRecipeWithDualUnits(recipe, 'en', spendContext);
+  }
+  return structureRecipe(convertRecipeUnits(recipe, { region: regionForUrl(recipe.sourceUrl) }).recipe);
+}
+
+app.post('/api/recipes/import-file', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
+  
+  const { file, filename, format, dryRun, dualUnits } = req.body;
+  const skipDuplicates = req.body.skipDuplicates !== false;
+  if (typeof file !== 'string' || !file) return res.status(400).json({ error: 'No file provided.' });
+  const data = Buffer.from(file.replace(/^data:[^,]*,/, ''), 'base64');
+  if (!data.length) return res.status(400).json({ error: 'No file provided.' });
+  if (data.length > CONFIG.IMPORT_FILE_MAX_BYTES) return res.status(413).json({ error: 'That file is too large to import.', code: 'TOO_LARGE' });
+  
+  try {
+    const parsed = await parseExportFileInWorker(data, filename, { format, maxBytes: CONFIG.IMPORT_FILE_MAX_UNPACKED_BYTES });
+    const skipped = parsed.skipped;
+    
+    // What the user already has, to spot recipes imported before
+    const existing = await pool.query('SELECT lower(title) AS title, source_url FROM saved_recipes WHERE user_id = $1', [session.user_id]);
+    const urls = new Set(existing.rows.map(r => r.source_url).filter(Boolean));
+    const titles = new Set(existing.rows.filter(r => !r.source_url).map(r => r.title));
+    
+    const accepted = [];
+    for (const { file: name, recipe: raw } of parsed.recipes) {
+      const { recipe, issues } = validateAndFixRecipe(raw);
+      const entry = { file: name, title: recipe.title };
+      if (!recipe.ingredients.length && !recipe.steps.length) {
+        skipped.push({ ...entry, reason: 'empty' });
+      } else if (skipDuplicates && (recipe.sourceUrl ? urls.has(recipe.sourceUrl) : titles.has(recipe.title.toLowerCase()))) {
+        skipped.push({ ...entry, reason: 'duplicate' });
+      } else if (accepted.length >= CONFIG.IMPORT_FILE_MAX_RECIPES) {
+        skipped.push({ ...entry, reason: 'over_limit' });
+      } else {
+        // Duplicates inside the same file count too
+        if (recipe.sourceUrl) urls.add(recipe.sourceUrl);
+        else titles.add(recipe.title.toLowerCase());
+        accepted.push({ entry, recipe, issues });
+      }
+    }
+    
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        formats: parsed.formats,
+        recipes: accepted.map(({ entry, recipe, issues }) => ({
+          ...entry,
+          source: recipe.source,
+          servings: recipe.servings,
+          ingredientCount: recipe.ingredients.length,
+          stepCount: recipe.steps.length,
+          issues,
+        })),
+        skipped,
+      });
+    }
+    
+    const spendContext = { endpoint: '/api/recipes/import-file', userId: session.user_id };
+    const results = await mapWithConcurrency(accepted, CONFIG.BULK_IMPORT_CONCURRENCY, async ({ entry, recipe }) => {
+      try {
+        const final = dualUnits ? await importWithDualUnits(recipe, session, spendContext) : recipe;
+        return { ...entry, status: 'ok', id: await insertSavedRecipe(session.user_id, final) };
+      } catch (err) {
+        console.error(`File import failed for "${entry.title}":`, err);
+        return { ...entry, status: 'failed', error: 'Could not save this recipe.' };
+      }
+    });
+    
+    const imported = results.filter(r => r.status === 'ok');
+    console.log(`📥 Imported ${imported.length} recipes from ${parsed.formats.join(', ')} for user ${session.user_id}`);
+    res.json({
+      formats: parsed.formats,
+      imported: imported.map(({ status, ...r }) => r),
+      failed: results.filter(r => r.status === 'failed').map(({ status, ...r }) => r),
+      skipped,
+    });
+  } catch (err) {
+    if (err instanceof ImportError) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('File import error:', err);
+    res.status(500).json({ error: 'Failed to import file.' });
+  }
 });
 
 // =============================================================================
 // PAYMENTS
 // =============================================================================
+// Every paid plan, its prices and what it includes. Checkout, plan changes,
+// the webhook and /api/payments/plans all read from here. An interval without
+// a Stripe price configured isn't offered.
+const PLANS = {
+  basic: {
+    name: 'Basic',
+    rank: 1,
+    recipes: CONFIG.BASIC_RECIPES_PER_MONTH,
+    prices: {
+      month: { amount: 1.99, stripePriceId: process.env.STRIPE_BASIC_PRICE_ID },
+      year: { amount: 14.99, stripePriceId: process.env.STRIPE_BASIC_YEARLY_PRICE_ID },
+    },
+    features: [`${CONFIG.BASIC_RECIPES_PER_MONTH} recipes/month`, 'URL, photo & video', 'Cooking mode', 'Save recipes'],
+  },
+  pro: {
+    name: 'Pro',
+    rank: 2,
+    recipes: 'Unlimited',
+    prices: {
+      month: { amount: 4.99, stripePriceId: process.env.STRIPE_PRO_PRICE_ID || process.env.STRIPE_UNLIMITED_PRICE_ID },
+      year: { amount: 39.99, stripePriceId: process.env.STRIPE_PRO_YEARLY_PRICE_ID },
+    },
+    features: ['Unlimited recipes', 'URL, photo & video', 'Cooking mode', 'Save recipes', 'Support indie dev ❤️'],
+  },
+};
+const BILLING_INTERVALS = ['month', 'year'];
+
+// One-off packs of recipe credits, bought with a one-time Checkout. A pack
+// without a Stripe price configured isn't offered.
+const CREDIT_PACKS = {
+  small: { credits: 10, amount: 2.99, stripePriceId: process.env.STRIPE_CREDITS_SMALL_PRICE_ID },
+  large: { credits: 30, amount: 6.99, stripePriceId: process.env.STRIPE_CREDITS_LARGE_PRICE_ID },
+};
+
+const priceIdFor = (plan, interval) => PLANS[plan]?.prices[interval]?.stripePriceId || null;
+
+// { plan, interval } for a Stripe price id, or null for one we don't sell
+function planForPrice(priceId) {
+  for (const [plan, { prices }] of Object.entries(PLANS)) {
+    for (const [interval, price] of Object.entries(prices)) {
+      if (price.stripePriceId && price.stripePriceId === priceId) return { plan, interval };
+    }
+  }
+  return null;
+}
+
+// The user's own subscription, not one they get through a household
+const hasActiveSubscription = (user) => !!(user.own_subscription ?? user.subscription) &&
+  PAID_STATUSES.includes(user.subscription_status || 'active');
+
+async function stripeCustomerFor(session) {
+  if (session.stripe_customer_id) return session.stripe_customer_id;
+  const customer = await stripe.customers.create({ email: session.email, metadata: { userId: session.user_id.toString() } });
+  await pool.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [customer.id, session.user_id]);
+  return customer.id;
+}
+
+// The user's live subscription. Accounts that subscribed before we stored
+// the id are looked up by customer.
+async function currentSubscription(session) {
+  if (session.stripe_subscription_id) return stripe.subscriptions.retrieve(session.stripe_subscription_id);
+  if (!session.stripe_customer_id) return null;
+  const list = await stripe.subscriptions.list({ customer: session.stripe_customer_id, status: 'all', limit: 10 });
+  return list.data.find(sub => PAID_STATUSES.includes(sub.status)) || null;
+}
+
 app.post('/api/payments/create-checkout', async (req, res) => {
-  const { plan } = req.body;
+  const { plan, interval = 'month' } = req.body;
   const token = req.headers['authorization']?.replace('Bearer ', '');
   const session = await validateSession(token);
   if (!session) return res.status(401).json({ error: 'Login required' });
   
-  const prices = { 
-    basic: process.env.STRIPE_BASIC_PRICE_ID, 
-    pro: process.env.STRIPE_PRO_PRICE_ID || process.env.STRIPE_UNLIMITED_PRICE_ID 
-  };
-  if (!prices[plan]) return res.status(400).json({ error: 'Invalid plan' });
-  
-  let stripeCustomerId = session.stripe_customer_id;
-  if (!stripeCustomerId) {
-    const customer = await stripe.customers.create({ email: session.email });
-    stripeCustomerId = customer.id;
-    await pool.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [stripeCustomerId, session.user_id]);
-  }
-  
-  const checkoutSession = await stripe.checkout.sessions.create({
-    customer: stripeCustomerId,
-    line_items: [{ price: prices[plan], quantity: 1 }],
-    mode: 'subscription',
-    success_url: `${process.env.FRONTEND_URL}?success=true&plan=${plan}`,
-    cancel_url: `${process.env.FRONTEND_URL}?canceled=true`,
-    metadata: { userId: session.user_id.toString(), plan },
-  });
+  const priceId = priceIdFor(plan, interval);
+  if (!priceId) return res.status(400).json({ error: 'Invalid plan' });
+  // Paying users switch plans instead of taking out a second subscription
+  if (hasActiveSubscription(session)) {
+    return res.status(409).json({ error: 'You already have a subscription. Change your plan instead.', code: 'already_subscribed' });
+  }
   
-  res.json({ url: checkoutSession.url });
+  try {
+    const stripeCustomerId = await stripeCustomerFor(session);
+    const checkoutSession = await stripe.checkout.sessions.create({
+      customer: stripeCustomerId,
+      line_items: [{ price: priceId, quantity: 1 }],
+      mode: 'subscription',
+      success_url: `${process.env.FRONTEND_URL}?success=true&plan=${plan}&interval=${interval}`,
+      cancel_url: `${process.env.FRONTEND_URL}?canceled=true`,
+      metadata: { userId: session.user_id.toString(), plan, interval },
+    });
+    
+    res.json({ url: checkoutSession.url });
+  } catch (err) {
+    console.error('Checkout error:', err);
+    res.status(500).json({ error: 'Could not start checkout' });
+  }
 });
 
-app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+app.post('/api/payments/buy-credits', async (req, res) => {
+  const { pack } = req.body;
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Login required' });
+  
+  const chosen = Object.hasOwn(CREDIT_PACKS, pack) ? CREDIT_PACKS[pack] : null;
+  if (!chosen?.stripePriceId) return res.status(400).json({ error: 'Invalid pack' });
   
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    const stripeCustomerId = await stripeCustomerFor(session);
+    const checkoutSession = await stripe.checkout.sessions.create({
+      customer: stripeCustomerId,
+      line_items: [{ price: chosen.stripePriceId, quantity: 1 }],
+      mode: 'payment',
+      success_url: `${process.env.FRONTEND_URL}?success=true&credits=${chosen.credits}`,
+      cancel_url: `${process.env.FRONTEND_URL}?canceled=true`,
+      metadata: { userId: session.user_id.toString(), pack, credits: String(chosen.credits) },
+    });
+    res.json({ url: checkoutSession.url });
   } catch (err) {
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    console.error('Credit checkout error:', err);
+    res.status(500).json({ error: 'Could not start checkout' });
   }
+});
+
+// Balance and ledger, newest first. ?before=<id> pages back.
+app.get('/api/credits', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Not authenticated' });
   
-  if (event.type === 'checkout.session.completed') {
-    const { userId, plan } = event.data.object.metadata;
-    await pool.query('UPDATE users SET subscription = $1, recipes_used_this_month = 0 WHERE id = $2', [plan, userId]);
-    console.log(`✅ User ${userId} → ${plan}`);
+  try {
+    const before = parseInt(req.query.before) || null;
+    const result = await pool.query(
+      `SELECT id, amount, balance_after, reason, created_at FROM credit_transactions
+       WHERE user_id = $1 AND ($2::int IS NULL OR id < $2)
+       ORDER BY id DESC LIMIT 51`,
+      [session.user_id, before]
+    );
+    const rows = result.rows.slice(0, 50);
+    res.json({
+      balance: session.recipe_credits,
+      transactions: rows.map(row => ({
+        id: row.id,
+        amount: row.amount,
+        balanceAfter: row.balance_after,
+        reason: row.reason,
+        createdAt: row.created_at,
+      })),
+      nextBefore: result.rows.length > 50 ? rows[rows.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error('Credits error:', err);
+    res.status(500).json({ error: 'Failed to load credits' });
   }
+});
+
+// Move a paying user to another plan or interval, prorated. Upgrades are
+// charged straight away and only take effect once that payment goes through;
+// downgrades are credited against the next invoice.
+app.post('/api/payments/change-plan', async (req, res) => {
+  const { plan, interval = 'month' } = req.body;
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Login required' });
+  
+  const priceId = priceIdFor(plan, interval);
+  if (!priceId) return res.status(400).json({ error: 'Invalid plan' });
   
-  if (event.type === 'customer.subscription.deleted') {
-    const customerId = event.data.object.customer;
-    await pool.query('UPDATE users SET subscription = NULL WHERE stripe_customer_id = $1', [customerId]);
+  try {
+    let sub = await currentSubscription(session);
+    if (!sub || !PAID_STATUSES.includes(sub.status)) {
+      return res.status(409).json({ error: 'No active subscription to change', code: 'no_subscription' });
+    }
+    const item = sub.items.data[0];
+    const current = planForPrice(item.price.id);
+    if (item.price.id === priceId) return res.status(400).json({ error: 'You are already on this plan' });
+    
+    const upgrade = !current || PLANS[plan].rank > PLANS[current.plan].rank ||
+      (plan === current.plan && interval === 'year');
+    // Choosing a plan means staying, so a pending cancellation is dropped
+    if (sub.cancel_at_period_end) sub = await stripe.subscriptions.update(sub.id, { cancel_at_period_end: false });
+    sub = await stripe.subscriptions.update(sub.id, {
+      items: [{ id: item.id, price: priceId }],
+      proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+      ...(upgrade ? { payment_behavior: 'pending_if_incomplete' } : {}),
+    });
+    
+    // The webhook will say the same; this saves the client waiting for it
+    await withTransaction(client => stripeWebhook.applySubscription(client, sub, { created: Math.floor(Date.now() / 1000) }));
+    const applied = planForPrice(sub.items.data[0].price.id);
+    res.json({
+      subscription: applied?.plan || null,
+      interval: applied?.interval || null,
+      status: sub.status,
+      currentPeriodEnd: currentPeriodEnd(sub),
+      // The upgrade payment needs the customer (e.g. 3-D Secure); the old plan stays until then
+      pendingPayment: !!sub.pending_update,
+    });
+  } catch (err) {
+    if (err.type === 'StripeCardError') return res.status(402).json({ error: err.message, code: 'card_declined' });
+    console.error('Change plan error:', err);
+    res.status(500).json({ error: 'Could not change plan' });
   }
+});
+
+// Stripe's hosted page for cards, invoices and cancelling
+app.post('/api/payments/portal', async (req, res) => {
+  const token = req.headers['authorization']?.replace('Bearer ', '');
+  const session = await validateSession(token);
+  if (!session) return res.status(401).json({ error: 'Login required' });
+  if (!session.stripe_customer_id) return res.status(400).json({ error: 'No billing account yet', code: 'no_customer' });
   
-  res.json({ received: true });
+  try {
+    const portal = await stripe.billingPortal.sessions.create({
+      customer: session.stripe_customer_id,
+      return_url: process.env.FRONTEND_URL,
+    });
+    res.json({ url: portal.url });
+  } catch (err) {
+    console.error('Billing portal error:', err);
+    res.status(500).json({ error: 'Could not open billing settings' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Webhook
+// -----------------------------------------------------------------------------
+const stripeWebhook = createStripeWebhook({
+  stripe,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+  withTransaction,
+  planForPrice,
+  changeCredits,
+  graceDays: CONFIG.PAYMENT_GRACE_DAYS,
+});
+
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const { status, body } = await stripeWebhook.handle(req.body, req.headers['stripe-signature']);
+  res.status(status).send(body);
 });
 
+// End the grace period for renewals that never got paid, and forget old events
+async function sweepBilling() {
+  try {
+    const result = await pool.query(
+      `UPDATE users SET subscription = NULL, subscription_status = 'unpaid'
+       WHERE subscription IS NOT NULL AND payment_failed_at < NOW() - make_interval(days => $1)
+       RETURNING id`,
+      [CONFIG.PAYMENT_GRACE_DAYS]
+    );
+    for (const { id } of result.rows) console.log(`💳 User ${id} → free (grace period over)`);
+    await pool.query(
+      'DELETE FROM stripe_events WHERE processed_at < NOW() - make_interval(days => $1)',
+      [CONFIG.STRIPE_EVENT_RETENTION_DAYS]
+    );
+  } catch (err) {
+    console.error('Billing sweep error:', err.message);
+  }
+}
+setInterval(sweepBilling, 60 * 60 * 1000).unref();
+
 app.get('/api/payments/plans', (req, res) => {
-  res.json({
+  const plans = {
     free: { 
       name: 'Free', price: 0, 
-      features: ['10 recipes to start', '3/month after signup', 'URL, photo & video', 'Cooking mode'] 
-    },
-    basic: { 
-      name: 'Basic', price: 1.99, yearlyPrice: 14.99, recipes: 20,
-      features: ['20 recipes/month', 'URL, photo & video', 'Cooking mode', 'Save recipes', 'Save 37% yearly'] 
-    },
-    pro: { 
-      name: 'Pro', price: 4.99, yearlyPrice: 39.99, recipes: 'Unlimited',
-      features: ['Unlimited recipes', 'URL, photo & video', 'Cooking mode', 'Save recipes', 'Support indie dev ❤️', 'Save 33% yearly'] 
+      features: [
+        `${CONFIG.INITIAL_FREE_RECIPES} recipes to start`,
+        `${CONFIG.FREE_RECIPES_PER_MONTH}/month after signup`,
+        'URL, photo & video',
+        'Cooking mode',
+      ] 
     },
-  });
+  };
+  for (const [id, plan] of Object.entries(PLANS)) {
+    const intervals = BILLING_INTERVALS.filter(interval => priceIdFor(id, interval));
+    const { month, year } = plan.prices;
+    const yearly = intervals.includes('year');
+    const saving = Math.round((1 - year.amount / (month.amount * 12)) * 100);
+    plans[id] = {
+      name: plan.name,
+      price: month.amount,
+      yearlyPrice: yearly ? year.amount : null,
+      recipes: plan.recipes,
+      intervals,
+      features: yearly ? [...plan.features, `Save ${saving}% yearly`] : plan.features,
+    };
+  }
+  plans.creditPacks = Object.entries(CREDIT_PACKS)
+    .filter(([, pack]) => pack.stripePriceId)
+    .map(([id, pack]) => ({ id, credits: pack.credits, price: pack.amount }));
+  res.json(plans);
 });
 
 // =============================================================================